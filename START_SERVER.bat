@@ -10,11 +10,12 @@ echo.
 echo ========================================
 echo.
 
-REM Try Node.js http-server first
+REM Try the bundled Node.js server first (set MYSPORTSFEEDS_API_KEY for live data)
 where node >nul 2>nul
 if %ERRORLEVEL% == 0 (
-    echo Using Node.js http-server...
-    npx -y http-server -p 8000 -o
+    echo Using the Node.js dashboard server...
+    start "" http://localhost:8000
+    node server/index.js
     goto :end
 )
 
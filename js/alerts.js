@@ -0,0 +1,282 @@
+/**
+ * Alerts
+ * User-defined alert rules (a game going final, a streak reaching a length, a
+ * team moving into the top N), evaluated on the difference between two loads
+ * of the same league and season, delivered as browser notifications and kept
+ * in an in-app history
+ */
+
+import { readPreference, writePreference } from './preferences.js';
+import { formatDate } from './utils.js';
+
+const RULES_PREFERENCE = 'alert-rules';
+const HISTORY_PREFERENCE = 'alert-history';
+
+// Alerts kept in the history; the oldest are dropped first
+export const MAX_ALERT_HISTORY = 50;
+
+// Rule types, in form order
+export const ALERT_TYPES = [
+    { id: 'final', label: 'Game goes final' },
+    { id: 'streak', label: 'Streak reaches' },
+    { id: 'rank', label: 'Moves into the top' }
+];
+
+// Streak results a rule can watch
+export const STREAK_RESULTS = [
+    { id: 'W', label: 'wins' },
+    { id: 'L', label: 'losses' },
+    { id: 'D', label: 'draws' }
+];
+
+/**
+ * Read the saved alert rules
+ * @returns {Array} Rules ({ id, league, type, teamId, teamName, result?, length?, rank? }); teamId is null for any team
+ */
+export const getAlertRules = () => {
+    const rules = readPreference(RULES_PREFERENCE, []);
+    return Array.isArray(rules) ? rules.filter(rule => ALERT_TYPES.some(type => type.id === rule?.type)) : [];
+};
+
+/**
+ * Check an alert rule before saving it
+ * @param {Object} rule - Rule
+ * @param {number} teamCount - Teams in the league, the deepest top N worth watching
+ * @returns {string|null} Problem to show the user, or null when the rule can be saved
+ */
+export const getAlertRuleError = (rule, teamCount) => {
+    if (!ALERT_TYPES.some(type => type.id === rule.type)) return 'Pick what to be alerted about';
+    if (rule.type === 'streak') {
+        if (!STREAK_RESULTS.some(result => result.id === rule.result)) return 'Pick wins, losses or draws';
+        if (!Number.isInteger(rule.length) || rule.length < 2) return 'Streaks start at 2 games';
+    }
+    if (rule.type === 'rank' && (!Number.isInteger(rule.rank) || rule.rank < 1 || rule.rank >= teamCount)) {
+        return `Pick a top between 1 and ${teamCount - 1}`;
+    }
+    return null;
+};
+
+/**
+ * Save a new alert rule
+ * @param {Object} rule - Rule (with its id)
+ * @returns {Array} Saved rules
+ */
+export const addAlertRule = (rule) => {
+    const rules = [...getAlertRules(), rule];
+    writePreference(RULES_PREFERENCE, rules);
+    return rules;
+};
+
+/**
+ * Delete an alert rule
+ * @param {string} ruleId - Rule identifier
+ * @returns {Array} Saved rules
+ */
+export const removeAlertRule = (ruleId) => {
+    const rules = getAlertRules().filter(rule => rule.id !== ruleId);
+    writePreference(RULES_PREFERENCE, rules.length ? rules : null);
+    return rules;
+};
+
+/**
+ * Describe a rule in one line
+ * @param {Object} rule - Rule
+ * @returns {string} e.g. "Celtics game goes final", "Any team reaches W5", "Lakers moves into the top 4"
+ */
+export const describeAlertRule = (rule) => {
+    const team = rule.teamId === null ? 'Any team' : rule.teamName;
+    if (rule.type === 'final') return `${rule.teamId === null ? 'Any' : rule.teamName} game goes final`;
+    if (rule.type === 'streak') return `${team} reaches ${rule.result}${rule.length}`;
+    return `${team} moves into the top ${rule.rank}`;
+};
+
+/**
+ * Parse a standings streak
+ * @param {string} streak - Streak (e.g. W5, L2, or N/A before any game)
+ * @returns {Object|null} Streak ({ result, length }), or null without one
+ */
+const parseStreak = (streak) => {
+    const match = /^([A-Z]+)(\d+)$/.exec(streak || '');
+    return match ? { result: match[1], length: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Check whether a streak meets a rule
+ * @param {Object|null} streak - Parsed streak
+ * @param {Object} rule - Streak rule
+ * @returns {boolean} True when the streak is the rule's result and at least its length
+ */
+const meetsStreak = (streak, rule) => Boolean(streak) && streak.result === rule.result && streak.length >= rule.length;
+
+/**
+ * Index games by id, the schedule first so the recent games' latest scores win
+ * @param {Object} data - Dashboard data ({ games, schedule })
+ * @returns {Map<string, Object>} Games by id
+ */
+const indexGames = ({ games = [], schedule = [] }) => new Map([...schedule, ...games].map(game => [String(game.id), game]));
+
+/**
+ * Check whether a team matches a rule's team
+ * @param {Object} rule - Rule
+ * @param {string|number} teamId - Team identifier
+ * @returns {boolean} True for the rule's team, or any team when it has none
+ */
+const matchesTeam = (rule, teamId) => rule.teamId === null || String(rule.teamId) === String(teamId);
+
+/**
+ * Evaluate alert rules on the difference between two loads of the same league and season
+ * Each rule fires when its condition becomes true, not while it stays true
+ * @param {Array} rules - The league's rules
+ * @param {Object} previous - Dashboard data before ({ standings, games, schedule })
+ * @param {Object} current - Dashboard data after
+ * @returns {Array} Alerts ({ ruleId, title, body, tag }); the tag identifies the event (see sendBrowserNotification)
+ */
+export const evaluateAlerts = (rules, previous, current) => {
+    const alerts = [];
+    const before = new Map(previous.standings.map(team => [String(team.id), team]));
+    const earlierGames = indexGames(previous);
+
+    rules.forEach(rule => {
+        if (rule.type === 'final') {
+            indexGames(current).forEach((game, id) => {
+                const earlier = earlierGames.get(id);
+                if (game.status !== 'final' || !earlier || earlier.status === 'final') return;
+                if (!matchesTeam(rule, game.homeTeamId) && !matchesTeam(rule, game.awayTeamId)) return;
+
+                alerts.push({
+                    ruleId: rule.id,
+                    title: `Final: ${game.homeTeam} ${game.homeScore} - ${game.awayScore} ${game.awayTeam}`,
+                    body: `${describeAlertRule(rule)} · ${formatDate(game.date)}`,
+                    tag: `${rule.id}:${id}`
+                });
+            });
+            return;
+        }
+
+        current.standings.forEach(team => {
+            const earlier = before.get(String(team.id));
+            if (!earlier || !matchesTeam(rule, team.id)) return;
+
+            if (rule.type === 'streak') {
+                const streak = parseStreak(team.streak);
+                if (!meetsStreak(streak, rule) || meetsStreak(parseStreak(earlier.streak), rule)) return;
+
+                alerts.push({
+                    ruleId: rule.id,
+                    title: `${team.name}: ${team.streak}`,
+                    body: describeAlertRule(rule),
+                    tag: `${rule.id}:${team.id}:${team.streak}`
+                });
+            } else if (team.rank <= rule.rank && earlier.rank > rule.rank) {
+                alerts.push({
+                    ruleId: rule.id,
+                    title: `${team.name} is up to #${team.rank}`,
+                    body: `${describeAlertRule(rule)} (was #${earlier.rank})`,
+                    tag: `${rule.id}:${team.id}:${team.rank}`
+                });
+            }
+        });
+    });
+
+    return alerts;
+};
+
+/**
+ * Read the alert history
+ * @returns {Array} Delivered alerts, newest first ({ id, title, body, league, timestamp, read })
+ */
+export const getAlertHistory = () => {
+    const history = readPreference(HISTORY_PREFERENCE, []);
+    return Array.isArray(history) ? history : [];
+};
+
+/**
+ * Add delivered alerts to the history
+ * @param {Array} alerts - Alerts ({ id, title, body, league, timestamp })
+ * @returns {Array} History, newest first
+ */
+export const addAlertHistory = (alerts) => {
+    const history = [...alerts.map(alert => ({ ...alert, read: false })).reverse(), ...getAlertHistory()].slice(0, MAX_ALERT_HISTORY);
+    writePreference(HISTORY_PREFERENCE, history);
+    return history;
+};
+
+/**
+ * Mark every alert in the history as read
+ * @returns {Array} History, newest first
+ */
+export const markAlertHistoryRead = () => {
+    const history = getAlertHistory().map(alert => ({ ...alert, read: true }));
+    writePreference(HISTORY_PREFERENCE, history.length ? history : null);
+    return history;
+};
+
+/**
+ * Empty the alert history
+ * @returns {Array} The empty history
+ */
+export const clearAlertHistory = () => {
+    writePreference(HISTORY_PREFERENCE, null);
+    return [];
+};
+
+/**
+ * Get the browser notification permission
+ * @returns {string} 'granted', 'denied', 'default', or 'unsupported' without the Notifications API
+ */
+export const getNotificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+/**
+ * Ask for permission to show browser notifications
+ * Must run from a user gesture (e.g. saving a rule)
+ * @returns {Promise<string>} Promise resolving to the permission (see getNotificationPermission)
+ */
+export const requestNotificationPermission = async () => {
+    const permission = getNotificationPermission();
+    if (permission !== 'default') return permission;
+
+    try {
+        return await Notification.requestPermission();
+    } catch (error) {
+        console.warn('Notification permission request failed:', error.message);
+        return getNotificationPermission();
+    }
+};
+
+/**
+ * Show an alert as a browser notification
+ * Notifications with the same tag replace each other instead of stacking
+ * @param {Object} alert - Alert ({ title, body, tag })
+ * @returns {boolean} True when the notification was shown; false means the caller should fall back to the page
+ */
+export const sendBrowserNotification = ({ title, body, tag }) => {
+    if (getNotificationPermission() !== 'granted') return false;
+
+    try {
+        new Notification(title, { body, tag });
+        return true;
+    } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.warn('Browser notification failed:', error.message);
+        return false;
+    }
+};
+
+export default {
+    MAX_ALERT_HISTORY,
+    ALERT_TYPES,
+    STREAK_RESULTS,
+    getAlertRules,
+    getAlertRuleError,
+    addAlertRule,
+    removeAlertRule,
+    describeAlertRule,
+    evaluateAlerts,
+    getAlertHistory,
+    addAlertHistory,
+    markAlertHistoryRead,
+    clearAlertHistory,
+    getNotificationPermission,
+    requestNotificationPermission,
+    sendBrowserNotification
+};
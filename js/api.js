@@ -1,396 +1,473 @@
 /**
- * API module for fetching sports data from MySportsFeeds
+ * API module for fetching sports data
  * Demonstrates async/await, Promises, error handling, and real API integration
+ *
+ * Data comes from pluggable providers (see js/providers/) selected per league
+ * through API_CONFIG.PROVIDERS. The mock provider is always the fallback.
  */
 
-import { getRandomInt, getRandomElement } from './utils.js';
 // Use public config (works on GitHub Pages with mock data)
 // For local development with real API, copy config-public.js to config.js and add your API key
 import { API_CONFIG } from './config-public.js';
+import { registerProvider, resolveProvider, getFallbackProvider } from './providers/index.js';
+import { createMySportsFeedsProvider } from './providers/mysportsfeeds.js';
+import { createFixturesProvider } from './providers/fixtures.js';
+import { createMockProvider } from './providers/mock.js';
+import { ApiError, ERROR_TYPES } from './http.js';
+import { cached, createCacheKey } from './cache.js';
+import { buildStandings, addRecordSplits } from './standings.js';
+import { summarizeTeamSchedule } from './team.js';
+import { summarizePlayerProfile } from './players.js';
+import { summarizeFavorite } from './favorites.js';
+import { buildSearchIndex, searchIndex } from './search.js';
+import { computeDashboardStats } from './summary.js';
+import { getLeague, getPlayerStats } from './leagues.js';
+import { isOffline } from './offline.js';
 
-// Mock team names for different sports
-const NBA_TEAMS = [
-    'Lakers', 'Celtics', 'Warriors', 'Nets', 'Bucks', 'Heat', 
-    'Suns', 'Nuggets', 'Mavericks', 'Clippers', '76ers', 'Raptors'
-];
+registerProvider('mysportsfeeds', createMySportsFeedsProvider(API_CONFIG.MYSPORTSFEEDS, API_CONFIG.SETTINGS));
+registerProvider('proxy', createMySportsFeedsProvider({
+    ...API_CONFIG.MYSPORTSFEEDS,
+    API_KEY: null,
+    PROXY_URL: API_CONFIG.PROVIDERS?.PROXY?.BASE_URL
+}, API_CONFIG.SETTINGS));
+registerProvider('fixtures', createFixturesProvider(API_CONFIG.PROVIDERS?.FIXTURES));
+registerProvider('mock', createMockProvider(API_CONFIG.MOCK));
 
-const NFL_TEAMS = [
-    'Chiefs', 'Bills', '49ers', 'Eagles', 'Cowboys', 'Bengals',
-    'Patriots', 'Packers', 'Ravens', 'Steelers', 'Rams', 'Seahawks'
-];
+// Errors that mean the provider is misconfigured; these are surfaced instead of hidden behind mock data
+const SURFACED_ERRORS = [ERROR_TYPES.AUTH, ERROR_TYPES.SCHEMA];
 
-const MLB_TEAMS = [
-    'Yankees', 'Dodgers', 'Red Sox', 'Astros', 'Braves', 'Cubs',
-    'Cardinals', 'Giants', 'Mets', 'Phillies', 'Rays', 'Blue Jays'
-];
+// What the optional provider methods serve, for unsupported errors
+const METHOD_LABELS = {
+    fetchLiveGames: 'live scores',
+    fetchSchedule: 'season schedules',
+    fetchTeamSchedule: 'team schedules',
+    fetchPlayers: 'player stats',
+    fetchPlayerProfile: 'player profiles'
+};
+
+/**
+ * Call a provider method for a league, falling back to mock data on transient failures
+ * Methods the provider does not implement raise an `unsupported` error rather than
+ * mixing mock ids and names into its data
+ * @param {string} league - League identifier
+ * @param {string|null} season - Season identifier (null lets the provider use its current season)
+ * @param {string} method - Provider method name
+ * @param {...*} args - Extra arguments passed before the league and season
+ * @returns {Promise<Object>} Object with `data`, the `source` that served it and whether it is a `fallback`
+ */
+const callProvider = async (league, season, method, ...args) => {
+    const provider = resolveProvider(league, API_CONFIG.PROVIDERS);
+    const fallback = getFallbackProvider();
 
-const EPL_TEAMS = [
-    'Man City', 'Arsenal', 'Liverpool', 'Chelsea', 'Man United', 'Tottenham',
-    'Newcastle', 'Brighton', 'Aston Villa', 'West Ham', 'Leicester', 'Everton'
-];
+    if (typeof provider[method] !== 'function') {
+        throw new ApiError(`${provider.name} does not provide ${METHOD_LABELS[method] || method}`, { type: ERROR_TYPES.UNSUPPORTED });
+    }
+
+    try {
+        return { data: await provider[method](...args, league, season), source: provider.name, fallback: false };
+    } catch (error) {
+        if (provider === fallback || SURFACED_ERRORS.includes(error.type)) throw error;
 
-// MySportsFeeds API Helper Functions
+        console.warn(`${provider.name} failed for ${method}, falling back to mock data:`, error.message);
+        return { data: await fallback[method](...args, league, season), source: fallback.name, fallback: true };
+    }
+};
 
 /**
- * Create authentication headers for MySportsFeeds
- * @returns {Headers} Headers object with authentication
+ * Fetch an endpoint through the response cache
+ * Offline, the last cached response is served as is, so stale data is not replaced by mock data.
+ * Mock data served because the provider failed is never cached: the next request tries the provider again
+ * @param {string} league - League identifier
+ * @param {Object} request - What to fetch
+ * @param {string} request.endpoint - Cache endpoint name (standings, games, live, schedule, players, player)
+ * @param {string} request.method - Provider method name
+ * @param {Array} [request.args=[]] - Provider arguments before the league; also part of the cache key
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @param {Function} [transform] - Applied to the response data after it leaves the cache
+ * @returns {Promise<Object>} Response object
  */
-const createAuthHeaders = () => {
-    const headers = new Headers();
-    // MySportsFeeds uses Basic Auth with API key as username and 'MYSPORTSFEEDS' as password
-    const credentials = btoa(`${API_CONFIG.MYSPORTSFEEDS.API_KEY}:MYSPORTSFEEDS`);
-    headers.append('Authorization', `Basic ${credentials}`);
-    headers.append('Accept', 'application/json');
-    return headers;
+const fetchEndpoint = async (league, { endpoint, method, args = [] }, options = {}, transform = data => data) => {
+    const season = options.season || null;
+
+    const fetcher = async () => {
+        const { data, source, fallback } = await callProvider(league, season, method, ...args);
+
+        return {
+            success: true,
+            data,
+            league: league.toUpperCase(),
+            season,
+            source,
+            fallback,
+            timestamp: new Date().toISOString()
+        };
+    };
+
+    const finish = (response) => ({ ...response, data: transform(response.data) });
+
+    if (!API_CONFIG.CACHE?.ENABLED) {
+        return finish(await fetcher());
+    }
+
+    const key = createCacheKey(league, season || API_CONFIG.MYSPORTSFEEDS.SEASON || 'current', endpoint, ...args);
+    const ttl = API_CONFIG.CACHE.TTL?.[endpoint] ?? 0;
+    const { value, cached: fromCache, stale } = await cached(key, ttl, fetcher, {
+        ...options,
+        offline: isOffline(),
+        cacheable: response => !response.fallback,
+        onRevalidate: options.onRevalidate && (fresh => options.onRevalidate(finish(fresh)))
+    });
+
+    return { ...finish(value), cached: fromCache, stale };
 };
 
 /**
- * Make authenticated request to MySportsFeeds API
- * @param {string} endpoint - API endpoint path
- * @param {string} league - League identifier (nba, nfl, etc.)
- * @returns {Promise<Object>} API response data
+ * Treat an endpoint the provider does not offer as empty, for data that only supplements a view
+ * @param {Promise<Object>} request - Endpoint request
+ * @returns {Promise<Object>} The response, or an empty one when the endpoint is unsupported
+ */
+const emptyWhenUnsupported = (request) => request.catch(error => {
+    if (error.type !== ERROR_TYPES.UNSUPPORTED) throw error;
+    return { success: true, data: [], source: null, cached: false };
+});
+
+/**
+ * Check whether data was generated by the mock provider
+ * @param {string} source - Name of the provider that served the data
+ * @returns {boolean} True for mock (demo) data
  */
-const fetchFromMySportsFeeds = async (endpoint, league = 'nba') => {
-    const url = `${API_CONFIG.MYSPORTSFEEDS.BASE_URL}/${league}/${API_CONFIG.MYSPORTSFEEDS.SEASON}/${endpoint}.json`;
-    
+export const isMockSource = (source) => source === getFallbackProvider().name;
+
+/**
+ * Get the day a data source treats as today
+ * Mock data is simulated up to its own "today" (API_CONFIG.MOCK.AS_OF)
+ * @param {string} source - Name of the provider that served the data
+ * @returns {Date} Today for that source
+ */
+export const getToday = (source) => (isMockSource(source) && API_CONFIG.MOCK?.AS_OF
+    ? new Date(API_CONFIG.MOCK.AS_OF)
+    : new Date());
+
+/**
+ * Fetch team standings
+ * Raw provider records are ranked and enriched by the league's standings schema
+ * @param {string} league - League identifier
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to standings data
+ */
+export const fetchStandings = async (league = 'nba', options = {}) => {
     try {
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: createAuthHeaders(),
-            timeout: API_CONFIG.SETTINGS.timeout
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        return data;
+        return await fetchEndpoint(league, { endpoint: 'standings', method: 'fetchStandings' }, options, records => buildStandings(records, league));
     } catch (error) {
-        console.error('MySportsFeeds API Error:', error);
+        console.error('Error fetching standings:', error);
         throw error;
     }
 };
 
 /**
- * Check if we should use real API or fallback to mock data
- * @returns {boolean} True if API key is configured
+ * Fetch recent games
+ * @param {string} league - League identifier
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to games data
  */
-const isAPIConfigured = () => {
-    return API_CONFIG.MYSPORTSFEEDS.API_KEY && 
-           API_CONFIG.MYSPORTSFEEDS.API_KEY !== 'YOUR_API_KEY_HERE' &&
-           API_CONFIG.MYSPORTSFEEDS.API_KEY !== 'YOUR_MYSPORTSFEEDS_API_KEY_HERE';
+export const fetchRecentGames = async (league = 'nba', options = {}) => {
+    try {
+        return await fetchEndpoint(league, { endpoint: 'games', method: 'fetchGames' }, options);
+    } catch (error) {
+        console.error('Error fetching games:', error);
+        throw error;
+    }
 };
 
 /**
- * Simulates an API delay
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} Promise that resolves after delay
+ * Fetch today's games with live scores
+ * @param {string} league - League identifier
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to today's games (scheduled, live and final)
  */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const fetchLiveGames = async (league = 'nba', options = {}) => {
+    try {
+        return await fetchEndpoint(league, { endpoint: 'live', method: 'fetchLiveGames' }, options);
+    } catch (error) {
+        console.error('Error fetching live games:', error);
+        throw error;
+    }
+};
 
 /**
- * Simulate network request with random delay
- * @param {number} minMs - Minimum delay
- * @param {number} maxMs - Maximum delay
- * @returns {Promise} Promise that resolves after random delay
+ * Fetch the league's full season schedule (played and upcoming games)
+ * @param {string} league - League identifier
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to every game of the season
  */
-const simulateNetworkDelay = async (minMs = 300, maxMs = 800) => {
-    const delayTime = getRandomInt(minMs, maxMs);
-    await delay(delayTime);
+export const fetchSchedule = async (league = 'nba', options = {}) => {
+    try {
+        return await fetchEndpoint(league, { endpoint: 'schedule', method: 'fetchSchedule' }, options);
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        throw error;
+    }
 };
 
 /**
- * Generate mock team data
- * @param {string[]} teams - Array of team names
- * @returns {Array} Array of team objects with stats
+ * Fetch dashboard statistics
+ * Computed from the standings, the season schedule and player totals
+ * @param {string} league - League identifier
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @param {Function} [options.onRevalidate] - Called with recomputed stats after a background revalidation
+ * @param {string|null} [options.season=null] - Season identifier (null for the current season)
+ * @returns {Promise<Object>} Promise resolving to stats data
  */
-const generateMockTeams = (teams) => {
-    return teams.map((name, index) => {
-        const wins = getRandomInt(5, 45);
-        const losses = getRandomInt(5, 45);
-        const total = wins + losses;
-        const winPct = (wins / total).toFixed(3);
-        const streak = getRandomInt(1, 8);
-        const streakType = Math.random() > 0.5 ? 'W' : 'L';
-        
+export const fetchDashboardStats = async (league = 'nba', { force = false, onRevalidate, season = null } = {}) => {
+    const responses = {};
+    let settled = false;
+
+    const compose = () => {
+        const today = getToday(responses.schedule.source);
+
         return {
-            id: index + 1,
-            name,
-            wins,
-            losses,
-            winPct: parseFloat(winPct),
-            streak: `${streakType}${streak}`,
-            points: getRandomInt(80, 120),
-            gamesPlayed: total
+            success: true,
+            data: computeDashboardStats({
+                standings: responses.standings.data,
+                schedule: responses.schedule.data,
+                players: responses.players.data
+            }, league, { today }),
+            league: league.toUpperCase(),
+            season,
+            source: responses.schedule.source,
+            fallback: Object.values(responses).some(response => response.fallback),
+            cached: Object.values(responses).some(response => response.cached),
+            timestamp: responses.schedule.timestamp
         };
-    });
+    };
+
+    const revalidated = (endpoint) => (value) => {
+        responses[endpoint] = { ...value, cached: false, stale: false };
+        if (settled) onRevalidate?.(compose());
+    };
+
+    try {
+        const [standings, schedule, players] = await Promise.all([
+            fetchStandings(league, { force, season, onRevalidate: revalidated('standings') }),
+            fetchSchedule(league, { force, season, onRevalidate: revalidated('schedule') }),
+            // Without player stats the summary simply has no player leader
+            emptyWhenUnsupported(fetchPlayers(league, { force, season, onRevalidate: revalidated('players') }))
+        ]);
+
+        responses.standings ??= standings;
+        responses.schedule ??= schedule;
+        responses.players ??= players;
+        settled = true;
+
+        return compose();
+
+    } catch (error) {
+        console.error('Error fetching dashboard stats:', error);
+        throw error;
+    }
 };
 
 /**
- * Generate mock game data
- * @param {string[]} teams - Array of team names
- * @param {number} count - Number of games to generate
- * @returns {Array} Array of game objects
+ * Fetch a team's full schedule (played and upcoming games)
+ * @param {string} league - League identifier
+ * @param {string|number} teamId - Team identifier from the standings
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to the team's games
  */
-const generateMockGames = (teams, count = 6) => {
-    const games = [];
-    const usedPairs = new Set();
-    
-    for (let i = 0; i < count; i++) {
-        let homeTeam, awayTeam;
-        let pairKey;
-        
-        // Ensure unique team matchups
-        do {
-            homeTeam = getRandomElement(teams);
-            awayTeam = getRandomElement(teams.filter(t => t !== homeTeam));
-            pairKey = [homeTeam, awayTeam].sort().join('-');
-        } while (usedPairs.has(pairKey));
-        
-        usedPairs.add(pairKey);
-        
-        const homeScore = getRandomInt(80, 130);
-        const awayScore = getRandomInt(80, 130);
-        const date = new Date();
-        date.setDate(date.getDate() - getRandomInt(0, 7));
-        
-        games.push({
-            id: i + 1,
-            homeTeam,
-            awayTeam,
-            homeScore,
-            awayScore,
-            date: date.toISOString(),
-            status: 'final',
-            winner: homeScore > awayScore ? homeTeam : awayTeam
-        });
+export const fetchTeamSchedule = async (league, teamId, options = {}) => {
+    try {
+        return await fetchEndpoint(league, { endpoint: 'schedule', method: 'fetchTeamSchedule', args: [teamId] }, options);
+    } catch (error) {
+        console.error('Error fetching team schedule:', error);
+        throw error;
     }
-    
-    return games;
 };
 
 /**
- * Fetch team standings
+ * Fetch everything the team detail view needs
+ * Combines the team's standings row with a summary of its schedule
  * @param {string} league - League identifier
- * @returns {Promise<Object>} Promise resolving to standings data
+ * @param {string|number} teamId - Team identifier from the standings
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @param {string|null} [options.season=null] - Season identifier (null for the current season)
+ * @returns {Promise<Object>} Promise resolving to team detail data
  */
-export const fetchStandings = async (league = 'nba') => {
+export const fetchTeamDetail = async (league, teamId, { force = false, season = null } = {}) => {
     try {
-        // Try to use real API if configured
-        if (isAPIConfigured()) {
-            try {
-                const data = await fetchFromMySportsFeeds('standings', league);
-                
-                // Transform MySportsFeeds data to our format
-                const standings = data.standings.map((standing, index) => {
-                    const team = standing.team;
-                    const stats = standing.stats;
-                    
-                    return {
-                        id: team.id,
-                        name: team.abbreviation || team.city,
-                        wins: stats.wins || 0,
-                        losses: stats.losses || 0,
-                        winPct: parseFloat((stats.wins / (stats.wins + stats.losses)).toFixed(3)) || 0,
-                        streak: stats.streak || 'N/A',
-                        points: stats.pointsFor || getRandomInt(80, 120),
-                        gamesPlayed: stats.gamesPlayed || (stats.wins + stats.losses)
-                    };
-                });
-                
-                return {
-                    success: true,
-                    data: standings,
-                    league: league.toUpperCase(),
-                    source: 'MySportsFeeds',
-                    timestamp: new Date().toISOString()
-                };
-            } catch (apiError) {
-                console.warn('Real API failed, falling back to mock data:', apiError.message);
-            }
-        }
-        
-        // Fallback to mock data
-        await simulateNetworkDelay();
-        
-        // Select teams based on league
-        let teams;
-        switch(league.toLowerCase()) {
-            case 'nba':
-                teams = NBA_TEAMS;
-                break;
-            case 'nfl':
-                teams = NFL_TEAMS;
-                break;
-            case 'mlb':
-                teams = MLB_TEAMS;
-                break;
-            case 'epl':
-                teams = EPL_TEAMS;
-                break;
-            default:
-                teams = NBA_TEAMS;
+        const [standings, schedule] = await Promise.all([
+            fetchStandings(league, { force, season }),
+            fetchTeamSchedule(league, teamId, { force, season })
+        ]);
+
+        const team = standings.data.find(standing => String(standing.id) === String(teamId));
+        if (!team) {
+            throw new Error(`Team ${teamId} not found in ${league.toUpperCase()} standings`);
         }
-        
-        const standings = generateMockTeams(teams);
-        
+
         return {
             success: true,
-            data: standings,
+            team,
+            summary: summarizeTeamSchedule(schedule.data, teamId, getLeague(league)),
             league: league.toUpperCase(),
-            source: 'Mock Data',
-            timestamp: new Date().toISOString()
+            season,
+            source: schedule.source,
+            timestamp: schedule.timestamp
         };
-        
+
     } catch (error) {
-        console.error('Error fetching standings:', error);
+        console.error('Error fetching team detail:', error);
         throw error;
     }
 };
 
 /**
- * Fetch recent games
+ * Fetch a team's record across seasons
  * @param {string} league - League identifier
- * @returns {Promise<Object>} Promise resolving to games data
+ * @param {string|number} teamId - Team identifier from the standings
+ * @param {Object} options - Options
+ * @param {Array} options.seasons - Seasons to compare ({ id, label, type, current }), e.g. from getSeasons
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @returns {Promise<Object>} Promise resolving to one row per season ({ season, label, type, team, teams });
+ *   `team` is the team's standings row, or null when it did not take part (e.g. missed the playoffs)
  */
-export const fetchRecentGames = async (league = 'nba') => {
+export const fetchTeamHistory = async (league, teamId, { seasons, force = false }) => {
     try {
-        // Try to use real API if configured
-        if (isAPIConfigured()) {
-            try {
-                const data = await fetchFromMySportsFeeds('games', league);
-                
-                // Transform MySportsFeeds data to our format
-                const games = data.games.slice(0, 6).map((game, index) => {
-                    const schedule = game.schedule;
-                    const score = game.score;
-                    
-                    return {
-                        id: schedule.id,
-                        homeTeam: schedule.homeTeam.abbreviation || schedule.homeTeam.city,
-                        awayTeam: schedule.awayTeam.abbreviation || schedule.awayTeam.city,
-                        homeScore: score?.homeScoreTotal || 0,
-                        awayScore: score?.awayScoreTotal || 0,
-                        date: schedule.startTime,
-                        status: schedule.playedStatus === 'COMPLETED' ? 'final' : 'scheduled',
-                        winner: score?.homeScoreTotal > score?.awayScoreTotal ? 
-                                schedule.homeTeam.abbreviation : schedule.awayTeam.abbreviation
-                    };
-                });
-                
-                return {
-                    success: true,
-                    data: games,
-                    league: league.toUpperCase(),
-                    source: 'MySportsFeeds',
-                    timestamp: new Date().toISOString()
-                };
-            } catch (apiError) {
-                console.warn('Real API failed for games, falling back to mock data:', apiError.message);
-            }
-        }
-        
-        // Fallback to mock data
-        await simulateNetworkDelay();
-        
-        let teams;
-        switch(league.toLowerCase()) {
-            case 'nba':
-                teams = NBA_TEAMS;
-                break;
-            case 'nfl':
-                teams = NFL_TEAMS;
-                break;
-            case 'mlb':
-                teams = MLB_TEAMS;
-                break;
-            case 'epl':
-                teams = EPL_TEAMS;
-                break;
-            default:
-                teams = NBA_TEAMS;
-        }
-        
-        const games = generateMockGames(teams);
-        
+        const standings = await Promise.all(seasons.map(season =>
+            fetchStandings(league, { force, season: season.current ? null : season.id })));
+
         return {
             success: true,
-            data: games,
+            data: seasons.map((season, index) => ({
+                season: season.id,
+                label: season.label,
+                type: season.type,
+                team: standings[index].data.find(standing => String(standing.id) === String(teamId)) || null,
+                teams: standings[index].data.length
+            })),
             league: league.toUpperCase(),
-            source: 'Mock Data',
+            source: standings[0]?.source,
             timestamp: new Date().toISOString()
         };
-        
+
     } catch (error) {
-        console.error('Error fetching games:', error);
+        console.error('Error fetching team history:', error);
         throw error;
     }
 };
 
 /**
- * Fetch dashboard statistics
+ * Fetch current-season summaries for favorite teams across leagues
+ * A league that fails to load only marks its own favorites as unavailable
+ * @param {Array} favorites - Favorites ({ league, teamId, name })
+ * @param {Object} options - Options ({ force })
+ * @returns {Promise<Object>} Promise resolving to one entry per favorite
+ *   ({ league, teamId, name, team, summary, error }); `team` is null when it could not be loaded
+ */
+export const fetchFavoriteTeams = async (favorites, { force = false } = {}) => {
+    const leagues = [...new Set(favorites.map(favorite => favorite.league))];
+
+    const results = await Promise.all(leagues.map(async league => {
+        try {
+            const [standings, schedule] = await Promise.all([
+                fetchStandings(league, { force }),
+                fetchSchedule(league, { force })
+            ]);
+            return { league, standings: standings.data, schedule: schedule.data };
+        } catch (error) {
+            return { league, error: error.message };
+        }
+    }));
+
+    return {
+        success: true,
+        data: favorites.map(favorite => {
+            const result = results.find(entry => entry.league === favorite.league);
+            const team = result.standings?.find(standing => String(standing.id) === String(favorite.teamId)) || null;
+
+            return {
+                ...favorite,
+                team,
+                summary: team ? summarizeFavorite(team, result.schedule, getLeague(favorite.league)) : null,
+                error: result.error || (team ? null : 'Not in the current standings')
+            };
+        }),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Fetch the league's players
  * @param {string} league - League identifier
- * @returns {Promise<Object>} Promise resolving to stats data
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to players ({ id, name, teamId, team, position, number })
  */
-export const fetchDashboardStats = async (league = 'nba') => {
+export const fetchPlayers = async (league = 'nba', options = {}) => {
     try {
-        await simulateNetworkDelay(200, 500);
-        
-        const totalTeams = 12;
-        const gamesToday = getRandomInt(3, 8);
-        const topScorer = getRandomElement(['LeBron James', 'Stephen Curry', 'Kevin Durant', 'Giannis Antetokounmpo']);
-        const avgScore = getRandomInt(105, 115);
-        
-        return {
-            success: true,
-            data: {
-                totalTeams,
-                gamesToday,
-                topScorer,
-                avgScore
-            },
-            league: league.toUpperCase(),
-            timestamp: new Date().toISOString()
-        };
-        
+        return await fetchEndpoint(league, { endpoint: 'players', method: 'fetchPlayers' }, options);
     } catch (error) {
-        console.error('Error fetching dashboard stats:', error);
+        console.error('Error fetching players:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetch a player profile with season stats and game log
+ * @param {string} league - League identifier
+ * @param {string|number} playerId - Player identifier
+ * @param {Object} options - Options ({ force, onRevalidate, season })
+ * @returns {Promise<Object>} Promise resolving to the profile ({ player, gamesPlayed, totals, averages, gameLog })
+ */
+export const fetchPlayerProfile = async (league, playerId, options = {}) => {
+    try {
+        return await fetchEndpoint(
+            league,
+            { endpoint: 'player', method: 'fetchPlayerProfile', args: [playerId] },
+            options,
+            profile => summarizePlayerProfile(profile, getPlayerStats(league), getLeague(league))
+        );
+    } catch (error) {
+        console.error('Error fetching player profile:', error);
         throw error;
     }
 };
 
 /**
- * Search for teams or players
+ * Search teams, players and games
+ * Matches are fuzzy (typos and abbreviations are tolerated) and grouped by type
  * @param {string} query - Search query
  * @param {string} league - League identifier
- * @returns {Promise<Object>} Promise resolving to search results
+ * @param {Object} options - Options
+ * @param {number} [options.limit=5] - Maximum results per group
+ * @param {string|null} [options.season=null] - Season identifier (null for the current season)
+ * @returns {Promise<Object>} Promise resolving to search results ({ teams, players, games })
  */
-export const searchData = async (query, league = 'nba') => {
+export const searchData = async (query, league = 'nba', { limit = 5, season = null } = {}) => {
     try {
-        await simulateNetworkDelay(100, 300);
-        
         if (!query || query.trim().length === 0) {
             return {
                 success: true,
-                data: [],
+                data: { teams: [], players: [], games: [] },
                 message: 'Empty search query'
             };
         }
-        
-        // Mock search results
-        const results = [
-            { type: 'team', name: query, league },
-            { type: 'player', name: `${query} Player`, team: 'Team Name', league }
-        ];
-        
+
+        const [standings, players, games] = await Promise.all([
+            fetchStandings(league, { season }),
+            emptyWhenUnsupported(fetchPlayers(league, { season })),
+            fetchRecentGames(league, { season })
+        ]);
+        const index = buildSearchIndex({ standings: standings.data, players: players.data, games: games.data });
+
         return {
             success: true,
-            data: results,
+            data: searchIndex(index, query.trim(), { limit }),
             query,
-            league: league.toUpperCase()
+            league: league.toUpperCase(),
+            source: standings.source
         };
-        
+
     } catch (error) {
         console.error('Error searching:', error);
         throw error;
@@ -399,27 +476,59 @@ export const searchData = async (query, league = 'nba') => {
 
 /**
  * Fetch all data in parallel
+ * Cached responses are returned immediately; stale ones are revalidated in the
+ * background and `onUpdate` is called with the refreshed data set
  * @param {string} league - League identifier
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @param {Function} [options.onUpdate] - Called with all data after a background revalidation
+ * @param {string|null} [options.season=null] - Season identifier (null for the current season)
  * @returns {Promise<Object>} Promise resolving to all data
  */
-export const fetchAllData = async (league = 'nba') => {
+export const fetchAllData = async (league = 'nba', { force = false, onUpdate, season = null } = {}) => {
+    const responses = {};
+    let settled = false;
+
+    const compose = () => ({
+        success: true,
+        standings: addRecordSplits(responses.standings.data, responses.schedule.data, league),
+        games: responses.games.data,
+        stats: responses.stats.data,
+        schedule: responses.schedule.data,
+        league: league.toUpperCase(),
+        season,
+        source: responses.standings.source,
+        // Some of the data is mock data standing in for a failing provider
+        fallback: Object.values(responses).some(response => response.fallback),
+        cached: Object.values(responses).some(response => response.cached),
+        timestamp: responses.standings.timestamp
+    });
+
+    // Swap in a revalidated response and publish the updated data set
+    const revalidated = (endpoint) => (value) => {
+        responses[endpoint] = { ...value, cached: false, stale: false };
+        if (settled) onUpdate?.(compose());
+    };
+
     try {
         // Fetch all data concurrently using Promise.all
-        const [standings, games, stats] = await Promise.all([
-            fetchStandings(league),
-            fetchRecentGames(league),
-            fetchDashboardStats(league)
+        // The schedule is shared with the stats (concurrent requests for it are deduplicated)
+        const [standings, games, stats, schedule] = await Promise.all([
+            fetchStandings(league, { force, season, onRevalidate: revalidated('standings') }),
+            fetchRecentGames(league, { force, season, onRevalidate: revalidated('games') }),
+            fetchDashboardStats(league, { force, season, onRevalidate: revalidated('stats') }),
+            fetchSchedule(league, { force, season, onRevalidate: revalidated('schedule') })
         ]);
-        
-        return {
-            success: true,
-            standings: standings.data,
-            games: games.data,
-            stats: stats.data,
-            league: league.toUpperCase(),
-            timestamp: new Date().toISOString()
-        };
-        
+
+        // Keep any revalidated response that arrived before the others settled
+        responses.standings ??= standings;
+        responses.games ??= games;
+        responses.stats ??= stats;
+        responses.schedule ??= schedule;
+        settled = true;
+
+        return compose();
+
     } catch (error) {
         console.error('Error fetching all data:', error);
         throw error;
@@ -427,9 +536,19 @@ export const fetchAllData = async (league = 'nba') => {
 };
 
 export default {
+    isMockSource,
+    getToday,
     fetchStandings,
     fetchRecentGames,
+    fetchLiveGames,
+    fetchSchedule,
     fetchDashboardStats,
+    fetchTeamSchedule,
+    fetchTeamDetail,
+    fetchTeamHistory,
+    fetchFavoriteTeams,
+    fetchPlayers,
+    fetchPlayerProfile,
     searchData,
     fetchAllData
 };
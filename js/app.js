@@ -4,104 +4,1292 @@
  * Demonstrates event handling, state management, and async operations
  */
 
-import { fetchAllData, searchData } from './api.js';
-import { showLoading, hideLoading, showError, hideError, updateUI, showNotification } from './ui.js';
-import { debounce, filterBySearch } from './utils.js';
+import { fetchAllData, fetchLiveGames, fetchTeamDetail, fetchTeamHistory, fetchFavoriteTeams, fetchPlayerProfile, searchData, getToday, isMockSource } from './api.js';
+import { API_CONFIG } from './config-public.js';
+import {
+    showLoading, hideLoading, showError, hideError, updateUI, showNotification, renderOfflineBanner, renderDataSource,
+    renderLeagueOptions, renderSportOptions, renderSeasonOptions, applyTerminology,
+    showTeamPanel, hideTeamPanel, renderTeamDetail, renderTeamHistory,
+    showPlayerPanel, hidePlayerPanel, renderPlayerProfile,
+    renderSearchSuggestions, hideSearchSuggestions, highlightGame, updateGameCards, renderSchedule, renderExportMenus,
+    renderChartBuilder, hideChartBuilder, downloadChartImage, renderMovementOptions, renderMyTeams,
+    showAlertsPanel, hideAlertsPanel, updateAlertFormFields, renderAlertForm, renderAlerts
+} from './ui.js';
+import { debounce, filterBySearch, downloadFile, generateId } from './utils.js';
+import { ERROR_TYPES } from './http.js';
+import { getLeague, getSports, getLeaguesForSport, getDefaultLeagueForSport, getGameClock, getTerminology, SPORTS, DEFAULT_LEAGUE } from './leagues.js';
+import { STANDINGS_VIEWS, getDefaultColumnKeys, getStandingsViews } from './standings.js';
+import { readURLState, writeURLState } from './url-state.js';
+import { mergeLiveGames, getPollInterval } from './live.js';
+import { SCHEDULE_VIEWS, formatDateParam, parseDateParam, shiftScheduleDate, clampToSchedule, involvesTeam } from './schedule.js';
+import { getSeasons, parseSeason, resolveSeason } from './seasons.js';
+import { compareTeams, MAX_COMPARED_TEAMS, COMPARE_CHARTS } from './compare.js';
+import { buildCalendar } from './ics.js';
+import { readPreference, writePreference } from './preferences.js';
+import { EXPORT_FORMATS, getDefaultExportFormat, buildStandingsTable, buildGamesTable, exportTable } from './export.js';
+import { DEFAULT_CHARTS, DEFAULT_TOP_TEAMS, MAX_CHART_TEAMS, getChartDefinitionError } from './charts.js';
+import {
+    MOVEMENT_BASELINES, HISTORY_METRICS, getSnapshots, saveSnapshot, clearSnapshots,
+    getBaselineSnapshot, getRankMovement, buildHistorySeries
+} from './snapshots.js';
+import { getFavorites, getFavoriteIds, toggleFavorite } from './favorites.js';
+import {
+    getAlertRules, getAlertRuleError, addAlertRule, removeAlertRule, evaluateAlerts,
+    getAlertHistory, addAlertHistory, markAlertHistoryRead, clearAlertHistory,
+    getNotificationPermission, requestNotificationPermission, sendBrowserNotification
+} from './alerts.js';
+import { isOffline, registerServiceWorker, onConnectionChange } from './offline.js';
 
 // Application state
 const state = {
-    currentLeague: 'nba',
+    currentSport: getLeague(DEFAULT_LEAGUE).sport,
+    currentLeague: DEFAULT_LEAGUE,
+    currentSeason: null,
     allData: null,
+    searchQuery: '',
+    standingsView: 'league',
+    standingsSort: null,
+    selectedTeam: null,
+    selectedPlayer: null,
+    calendarView: 'week',
+    calendarDate: null,
+    calendarTeam: null,
+    compareTeams: [],
+    compareChart: 'radar',
+    snapshots: [],
+    historyMetric: 'rank',
+    favorites: getFavorites(),
+    alertRules: getAlertRules(),
+    alertHistory: getAlertHistory(),
+    suggestions: [],
+    activeSuggestion: -1,
+    section: null,
     isLoading: false,
-    autoRefreshInterval: null
+    reloadPending: false,
+    reloadForce: false,
+    reloadWaiters: [],
+    liveGames: null,
+    pollInterval: null,
+    pollTimer: null
+};
+
+// Incremented per typeahead request; responses for older requests are dropped
+let suggestionRequest = 0;
+
+// Incremented per My Teams refresh; responses for older refreshes are dropped
+let myTeamsRequest = 0;
+
+/**
+ * Reflect the shareable parts of the state in the URL
+ * @param {Object} options - Options
+ * @param {boolean} [options.push=false] - Add a history entry (for navigations worth going back to)
+ */
+const updateURL = ({ push = false } = {}) => {
+    writeURLState({
+        sport: state.currentSport,
+        league: state.currentLeague,
+        season: state.currentSeason,
+        query: state.searchQuery,
+        view: state.standingsView,
+        sort: state.standingsSort,
+        team: state.selectedTeam,
+        player: state.selectedPlayer,
+        calendar: state.calendarView,
+        date: state.calendarDate,
+        calendarTeam: state.calendarTeam,
+        compare: state.compareTeams,
+        compareChart: state.compareChart,
+        section: state.section
+    }, { push });
+};
+
+/**
+ * Restore the state from the URL
+ * A league in the URL wins over the sport; unknown values fall back to the defaults
+ */
+const readURL = () => {
+    const { sport, league: leagueId, season, query, view, sort, team, player, calendar, date, calendarTeam, compare, compareChart, section } = readURLState();
+    const league = getLeague(leagueId || '') || getDefaultLeagueForSport(sport) || getLeague(DEFAULT_LEAGUE);
+    
+    state.currentLeague = league.id;
+    state.currentSport = league.sport;
+    state.currentSeason = parseSeason(season, league.id) ? season : null;
+    state.searchQuery = query;
+    state.standingsView = STANDINGS_VIEWS.includes(view) ? view : 'league';
+    state.standingsSort = sort;
+    state.selectedTeam = team;
+    state.selectedPlayer = team === null ? player : null;
+    state.calendarView = SCHEDULE_VIEWS.includes(calendar) ? calendar : 'week';
+    state.calendarDate = parseDateParam(date) ? date : null;
+    state.calendarTeam = calendarTeam;
+    state.compareTeams = [...new Set(compare)].slice(0, MAX_COMPARED_TEAMS);
+    state.compareChart = COMPARE_CHARTS.includes(compareChart) ? compareChart : 'radar';
+    state.section = section;
+};
+
+/**
+ * Sync form controls that mirror the state
+ */
+const renderControls = () => {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = state.searchQuery;
+    
+    renderMovementOptions(getMovementBaseline());
+    
+    const defaultFormat = getDefaultExportFormat();
+    renderExportMenus([defaultFormat, ...EXPORT_FORMATS.filter(format => format !== defaultFormat)]);
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Scroll the section named in the URL hash into view
+ */
+const scrollToSection = () => {
+    const section = state.section && document.getElementById(state.section);
+    if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+/**
+ * Get the seasons offered for the current league
+ * Seasons are dated from the loaded data's "today", so mock data lists its own seasons
+ * @returns {Array} Seasons from getSeasons, plus the selected one when it is older
+ */
+const getSeasonChoices = () => {
+    const seasons = getSeasons(state.currentLeague, { today: getToday(state.allData?.source) });
+    const selected = parseSeason(state.currentSeason, state.currentLeague);
+    
+    return selected && !seasons.some(season => season.id === selected.id) ? [...seasons, selected] : seasons;
+};
+
+/**
+ * Populate the season selector for the current league
+ */
+const renderSeasonSelector = () => {
+    const seasons = getSeasonChoices();
+    const current = seasons.find(season => season.current);
+    renderSeasonOptions(seasons, state.currentSeason || current.id);
+};
+
+/**
+ * Populate the sport, league and season selectors for the current selection
+ */
+const renderSelectors = () => {
+    renderSportOptions(getSports(), state.currentSport);
+    renderLeagueOptions(getLeaguesForSport(state.currentSport), state.currentLeague);
+    renderSeasonSelector();
+    applyTerminology(state.currentLeague);
+};
+
+/**
+ * Get the loaded data filtered by the current search
+ * @returns {Object|null} Dashboard data to display
+ */
+const getVisibleData = () => {
+    const query = state.searchQuery;
+    if (!state.allData || !query) return state.allData;
+    
+    const { standings, games, schedule } = state.allData;
+    
+    return {
+        ...state.allData,
+        standings: filterBySearch(standings, query, ['name']),
+        games: filterBySearch(games, query, ['homeTeam', 'awayTeam']),
+        schedule: filterBySearch(schedule, query, ['homeTeam', 'awayTeam'])
+    };
+};
+
+/**
+ * Get the day the schedule opens on when no date is chosen
+ * Today, or the nearest day of the season when browsing another season
+ * @param {Object} data - Dashboard data
+ * @returns {Date} Default calendar day
+ */
+const getDefaultCalendarDate = (data) => clampToSchedule(getToday(data.source), state.allData?.schedule || []);
+
+/**
+ * Get the schedule calendar's display state
+ * @param {Object} data - Dashboard data
+ * @returns {Object} Calendar options for renderSchedule
+ */
+const getCalendarOptions = (data) => {
+    const today = getToday(data.source);
+    
+    return {
+        view: state.calendarView,
+        date: parseDateParam(state.calendarDate) || getDefaultCalendarDate(data),
+        today,
+        teamId: state.calendarTeam,
+        teams: state.allData.standings
+    };
+};
+
+/**
+ * Get the team comparison's display state
+ * Compares from the full data, so the search filter does not drop compared teams
+ * @returns {Object} Comparison options for renderComparison
+ */
+const getComparisonOptions = () => ({
+    comparison: compareTeams(state.allData, state.compareTeams, state.currentLeague),
+    teams: state.allData.standings,
+    chart: state.compareChart
+});
+
+/**
+ * Get the standings columns chosen for the current league
+ * @returns {Array|null} Visible column keys, or null for the league's defaults
+ */
+const getStandingsColumnKeys = () => readPreference(`standings-columns:${state.currentLeague}`);
+
+/**
+ * Get the charts saved for the current league
+ * @returns {Array} Chart definitions (the default charts until the user saves their own)
+ */
+const getChartDefinitions = () => readPreference(`charts:${state.currentLeague}`) || DEFAULT_CHARTS;
+
+/**
+ * Save the current league's charts
+ * @param {Array|null} definitions - Chart definitions (null restores the defaults)
+ */
+const saveChartDefinitions = (definitions) => writePreference(`charts:${state.currentLeague}`, definitions);
+
+/**
+ * Get the season identifier snapshots are filed under
+ * @param {Object} data - Dashboard data
+ * @returns {string} Selected season, or the current season's identifier
+ */
+const getSnapshotSeason = (data) => resolveSeason(state.currentLeague, state.currentSeason, getToday(data.source)).id;
+
+/**
+ * Get the rank movement selector's baseline
+ * @returns {string} 'last' or 'week'
+ */
+const getMovementBaseline = () => {
+    const baseline = readPreference('movement-baseline');
+    return MOVEMENT_BASELINES.some(option => option.id === baseline) ? baseline : 'last';
+};
+
+/**
+ * Get rank movement and history for the loaded league and season
+ * @param {Object} data - Dashboard data to display (filtered by the search)
+ * @returns {Object} Options for updateUI ({ movement, history })
+ */
+const getSnapshotOptions = (data) => {
+    const season = getSnapshotSeason(data);
+    const snapshots = state.snapshots.filter(snapshot => snapshot.league === state.currentLeague && snapshot.season === season);
+    const baseline = getBaselineSnapshot(snapshots, state.allData.timestamp, getMovementBaseline());
+    
+    return {
+        movement: getRankMovement(state.allData.standings, baseline),
+        history: {
+            series: buildHistorySeries(snapshots, data.standings.slice(0, DEFAULT_TOP_TEAMS), state.historyMetric),
+            metric: state.historyMetric
+        }
+    };
+};
+
+/**
+ * Store a snapshot of freshly loaded standings and refresh the movement and history
+ * Runs in the background; the dashboard renders without waiting for IndexedDB
+ * @param {Object} data - Dashboard data from fetchAllData
+ */
+const recordSnapshot = async (data) => {
+    const league = state.currentLeague;
+    const season = getSnapshotSeason(data);
+    
+    await saveSnapshot({ league, season, timestamp: data.timestamp, source: data.source, standings: data.standings });
+    const snapshots = await getSnapshots(league, season);
+    if (league !== state.currentLeague || data !== state.allData) return;
+    
+    state.snapshots = snapshots;
+    render();
+};
+
+/**
+ * Get the alert rules, history and notification permission for the alerts drawer
+ * @returns {Object} Alerts state (see renderAlerts)
+ */
+const getAlertsState = () => ({
+    rules: state.alertRules,
+    history: state.alertHistory,
+    permission: getNotificationPermission()
+});
+
+/**
+ * Evaluate the current league's alert rules on newly loaded data
+ * Alerts are shown as browser notifications when allowed, as toasts otherwise, and kept in the history
+ * @param {Object|null} previous - Data on screen before the update
+ * @param {Object} current - Updated data
+ */
+const checkAlerts = (previous, current) => {
+    // Only compare two loads of the same league and season; the first load has nothing to compare with
+    if (!previous || previous.league !== current.league || previous.season !== current.season) return;
+    
+    const league = state.currentLeague;
+    const rules = state.alertRules.filter(rule => rule.league === league);
+    const alerts = rules.length ? evaluateAlerts(rules, previous, current) : [];
+    if (alerts.length === 0) return;
+    
+    alerts.forEach(alert => {
+        if (!sendBrowserNotification(alert)) showNotification(alert.title, 'info');
+    });
+    
+    const timestamp = new Date().toISOString();
+    state.alertHistory = addAlertHistory(alerts.map(({ title, body }) => ({ id: generateId(), league, title, body, timestamp })));
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Render dashboard data with the current search and display options
+ * @param {Object} data - Dashboard data (defaults to the loaded data, filtered)
+ */
+const render = (data = getVisibleData()) => {
+    if (!data) return;
+    
+    renderOfflineBanner(isOffline(), state.allData.timestamp);
+    renderDataSource(state.allData.source, isMockSource(state.allData.source), state.allData.fallback);
+    renderSeasonSelector();
+    updateUI(data, {
+        standingsView: state.standingsView,
+        standingsSort: state.standingsSort,
+        standingsColumns: getStandingsColumnKeys(),
+        calendar: getCalendarOptions(data),
+        comparison: getComparisonOptions(),
+        charts: getChartDefinitions(),
+        favorites: getFavoriteIds(state.favorites, state.currentLeague),
+        ...getSnapshotOptions(data)
+    });
+};
+
+/**
+ * Refresh My Teams with the latest record and games of every favorite
+ * Runs in the background; leagues other than the current one are fetched (and cached) as needed
+ */
+const refreshMyTeams = async () => {
+    const request = ++myTeamsRequest;
+    
+    if (state.favorites.length === 0) {
+        renderMyTeams([]);
+        return;
+    }
+    
+    try {
+        const { data } = await fetchFavoriteTeams(state.favorites);
+        if (request === myTeamsRequest) renderMyTeams(data);
+    } catch (error) {
+        console.error('Error loading My Teams:', error);
+    }
+};
+
+/**
+ * Apply data revalidated in the background, if it is still for the current league and season
+ * @param {Object} data - Refreshed dashboard data
+ */
+const handleRevalidatedData = (data) => {
+    if (data.league.toLowerCase() !== state.currentLeague || data.season !== state.currentSeason) return;
+    
+    const previous = state.allData;
+    state.allData = data;
+    render();
+    checkAlerts(previous, data);
+    recordSnapshot(data);
+    console.log('Data revalidated:', data);
+};
+
+/**
+ * Load data for current league and season
+ * Cached data renders immediately and is revalidated in the background when stale
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Bypass the response cache
+ * @returns {Promise<boolean>} Promise resolving to true once the current league and season are on
+ *     screen, false when loading failed (the error is shown). A call made while another load runs
+ *     resolves with the load that follows it
+ */
+const loadData = async ({ force = false } = {}) => {
+    if (state.isLoading) {
+        // Load again once the current request finishes (e.g. the league changed mid-request)
+        state.reloadPending = true;
+        state.reloadForce = state.reloadForce || force;
+        return new Promise(resolve => state.reloadWaiters.push(resolve));
+    }
+    
+    const { currentLeague: league, currentSeason: season } = state;
+    let loaded = false;
+    let superseded = false;
+    state.isLoading = true;
+    showLoading();
+    hideError();
+    
+    try {
+        const data = await fetchAllData(league, { force, season, onUpdate: handleRevalidatedData });
+        superseded = league !== state.currentLeague || season !== state.currentSeason;
+        
+        if (!superseded) {
+            const previous = state.allData;
+            state.allData = data;
+            render();
+            hideLoading();
+            checkAlerts(previous, data);
+            recordSnapshot(data);
+            refreshMyTeams();
+            loaded = true;
+            
+            console.log('Data loaded successfully:', data);
+        }
+        
+    } catch (error) {
+        hideLoading();
+        renderOfflineBanner(isOffline(), null);
+        const hint = error.type === ERROR_TYPES.AUTH ? ' (check your MySportsFeeds API key)' : '';
+        showError(`Failed to load data: ${error.message}${hint}`);
+        console.error('Error loading data:', error);
+    } finally {
+        state.isLoading = false;
+    }
+    
+    if (state.reloadPending) {
+        const waiters = state.reloadWaiters.splice(0);
+        const reloadForce = state.reloadForce;
+        state.reloadPending = false;
+        state.reloadForce = false;
+        
+        const reload = loadData({ force: reloadForce });
+        reload.then(result => waiters.forEach(resolve => resolve(result)));
+        // A load overtaken by a league or season change settles with the load that replaced it
+        return superseded ? reload : loaded;
+    }
+    
+    restartLivePolling();
+    return loaded;
+};
+
+/**
+ * Show the team's record across seasons in its detail panel
+ * @param {string} teamId - Team identifier
+ * @param {string} league - League identifier
+ */
+const showTeamHistory = async (teamId, league) => {
+    try {
+        const { data: history } = await fetchTeamHistory(league, teamId, { seasons: getSeasonChoices() });
+        if (teamId !== state.selectedTeam || league !== state.currentLeague) return;
+        renderTeamHistory(history, league);
+        
+    } catch (error) {
+        // The rest of the panel is still useful without the history
+        console.error('Error loading team history:', error);
+    }
+};
+
+/**
+ * Show the detail panel for the selected team
+ */
+const showSelectedTeam = async () => {
+    const { selectedTeam: teamId, currentLeague: league, currentSeason: season } = state;
+    if (teamId === null) {
+        hideTeamPanel();
+        return;
+    }
+    
+    const known = state.allData?.standings?.find(team => String(team.id) === teamId);
+    showTeamPanel(known?.name);
+    showTeamHistory(teamId, league);
+    
+    try {
+        const detail = await fetchTeamDetail(league, teamId, { season });
+        
+        // Ignore the response if another team was opened in the meantime
+        if (teamId !== state.selectedTeam || league !== state.currentLeague || season !== state.currentSeason) return;
+        renderTeamDetail(detail, league);
+        
+    } catch (error) {
+        if (teamId !== state.selectedTeam) return;
+        showNotification(`Could not load team details: ${error.message}`, 'error');
+        closeTeam();
+    }
+};
+
+/**
+ * Open the detail panel for a team
+ * @param {string|number} teamId - Team identifier
+ */
+const openTeam = async (teamId) => {
+    state.selectedTeam = String(teamId);
+    state.selectedPlayer = null;
+    hidePlayerPanel();
+    updateURL({ push: true });
+    await showSelectedTeam();
+};
+
+/**
+ * Close the team detail panel
+ */
+const closeTeam = () => {
+    if (state.selectedTeam === null) return;
+    
+    state.selectedTeam = null;
+    hideTeamPanel();
+    updateURL({ push: true });
+};
+
+/**
+ * Show the profile panel for the selected player
+ */
+const showSelectedPlayer = async () => {
+    const { selectedPlayer: playerId, currentLeague: league, currentSeason: season } = state;
+    if (playerId === null) {
+        hidePlayerPanel();
+        return;
+    }
+    
+    showPlayerPanel();
+    
+    try {
+        const { data: profile } = await fetchPlayerProfile(league, playerId, { season });
+        
+        // Ignore the response if another player was opened in the meantime
+        if (playerId !== state.selectedPlayer || league !== state.currentLeague || season !== state.currentSeason) return;
+        renderPlayerProfile(profile, league);
+        
+    } catch (error) {
+        if (playerId !== state.selectedPlayer) return;
+        showNotification(`Could not load player profile: ${error.message}`, 'error');
+        closePlayer();
+    }
+};
+
+/**
+ * Open the profile panel for a player
+ * @param {string|number} playerId - Player identifier
+ */
+const openPlayer = async (playerId) => {
+    state.selectedPlayer = String(playerId);
+    state.selectedTeam = null;
+    hideTeamPanel();
+    updateURL({ push: true });
+    await showSelectedPlayer();
+};
+
+/**
+ * Close the player profile panel
+ */
+const closePlayer = () => {
+    if (state.selectedPlayer === null) return;
+    
+    state.selectedPlayer = null;
+    hidePlayerPanel();
+    updateURL({ push: true });
+};
+
+/**
+ * Close any open detail panel without touching the history (e.g. on league change)
+ */
+const resetPanels = () => {
+    state.selectedTeam = null;
+    state.selectedPlayer = null;
+    hideTeamPanel();
+    hidePlayerPanel();
+    hideChartBuilder();
+};
+
+/**
+ * Handle clicks on standings rows and game card team names
+ * Stars inside them are handled by handleFavoriteClick
+ * @param {Event} event - Click event
+ */
+const handleTeamClick = (event) => {
+    if (event.target.closest('[data-favorite-team]')) return;
+    
+    const target = event.target.closest('[data-team-id]');
+    if (target) openTeam(target.dataset.teamId);
+};
+
+/**
+ * Handle stars on standings rows, game cards and My Teams
+ * @param {Event} event - Click event
+ */
+const handleFavoriteClick = (event) => {
+    const button = event.target.closest('[data-favorite-team]');
+    if (!button) return;
+    
+    const { favoriteTeam: id, favoriteName: name, favoriteLeague: league = state.currentLeague } = button.dataset;
+    const { favorites, added } = toggleFavorite(league, { id, name });
+    
+    state.favorites = favorites;
+    render();
+    refreshMyTeams();
+    showNotification(`${name} ${added ? 'added to' : 'removed from'} My Teams`, added ? 'success' : 'info');
+};
+
+/**
+ * Switch to another league's current season
+ * Clears the league's selections and open panels and updates the selectors; the caller loads the data
+ * @param {string} leagueId - League identifier
+ */
+const switchLeague = (leagueId) => {
+    const league = getLeague(leagueId);
+    
+    state.currentSport = league.sport;
+    state.currentLeague = league.id;
+    state.currentSeason = null;
+    state.calendarDate = null;
+    state.calendarTeam = null;
+    state.compareTeams = [];
+    resetPanels();
+    renderSelectors();
+};
+
+/**
+ * Open a favorite's team detail from My Teams, switching league if needed
+ * @param {Event} event - Click event
+ */
+const handleMyTeamOpen = async (event) => {
+    const button = event.target.closest('[data-my-team]');
+    if (!button) return;
+    
+    const { myTeam: teamId, league } = button.dataset;
+    if (league === state.currentLeague) {
+        await openTeam(teamId);
+        return;
+    }
+    
+    switchLeague(league);
+    state.selectedTeam = teamId;
+    updateURL({ push: true });
+    showNotification(`Switching to ${getLeague(league).name}...`, 'info');
+    
+    // loadData settles once the new league is loaded, even if an earlier load was running;
+    // open the panel only if the user has not moved on in the meantime
+    const loaded = await loadData();
+    if (loaded && state.currentLeague === league && state.selectedTeam === teamId) {
+        showSelectedTeam();
+    }
+};
+
+/**
+ * Handle league selection change
+ * @param {Event} event - Change event
+ */
+const handleLeagueChange = async (event) => {
+    const newLeague = event.target.value;
+    
+    if (newLeague === state.currentLeague) return;
+    
+    switchLeague(newLeague);
+    updateURL({ push: true });
+    showNotification(`Switching to ${getLeague(newLeague).name}...`, 'info');
+    
+    await loadData();
+};
+
+/**
+ * Show the offline banner when the connection drops, and reload once it is back
+ * @param {boolean} offline - Whether the browser is now offline
+ */
+const handleConnectionChange = (offline) => {
+    renderOfflineBanner(offline, state.allData?.timestamp || null);
+    
+    if (!offline) {
+        showNotification('Back online, refreshing data...', 'info');
+        loadData();
+    }
+};
+
+/**
+ * Handle sport selection change
+ * Narrows the league selector to the sport and switches to its first league
+ * @param {Event} event - Change event
+ */
+const handleSportChange = async (event) => {
+    const newSport = event.target.value;
+    const league = getDefaultLeagueForSport(newSport);
+    
+    if (newSport === state.currentSport || !league) return;
+    
+    switchLeague(league.id);
+    updateURL({ push: true });
+    showNotification(`Switching to ${SPORTS[newSport].name} (${league.name})...`, 'info');
+    
+    await loadData();
+};
+
+/**
+ * Handle season selection change
+ * Picking the current season clears the selection, so the dashboard follows it
+ * @param {Event} event - Change event
+ */
+const handleSeasonChange = async (event) => {
+    const season = getSeasonChoices().find(choice => choice.id === event.target.value);
+    const newSeason = !season || season.current ? null : season.id;
+    
+    if (newSeason === state.currentSeason) return;
+    
+    state.currentSeason = newSeason;
+    state.calendarDate = null;
+    resetPanels();
+    updateURL({ push: true });
+    showNotification(`Switching to the ${season?.label || 'current season'}...`, 'info');
+    
+    await loadData();
+};
+
+/**
+ * Handle search input
+ * @param {Event} event - Input event
+ */
+const handleSearch = async (event) => {
+    state.searchQuery = event.target.value.trim();
+    updateURL();
+    
+    const data = getVisibleData();
+    if (!data) return;
+    
+    try {
+        render(data);
+        
+        if (state.searchQuery && data.standings.length === 0 && data.games.length === 0) {
+            showNotification('No results found', 'error');
+        }
+        
+    } catch (error) {
+        console.error('Search error:', error);
+        showNotification('Search failed', 'error');
+    }
+};
+
+/**
+ * Update the typeahead suggestions for a query
+ * Only the latest request is rendered, so slow responses cannot overwrite newer ones
+ * @param {string} query - Search query
+ */
+const updateSuggestions = async (query) => {
+    const request = ++suggestionRequest;
+    
+    if (!query) {
+        state.suggestions = [];
+        hideSearchSuggestions();
+        return;
+    }
+    
+    try {
+        const { data } = await searchData(query, state.currentLeague, { season: state.currentSeason });
+        if (request !== suggestionRequest) return;
+        
+        state.suggestions = Object.values(data).flat();
+        state.activeSuggestion = -1;
+        renderSearchSuggestions(data, state.activeSuggestion);
+        
+    } catch (error) {
+        console.error('Suggestion error:', error);
+        hideSearchSuggestions();
+    }
+};
+
+/**
+ * Re-render the suggestions with a different one highlighted
+ * @param {number} index - Suggestion index
+ */
+const setActiveSuggestion = (index) => {
+    if (!state.suggestions.length) return;
+    
+    const count = state.suggestions.length;
+    state.activeSuggestion = (index + count) % count;
+    
+    const groups = { teams: [], players: [], games: [] };
+    state.suggestions.forEach(match => groups[match.type].push(match));
+    renderSearchSuggestions(groups, state.activeSuggestion);
+};
+
+/**
+ * Open a typeahead suggestion
+ * Teams and players open their panels; games are highlighted in Recent Games
+ * @param {Object} suggestion - Search match ({ type, id })
+ */
+const selectSuggestion = (suggestion) => {
+    suggestionRequest++;
+    state.suggestions = [];
+    hideSearchSuggestions();
+    
+    if (suggestion.type === 'teams') {
+        openTeam(suggestion.id);
+    } else if (suggestion.type === 'players') {
+        openPlayer(suggestion.id);
+    } else if (suggestion.type === 'games') {
+        state.section = 'games';
+        updateURL();
+        highlightGame(suggestion.id);
+    }
+};
+
+/**
+ * Handle keyboard navigation in the search box
+ * @param {KeyboardEvent} event - Keydown event
+ */
+const handleSearchKeydown = (event) => {
+    const open = state.suggestions.length > 0;
+    
+    if (event.key === 'ArrowDown' && open) {
+        event.preventDefault();
+        setActiveSuggestion(state.activeSuggestion + 1);
+    } else if (event.key === 'ArrowUp' && open) {
+        event.preventDefault();
+        setActiveSuggestion(state.activeSuggestion - 1);
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (open && state.activeSuggestion >= 0) {
+            selectSuggestion(state.suggestions[state.activeSuggestion]);
+        } else {
+            suggestionRequest++;
+            hideSearchSuggestions();
+            handleSearch(event);
+        }
+    } else if (event.key === 'Escape' && open) {
+        // Keep the panels open; only dismiss the suggestions
+        event.stopPropagation();
+        suggestionRequest++;
+        state.suggestions = [];
+        hideSearchSuggestions();
+    }
+};
+
+/**
+ * Handle standings grouping toggle
+ * @param {Event} event - Click event
+ */
+const handleStandingsViewChange = (event) => {
+    const button = event.target.closest('[data-view]');
+    if (!button || button.dataset.view === state.standingsView) return;
+    
+    state.standingsView = button.dataset.view;
+    updateURL({ push: true });
+    render();
+};
+
+/**
+ * Handle a click on a standings column header
+ * Each click moves a column through first direction, reversed, then back to the
+ * ranking order; numbers start highest first and team names A to Z
+ * @param {Event} event - Click event
+ */
+const handleStandingsSort = (event) => {
+    const button = event.target.closest('[data-sort]');
+    if (!button) return;
+    
+    const key = button.dataset.sort;
+    const first = key === 'name' ? 'asc' : 'desc';
+    const current = state.standingsSort;
+    
+    if (!key || (current?.key === key && current.direction !== first)) {
+        state.standingsSort = null;
+    } else if (current?.key === key) {
+        state.standingsSort = { key, direction: first === 'asc' ? 'desc' : 'asc' };
+    } else {
+        state.standingsSort = { key, direction: first };
+    }
+    
+    updateURL();
+    render();
+};
+
+/**
+ * Handle showing or hiding a standings column
+ * The choice is saved per league; resetting returns to the league's defaults
+ * @param {Event} event - Change or click event
+ */
+const handleStandingsColumns = (event) => {
+    const preference = `standings-columns:${state.currentLeague}`;
+    
+    if (event.target.closest('[data-column-reset]')) {
+        writePreference(preference, null);
+        render();
+        return;
+    }
+    
+    const checkbox = event.target.closest('[data-column]');
+    if (!checkbox || event.type !== 'change') return;
+    
+    const visible = new Set(getStandingsColumnKeys() || getDefaultColumnKeys(state.currentLeague));
+    if (checkbox.checked) {
+        visible.add(checkbox.dataset.column);
+    } else {
+        visible.delete(checkbox.dataset.column);
+    }
+    
+    writePreference(preference, [...visible]);
+    render();
 };
 
 /**
- * Load data for current league
+ * Handle the schedule day/week toggle
+ * @param {Event} event - Click event
  */
-const loadData = async () => {
-    if (state.isLoading) return;
+const handleCalendarViewChange = (event) => {
+    const button = event.target.closest('[data-calendar]');
+    if (!button || button.dataset.calendar === state.calendarView) return;
     
-    state.isLoading = true;
-    showLoading();
-    hideError();
+    state.calendarView = button.dataset.calendar;
+    updateURL({ push: true });
+    render();
+};
+
+/**
+ * Handle the schedule's previous / today / next buttons
+ * @param {Event} event - Click event
+ */
+const handleCalendarNavigation = (event) => {
+    const button = event.target.closest('[data-shift]');
+    if (!button || !state.allData) return;
     
-    try {
-        const data = await fetchAllData(state.currentLeague);
-        state.allData = data;
-        updateUI(data);
-        hideLoading();
-        
-        console.log('Data loaded successfully:', data);
-        
-    } catch (error) {
-        hideLoading();
-        showError(`Failed to load data: ${error.message}`);
-        console.error('Error loading data:', error);
-    } finally {
-        state.isLoading = false;
+    const steps = Number(button.dataset.shift);
+    const current = parseDateParam(state.calendarDate) || getDefaultCalendarDate(state.allData);
+    
+    state.calendarDate = steps === 0 ? null : formatDateParam(shiftScheduleDate(current, state.calendarView, steps));
+    updateURL();
+    render();
+};
+
+/**
+ * Handle the schedule team filter
+ * @param {Event} event - Change event
+ */
+const handleCalendarTeamChange = (event) => {
+    state.calendarTeam = event.target.value || null;
+    updateURL({ push: true });
+    render();
+};
+
+/**
+ * Download the filtered team's upcoming games as an iCalendar file
+ */
+const handleCalendarExport = () => {
+    const { calendarTeam: teamId, currentLeague: league, allData } = state;
+    if (teamId === null || !allData?.schedule) return;
+    
+    const team = allData.standings.find(standing => String(standing.id) === teamId);
+    const gamesTerm = getTerminology(league).games.toLowerCase();
+    const now = new Date();
+    const upcoming = allData.schedule.filter(game =>
+        game.status === 'scheduled' && new Date(game.date) > now && involvesTeam(game, teamId));
+    
+    if (upcoming.length === 0) {
+        showNotification(`No upcoming ${gamesTerm} for ${team?.name || 'this team'}`, 'info');
+        return;
     }
+    
+    const name = `${team?.name || 'Team'} (${league.toUpperCase()})`;
+    const contents = buildCalendar(upcoming, { name, league, durationMinutes: getGameClock(league).duration });
+    const slug = (team?.name || teamId).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    
+    downloadFile(contents, `${league}-${slug}-schedule.ics`, 'text/calendar');
+    showNotification(`Exported ${upcoming.length} upcoming ${gamesTerm}`, 'success');
 };
 
 /**
- * Handle league selection change
+ * Download the standings table or games list as shown, search filter included
+ * @param {Event} event - Click event inside an export menu
+ */
+const handleDataExport = (event) => {
+    const button = event.target.closest('[data-export-format]');
+    const menu = event.currentTarget;
+    const data = getVisibleData();
+    if (!button || !data) return;
+    
+    const kind = menu.dataset.export;
+    const format = button.dataset.exportFormat;
+    const league = state.currentLeague;
+    const season = resolveSeason(league, state.currentSeason, getToday(data.source));
+    // The table falls back to the league view when the grouping is not available
+    const view = getStandingsViews(data.standings, league).some(option => option.id === state.standingsView) ? state.standingsView : 'league';
+    const table = kind === 'standings'
+        ? buildStandingsTable(data.standings, league, { view, sort: state.standingsSort, columnKeys: getStandingsColumnKeys() })
+        : buildGamesTable(data.games);
+    
+    const file = exportTable(table, format, {
+        league: league.toUpperCase(),
+        season: season.id,
+        seasonLabel: season.label,
+        source: data.source,
+        timestamp: data.timestamp,
+        exportedAt: new Date().toISOString(),
+        filter: state.searchQuery || null
+    });
+    const suffix = state.searchQuery ? '-filtered' : '';
+    
+    menu.open = false;
+    downloadFile(file.content, `${league}-${season.id}-${kind}${suffix}.${file.extension}`, file.type);
+    showNotification(`Exported ${table.rows.length} ${table.name.toLowerCase()} rows as ${format.toUpperCase()}`, 'success');
+};
+
+/**
+ * Handle adding a team to the comparison
  * @param {Event} event - Change event
  */
-const handleLeagueChange = async (event) => {
-    const newLeague = event.target.value;
+const handleCompareAdd = (event) => {
+    const teamId = event.target.value;
+    if (!teamId || state.compareTeams.includes(teamId) || state.compareTeams.length >= MAX_COMPARED_TEAMS) return;
     
-    if (newLeague === state.currentLeague) return;
+    state.compareTeams = [...state.compareTeams, teamId];
+    updateURL({ push: true });
+    render();
+};
+
+/**
+ * Handle removing a team from the comparison
+ * @param {Event} event - Click event
+ */
+const handleCompareRemove = (event) => {
+    const button = event.target.closest('[data-remove-team]');
+    if (!button) return;
     
-    state.currentLeague = newLeague;
-    showNotification(`Switching to ${newLeague.toUpperCase()}...`, 'info');
+    state.compareTeams = state.compareTeams.filter(id => id !== button.dataset.removeTeam);
+    updateURL({ push: true });
+    render();
+};
+
+/**
+ * Handle the comparison radar/bar toggle
+ * @param {Event} event - Click event
+ */
+const handleCompareChartChange = (event) => {
+    const button = event.target.closest('[data-compare-chart]');
+    if (!button || button.dataset.compareChart === state.compareChart) return;
     
-    await loadData();
+    state.compareChart = button.dataset.compareChart;
+    updateURL();
+    render();
 };
 
 /**
- * Handle search input
- * @param {Event} event - Input event
+ * Handle the rank movement baseline selector
+ * @param {Event} event - Change event
  */
-const handleSearch = async (event) => {
-    const query = event.target.value.trim();
+const handleMovementBaselineChange = (event) => {
+    writePreference('movement-baseline', event.target.value);
+    render();
+};
+
+/**
+ * Handle the standings history metric toggle (rank / win %)
+ * @param {Event} event - Click event
+ */
+const handleHistoryMetricChange = (event) => {
+    const button = event.target.closest('[data-history-metric]');
+    if (!button || button.dataset.historyMetric === state.historyMetric) return;
     
-    if (!query || !state.allData) {
-        // If empty, restore original data
-        if (state.allData) {
-            updateUI(state.allData);
-        }
+    state.historyMetric = HISTORY_METRICS.some(metric => metric.id === button.dataset.historyMetric)
+        ? button.dataset.historyMetric
+        : 'rank';
+    render();
+};
+
+/**
+ * Delete the stored snapshots for the current league and season
+ */
+const handleHistoryClear = async () => {
+    if (!state.allData) return;
+    
+    await clearSnapshots(state.currentLeague, getSnapshotSeason(state.allData));
+    state.snapshots = [];
+    render();
+    showNotification('Standings history cleared', 'success');
+};
+
+/**
+ * Open the alerts drawer
+ * Alerts in the history count as read once the drawer has been opened
+ */
+const openAlerts = () => {
+    renderAlertForm(state.currentLeague, state.allData?.standings || []);
+    renderAlerts(getAlertsState());
+    showAlertsPanel();
+    state.alertHistory = markAlertHistoryRead();
+};
+
+/**
+ * Close the alerts drawer
+ */
+const closeAlerts = () => {
+    hideAlertsPanel();
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Save a new alert rule from the alerts form
+ * Asks for notification permission the first time, while the click still counts as a user gesture
+ * @param {Event} event - Submit event
+ */
+const handleAlertSubmit = async (event) => {
+    event.preventDefault();
+    
+    const form = event.target;
+    const fields = new FormData(form);
+    const team = form.elements.team.selectedOptions[0];
+    const type = fields.get('type');
+    const rule = {
+        id: generateId(),
+        league: state.currentLeague,
+        type,
+        teamId: fields.get('team') || null,
+        teamName: fields.get('team') ? team.textContent : null,
+        ...(type === 'streak' && { result: fields.get('result'), length: parseInt(fields.get('length'), 10) }),
+        ...(type === 'rank' && { rank: parseInt(fields.get('rank'), 10) })
+    };
+    
+    const error = getAlertRuleError(rule, state.allData?.standings?.length || 0);
+    if (error) {
+        showNotification(error, 'error');
         return;
     }
     
-    try {
-        // Filter local data
-        const { standings, games } = state.allData;
-        
-        const filteredStandings = filterBySearch(
-            standings, 
-            query, 
-            ['name']
-        );
-        
-        const filteredGames = filterBySearch(
-            games, 
-            query, 
-            ['homeTeam', 'awayTeam']
-        );
-        
-        updateUI({
-            stats: state.allData.stats,
-            standings: filteredStandings,
-            games: filteredGames
-        });
-        
-        if (filteredStandings.length === 0 && filteredGames.length === 0) {
-            showNotification('No results found', 'error');
-        }
-        
-    } catch (error) {
-        console.error('Search error:', error);
-        showNotification('Search failed', 'error');
+    state.alertRules = addAlertRule(rule);
+    const permission = requestNotificationPermission();
+    renderAlerts(getAlertsState());
+    showNotification('Alert rule saved', 'success');
+    
+    await permission;
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Handle the delete buttons on alert rules
+ * @param {Event} event - Click event
+ */
+const handleAlertRemove = (event) => {
+    const button = event.target.closest('[data-alert-remove]');
+    if (!button) return;
+    
+    state.alertRules = removeAlertRule(button.dataset.alertRemove);
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Empty the alert history
+ */
+const handleAlertsClear = () => {
+    state.alertHistory = clearAlertHistory();
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Ask for browser notification permission from the alerts drawer
+ */
+const handleNotificationPermission = async () => {
+    await requestNotificationPermission();
+    renderAlerts(getAlertsState());
+};
+
+/**
+ * Open the chart builder for a new chart
+ */
+const handleChartNew = () => {
+    if (!state.allData) return;
+    
+    renderChartBuilder(state.currentLeague, state.allData.standings, {
+        title: '',
+        type: 'bar',
+        metrics: ['winPct'],
+        teams: [],
+        top: DEFAULT_TOP_TEAMS,
+        sort: { key: 'rank', direction: 'asc' }
+    });
+};
+
+/**
+ * Save the chart in the builder, replacing the chart being edited
+ * @param {Event} event - Submit event
+ */
+const handleChartSubmit = (event) => {
+    event.preventDefault();
+    
+    const form = event.target;
+    const fields = new FormData(form);
+    const definition = {
+        id: form.dataset.chartId || generateId(),
+        title: fields.get('title').trim(),
+        type: fields.get('type'),
+        metrics: fields.getAll('metrics'),
+        teams: fields.getAll('teams'),
+        top: Math.min(Math.max(parseInt(fields.get('top'), 10) || DEFAULT_TOP_TEAMS, 2), MAX_CHART_TEAMS),
+        sort: { key: fields.get('sortKey'), direction: fields.get('sortDirection') }
+    };
+    
+    const error = getChartDefinitionError(definition, state.currentLeague);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    const charts = getChartDefinitions();
+    const exists = charts.some(chart => chart.id === definition.id);
+    
+    saveChartDefinitions(exists
+        ? charts.map(chart => (chart.id === definition.id ? definition : chart))
+        : [...charts, definition]);
+    hideChartBuilder();
+    render();
+    showNotification(`Saved chart "${definition.title}"`, 'success');
+};
+
+/**
+ * Handle the download, edit and remove buttons on dashboard charts
+ * @param {Event} event - Click event
+ */
+const handleChartAction = (event) => {
+    const button = event.target.closest('[data-chart-action]');
+    const card = button?.closest('[data-chart-id]');
+    if (!card) return;
+    
+    const charts = getChartDefinitions();
+    const definition = charts.find(chart => chart.id === card.dataset.chartId);
+    if (!definition) return;
+    
+    if (button.dataset.chartAction === 'download') {
+        const slug = definition.title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        downloadChartImage(definition.id, `${state.currentLeague}-${slug}.png`);
+    } else if (button.dataset.chartAction === 'edit') {
+        renderChartBuilder(state.currentLeague, state.allData.standings, definition);
+        document.getElementById('chart-builder')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else if (button.dataset.chartAction === 'remove') {
+        saveChartDefinitions(charts.filter(chart => chart.id !== definition.id));
+        render();
+    }
+};
+
+/**
+ * Restore the default charts for the current league
+ */
+const handleChartReset = () => {
+    saveChartDefinitions(null);
+    hideChartBuilder();
+    render();
+};
+
+/**
+ * Handle back/forward navigation
+ * Restores the state from the URL, reloading only when the league or season changed
+ */
+const handlePopState = async () => {
+    const previousLeague = state.currentLeague;
+    const previousSeason = state.currentSeason;
+    const previousTeam = state.selectedTeam;
+    const previousPlayer = state.selectedPlayer;
+    
+    readURL();
+    renderSelectors();
+    renderControls();
+    scrollToSection();
+    
+    const dataChanged = state.currentLeague !== previousLeague || state.currentSeason !== previousSeason;
+    
+    if (state.selectedTeam !== previousTeam || dataChanged) {
+        showSelectedTeam();
+    }
+    if (state.selectedPlayer !== previousPlayer || dataChanged) {
+        showSelectedPlayer();
+    }
+    
+    if (dataChanged) {
+        await loadData();
+    } else {
+        render();
     }
 };
 
@@ -110,8 +1298,15 @@ const handleSearch = async (event) => {
  */
 const handleRefresh = async () => {
     showNotification('Refreshing data...', 'info');
-    await loadData();
-    showNotification('Data refreshed successfully!', 'success');
+    
+    // A failed load has already shown its error
+    if (!await loadData({ force: true })) return;
+    
+    if (state.allData.fallback) {
+        showNotification('Live data is unavailable; showing demo data', 'error');
+    } else {
+        showNotification('Data refreshed successfully!', 'success');
+    }
 };
 
 /**
@@ -123,20 +1318,86 @@ const handleRetry = async () => {
 };
 
 /**
- * Setup auto-refresh
- * @param {number} intervalMs - Interval in milliseconds
+ * Schedule the next live poll
+ * Polls quickly while games are live and backs off when none are (see getPollInterval)
+ */
+const scheduleLivePoll = () => {
+    clearTimeout(state.pollTimer);
+    
+    state.pollInterval = document.hidden
+        ? API_CONFIG.POLLING.MAX
+        : getPollInterval(state.liveGames || state.allData?.games || [], API_CONFIG.POLLING, state.pollInterval);
+    state.pollTimer = setTimeout(pollLiveGames, state.pollInterval);
+};
+
+/**
+ * Start polling afresh for the loaded data (after a load or a league change)
+ * Only the current season has live games; past seasons are not polled
  */
-const setupAutoRefresh = (intervalMs = 60000) => {
-    // Clear existing interval
-    if (state.autoRefreshInterval) {
-        clearInterval(state.autoRefreshInterval);
+const restartLivePolling = () => {
+    state.liveGames = null;
+    state.pollInterval = null;
+    
+    if (state.currentSeason !== null && state.allData) {
+        clearTimeout(state.pollTimer);
+        return;
     }
+    scheduleLivePoll();
+};
+
+/**
+ * Poll today's games and apply score changes without reloading the dashboard
+ * A game finishing changes the standings and stats, so that triggers a full reload
+ */
+const pollLiveGames = async () => {
+    const { currentLeague: league, currentSeason: season } = state;
+    let finished = false;
     
-    // Setup new interval
-    state.autoRefreshInterval = setInterval(async () => {
-        console.log('Auto-refreshing data...');
+    // Nothing loaded yet (e.g. the last load failed): retry the full load, which restarts polling
+    if (!state.allData) {
         await loadData();
-    }, intervalMs);
+        return;
+    }
+    
+    try {
+        const { data, fallback } = await fetchLiveGames(league, { force: true, season });
+        if (league !== state.currentLeague || season !== state.currentSeason) return;
+        
+        // Mock games standing in for a failing provider have their own ids and names; poll again later
+        if (fallback) {
+            scheduleLivePoll();
+            return;
+        }
+        
+        const previous = state.allData;
+        const { games, changes, added } = mergeLiveGames(previous.games, data);
+        state.liveGames = data;
+        state.allData = {
+            ...previous,
+            games,
+            schedule: mergeLiveGames(previous.schedule || [], data).games
+        };
+        // Games that finish are caught here; the reload that follows only sees them final
+        checkAlerts(previous, state.allData);
+        finished = changes.some(change => change.finished);
+        
+        if (added.length > 0) {
+            render();
+        } else if (changes.length > 0) {
+            const visible = getVisibleData();
+            updateGameCards(visible.games, changes, league, getFavoriteIds(state.favorites, league));
+            renderSchedule(visible.schedule, league, getCalendarOptions(visible));
+        }
+        
+    } catch (error) {
+        console.error('Error polling live games:', error);
+    }
+    
+    if (finished) {
+        await loadData({ force: true });
+    } else {
+        scheduleLivePoll();
+    }
 };
 
 /**
@@ -149,19 +1410,117 @@ const setupEventListeners = () => {
         leagueSelect.addEventListener('change', handleLeagueChange);
     }
     
+    // Season selection
+    const seasonSelect = document.getElementById('season-select');
+    if (seasonSelect) {
+        seasonSelect.addEventListener('change', handleSeasonChange);
+    }
+    
     // Sport selection
     const sportSelect = document.getElementById('sport-select');
     if (sportSelect) {
-        sportSelect.addEventListener('change', async (e) => {
-            showNotification(`Sport changed to ${e.target.value}`, 'info');
+        sportSelect.addEventListener('change', handleSportChange);
+    }
+    
+    // Standings grouping toggle
+    const viewToggle = document.getElementById('standings-view-toggle');
+    if (viewToggle) {
+        viewToggle.addEventListener('click', handleStandingsViewChange);
+    }
+    
+    // Rank movement baseline and standings history
+    const movementBaseline = document.getElementById('movement-baseline');
+    if (movementBaseline) {
+        movementBaseline.addEventListener('change', handleMovementBaselineChange);
+    }
+    
+    const historyToggle = document.getElementById('history-metric-toggle');
+    if (historyToggle) {
+        historyToggle.addEventListener('click', handleHistoryMetricChange);
+    }
+    
+    const historyClear = document.getElementById('history-clear');
+    if (historyClear) {
+        historyClear.addEventListener('click', handleHistoryClear);
+    }
+    
+    // Standings column sorting and visibility
+    const standingsHead = document.getElementById('standings-head');
+    if (standingsHead) {
+        standingsHead.addEventListener('click', handleStandingsSort);
+    }
+    
+    const columnPicker = document.getElementById('standings-columns-list');
+    if (columnPicker) {
+        columnPicker.addEventListener('change', handleStandingsColumns);
+        columnPicker.addEventListener('click', handleStandingsColumns);
+    }
+    
+    // Team comparison
+    const compareAdd = document.getElementById('compare-add');
+    if (compareAdd) {
+        compareAdd.addEventListener('change', handleCompareAdd);
+    }
+    
+    const compareChips = document.getElementById('compare-teams');
+    if (compareChips) {
+        compareChips.addEventListener('click', handleCompareRemove);
+    }
+    
+    const compareToggle = document.getElementById('compare-chart-toggle');
+    if (compareToggle) {
+        compareToggle.addEventListener('click', handleCompareChartChange);
+    }
+    
+    // Chart builder: new chart, save, cancel, reset and per-chart actions
+    const chartNew = document.getElementById('chart-new');
+    if (chartNew) {
+        chartNew.addEventListener('click', handleChartNew);
+    }
+    
+    const chartBuilder = document.getElementById('chart-builder');
+    if (chartBuilder) {
+        chartBuilder.addEventListener('submit', handleChartSubmit);
+        chartBuilder.addEventListener('click', (event) => {
+            if (event.target.closest('[data-chart-cancel]')) hideChartBuilder();
         });
     }
     
-    // Search input with debounce
+    const chartReset = document.getElementById('chart-reset');
+    if (chartReset) {
+        chartReset.addEventListener('click', handleChartReset);
+    }
+    
+    const dashboardCharts = document.getElementById('dashboard-charts');
+    if (dashboardCharts) {
+        dashboardCharts.addEventListener('click', handleChartAction);
+    }
+    
+    // Search input with debounce: filters the dashboard and suggests teams, players and games
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
         const debouncedSearch = debounce(handleSearch, 300);
-        searchInput.addEventListener('input', debouncedSearch);
+        const debouncedSuggestions = debounce(updateSuggestions, 200);
+        searchInput.addEventListener('input', (e) => {
+            debouncedSearch(e);
+            debouncedSuggestions(e.target.value.trim());
+        });
+        searchInput.addEventListener('keydown', handleSearchKeydown);
+        searchInput.addEventListener('blur', () => {
+            suggestionRequest++;
+            state.suggestions = [];
+            hideSearchSuggestions();
+        });
+    }
+    
+    // Suggestions: mousedown keeps focus in the search box until the click lands
+    const suggestionList = document.getElementById('search-suggestions');
+    if (suggestionList) {
+        suggestionList.addEventListener('mousedown', (e) => e.preventDefault());
+        suggestionList.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) selectSuggestion(state.suggestions[Number(option.dataset.index)]);
+        });
     }
     
     // Search button
@@ -187,8 +1546,131 @@ const setupEventListeners = () => {
         retryBtn.addEventListener('click', handleRetry);
     }
     
+    // Schedule calendar: day/week toggle, date navigation, team filter and .ics export
+    const calendarToggle = document.getElementById('schedule-view-toggle');
+    if (calendarToggle) {
+        calendarToggle.addEventListener('click', handleCalendarViewChange);
+    }
+    
+    const calendarNav = document.getElementById('schedule-nav');
+    if (calendarNav) {
+        calendarNav.addEventListener('click', handleCalendarNavigation);
+    }
+    
+    const calendarTeam = document.getElementById('schedule-team');
+    if (calendarTeam) {
+        calendarTeam.addEventListener('change', handleCalendarTeamChange);
+    }
+    
+    const exportBtn = document.getElementById('ics-export-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', handleCalendarExport);
+    }
+    
+    // Standings and games exports (CSV, JSON, XLSX)
+    document.querySelectorAll('[data-export]').forEach(menu => {
+        menu.addEventListener('click', handleDataExport);
+    });
+    
+    // Team detail: standings rows and team names on game cards and the schedule
+    ['standings-body', 'games-list', 'schedule-calendar'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.addEventListener('click', handleTeamClick);
+    });
+    
+    // Favorite stars, and opening a favorite from My Teams
+    ['standings-body', 'games-list', 'my-teams-list'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.addEventListener('click', handleFavoriteClick);
+    });
+    
+    const myTeams = document.getElementById('my-teams-list');
+    if (myTeams) {
+        myTeams.addEventListener('click', handleMyTeamOpen);
+    }
+    
+    // Alerts drawer: rules form, rule list, history and notification permission
+    const alertsBtn = document.getElementById('alerts-btn');
+    if (alertsBtn) {
+        alertsBtn.addEventListener('click', openAlerts);
+    }
+    
+    const alertsPanel = document.getElementById('alerts-panel');
+    if (alertsPanel) {
+        alertsPanel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close-panel]')) closeAlerts();
+        });
+    }
+    
+    const alertForm = document.getElementById('alert-form');
+    if (alertForm) {
+        alertForm.addEventListener('submit', handleAlertSubmit);
+        alertForm.elements.type.addEventListener('change', (e) => updateAlertFormFields(e.target.value));
+    }
+    
+    const alertRules = document.getElementById('alert-rules-list');
+    if (alertRules) {
+        alertRules.addEventListener('click', handleAlertRemove);
+    }
+    
+    const alertsClear = document.getElementById('alerts-clear');
+    if (alertsClear) {
+        alertsClear.addEventListener('click', handleAlertsClear);
+    }
+    
+    const permissionBtn = document.getElementById('alerts-permission-btn');
+    if (permissionBtn) {
+        permissionBtn.addEventListener('click', handleNotificationPermission);
+    }
+    
+    // Team detail panel close button and backdrop
+    const teamPanel = document.getElementById('team-panel');
+    if (teamPanel) {
+        teamPanel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close-panel]')) closeTeam();
+        });
+    }
+    
+    // Player panel: close button, backdrop and the link to the player's team
+    const playerPanel = document.getElementById('player-panel');
+    if (playerPanel) {
+        playerPanel.addEventListener('click', (e) => {
+            const teamLink = e.target.closest('[data-team-id]');
+            if (teamLink) {
+                openTeam(teamLink.dataset.teamId);
+            } else if (e.target.closest('[data-close-panel]')) {
+                closePlayer();
+            }
+        });
+    }
+    
+    // Back/forward navigation (including in-page section links)
+    window.addEventListener('popstate', handlePopState);
+    
+    // Offline banner, and a reload when the connection comes back
+    onConnectionChange(handleConnectionChange);
+    
+    // Poll slowly while the tab is hidden and catch up as soon as it is shown
+    document.addEventListener('visibilitychange', () => {
+        if (state.currentSeason !== null && state.allData) return;
+        
+        if (document.hidden) {
+            scheduleLivePoll();
+        } else {
+            clearTimeout(state.pollTimer);
+            pollLiveGames();
+        }
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Escape closes the team and player panels and the alerts drawer
+        if (e.key === 'Escape') {
+            closeTeam();
+            closePlayer();
+            closeAlerts();
+        }
+        
         // Ctrl/Cmd + R to refresh
         if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
             e.preventDefault();
@@ -210,14 +1692,23 @@ const setupEventListeners = () => {
 const init = async () => {
     console.log('Initializing Sports Stats Dashboard...');
     
+    // Restore the state from the URL and populate the selectors from the catalog
+    readURL();
+    renderSelectors();
+    renderControls();
+    updateURL();
+    
     // Setup event listeners
     setupEventListeners();
     
+    // Keep the app shell available offline
+    registerServiceWorker();
+    
     // Load initial data
     await loadData();
-    
-    // Setup auto-refresh (every 60 seconds)
-    setupAutoRefresh(60000);
+    scrollToSection();
+    if (state.selectedTeam !== null) showSelectedTeam();
+    if (state.selectedPlayer !== null) showSelectedPlayer();
     
     console.log('Application initialized successfully!');
 };
@@ -231,15 +1722,18 @@ if (document.readyState === 'loading') {
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
-    if (state.autoRefreshInterval) {
-        clearInterval(state.autoRefreshInterval);
-    }
+    clearTimeout(state.pollTimer);
 });
 
 // Export for testing or external use
 export default {
     loadData,
     handleLeagueChange,
+    handleSportChange,
+    handleFavoriteClick,
+    handleAlertSubmit,
+    handleStandingsSort,
+    handleStandingsColumns,
     handleSearch,
     handleRefresh,
     state
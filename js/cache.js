@@ -0,0 +1,162 @@
+/**
+ * Client-side response cache
+ * Persists API responses in localStorage with per-endpoint TTLs and
+ * implements stale-while-revalidate: stale entries are returned immediately
+ * while a fresh copy is fetched in the background
+ */
+
+const STORAGE_PREFIX = 'sports-dashboard:cache:';
+
+// Entries kept at most; past it the least recently stored are removed down to
+// PRUNED_ENTRIES. Stale entries still serve offline, so age alone never removes one
+const MAX_ENTRIES = 120;
+const PRUNED_ENTRIES = 90;
+
+// In-flight requests, so concurrent callers share one network request per key
+const pending = new Map();
+
+/**
+ * Build a cache key
+ * @param {...string} parts - Key parts (league, season, endpoint)
+ * @returns {string} Cache key
+ */
+export const createCacheKey = (...parts) => parts.map(part => String(part).toLowerCase()).join(':');
+
+/**
+ * Read a cache entry
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry ({ value, storedAt }) or null
+ */
+export const readCache = (key) => {
+    try {
+        const raw = localStorage.getItem(STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * List the storage keys of all cache entries
+ * @returns {Array} Storage keys
+ */
+const listStorageKeys = () => Object.keys(localStorage).filter(key => key.startsWith(STORAGE_PREFIX));
+
+/**
+ * Remove the least recently stored cache entries
+ * @param {number} keep - Number of entries to keep
+ * @returns {number} Number of entries removed
+ */
+const evictOldest = (keep) => {
+    const storedAt = (storageKey) => {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)).storedAt || 0;
+        } catch (error) {
+            return 0;
+        }
+    };
+
+    const oldest = listStorageKeys()
+        .map(storageKey => ({ storageKey, storedAt: storedAt(storageKey) }))
+        .sort((a, b) => b.storedAt - a.storedAt)
+        .slice(keep);
+
+    oldest.forEach(({ storageKey }) => localStorage.removeItem(storageKey));
+    return oldest.length;
+};
+
+/**
+ * Write a cache entry
+ * When storage is full the older half of the cache is removed and the write retried once
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ */
+export const writeCache = (key, value) => {
+    const raw = JSON.stringify({ value, storedAt: Date.now() });
+
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, raw);
+        if (listStorageKeys().length > MAX_ENTRIES) evictOldest(PRUNED_ENTRIES);
+    } catch (error) {
+        try {
+            if (!evictOldest(Math.floor(listStorageKeys().length / 2))) throw error;
+            localStorage.setItem(STORAGE_PREFIX + key, raw);
+        } catch (retryError) {
+            // Storage still full or unavailable (private mode) - caching is best effort
+            console.warn('Cache write failed:', retryError.message);
+        }
+    }
+};
+
+/**
+ * Remove all cache entries
+ */
+export const clearCache = () => {
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(STORAGE_PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        console.warn('Cache clear failed:', error.message);
+    }
+};
+
+/**
+ * Fetch once per key at a time and store the result
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function producing the value
+ * @param {Function} cacheable - Whether a fetched value may be stored
+ * @returns {Promise<*>} Fetched value
+ */
+const fetchAndStore = (key, fetcher, cacheable) => {
+    if (pending.has(key)) return pending.get(key);
+
+    const request = fetcher()
+        .then(value => {
+            if (cacheable(value)) writeCache(key, value);
+            return value;
+        })
+        .finally(() => pending.delete(key));
+
+    pending.set(key, request);
+    return request;
+};
+
+/**
+ * Get a value through the cache with stale-while-revalidate
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time-to-live in milliseconds
+ * @param {Function} fetcher - Async function producing a fresh value
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Skip the cache and fetch
+ * @param {Function} [options.onRevalidate] - Called with the fresh value after a stale hit
+ * @param {boolean} [options.offline=false] - Serve any cached entry, however stale, without revalidating (force is ignored)
+ * @param {Function} [options.cacheable] - Whether a fetched value may be stored; other values are returned
+ *     uncached and never replace a stale entry on revalidation
+ * @returns {Promise<Object>} Object with `value`, `cached` and `stale`
+ */
+export const cached = async (key, ttl, fetcher, { force = false, onRevalidate, offline = false, cacheable = () => true } = {}) => {
+    const entry = force && !offline ? null : readCache(key);
+
+    if (!entry) {
+        return { value: await fetchAndStore(key, fetcher, cacheable), cached: false, stale: false };
+    }
+
+    const stale = Date.now() - entry.storedAt > ttl;
+
+    if (stale && !offline) {
+        fetchAndStore(key, fetcher, cacheable)
+            .then(value => cacheable(value) && onRevalidate?.(value))
+            .catch(error => console.warn(`Revalidation failed for ${key}:`, error.message));
+    }
+
+    return { value: entry.value, cached: true, stale };
+};
+
+export default {
+    createCacheKey,
+    readCache,
+    writeCache,
+    clearCache,
+    cached
+};
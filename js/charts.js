@@ -0,0 +1,262 @@
+/**
+ * Chart builder
+ * Saved chart definitions (metrics, teams, chart type and sort) and the series
+ * they plot, built from the standings and season schedule. Rendering with
+ * Chart.js lives in ui.js
+ */
+
+import { getLeague, getTerminology } from './leagues.js';
+import { deriveStandingFields, sortByColumn } from './standings.js';
+import { toTeamGame } from './team.js';
+import { involvesTeam } from './schedule.js';
+
+// Chart types, in builder order ('line' plots metrics over the season)
+export const CHART_TYPES = [
+    { id: 'bar', label: 'Bar' },
+    { id: 'scatter', label: 'Scatter' },
+    { id: 'line', label: 'Line over time' },
+    { id: 'radar', label: 'Radar' }
+];
+
+// Teams plotted when a chart does not pick its own
+export const DEFAULT_TOP_TEAMS = 6;
+
+// Teams a chart can pick, to keep legends readable
+export const MAX_CHART_TEAMS = 12;
+
+/**
+ * Format a percentage in the usual standings style (.625)
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} Formatted percentage
+ */
+const formatPct = (value) => value.toFixed(3).replace(/^0(?=\.)/, '');
+
+/**
+ * Chart metrics
+ * - label(terminology): axis and legend label
+ * - value(row): number read from a standings row (or a running record for timelines)
+ * - format(value): display value, defaults to the number itself
+ * - timeline: whether the metric can be plotted over the season
+ * - better: 'high' or 'low', used to orient radar axes
+ * - available(league): whether the league reports it (defaults to always)
+ */
+export const CHART_METRICS = [
+    { key: 'wins', label: () => 'Wins', value: row => row.wins, timeline: true, better: 'high' },
+    { key: 'losses', label: () => 'Losses', value: row => row.losses, timeline: true, better: 'low' },
+    { key: 'winPct', label: () => 'Win %', value: row => row.winPct, format: formatPct, timeline: true, better: 'high' },
+    {
+        key: 'tablePoints',
+        label: () => 'Table Points',
+        value: row => row.tablePoints,
+        timeline: true,
+        better: 'high',
+        available: league => Boolean(league.pointsSystem)
+    },
+    { key: 'pointsFor', label: ({ score }) => `${score} For`, value: row => row.pointsFor, timeline: true, better: 'high' },
+    { key: 'pointsAgainst', label: ({ score }) => `${score} Against`, value: row => row.pointsAgainst, timeline: true, better: 'low' },
+    { key: 'pointDiff', label: () => 'Differential', value: row => row.pointDiff, timeline: true, better: 'high' },
+    {
+        key: 'pointsPerGame',
+        label: ({ score, game }) => `${score} per ${game}`,
+        value: row => (row.gamesPlayed ? parseFloat((row.pointsFor / row.gamesPlayed).toFixed(1)) : 0),
+        timeline: true,
+        better: 'high'
+    },
+    { key: 'homePct', label: () => 'Home Win %', value: row => row.homePct, format: formatPct, timeline: false, better: 'high' },
+    { key: 'awayPct', label: () => 'Away Win %', value: row => row.awayPct, format: formatPct, timeline: false, better: 'high' }
+];
+
+// Charts shown until the user saves their own
+export const DEFAULT_CHARTS = [
+    {
+        id: 'performance',
+        title: 'Team Performance',
+        type: 'bar',
+        metrics: ['wins', 'losses'],
+        teams: [],
+        top: DEFAULT_TOP_TEAMS,
+        sort: { key: 'rank', direction: 'asc' }
+    },
+    {
+        id: 'scoring',
+        title: 'Scoring Leaders',
+        type: 'bar',
+        metrics: ['pointsFor'],
+        teams: [],
+        top: DEFAULT_TOP_TEAMS,
+        sort: { key: 'pointsFor', direction: 'desc' }
+    }
+];
+
+/**
+ * List the metrics a league can chart
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Metrics ({ key, label, timeline })
+ */
+export const getChartMetrics = (leagueId) => {
+    const league = getLeague(leagueId);
+    const terminology = getTerminology(leagueId);
+
+    return CHART_METRICS
+        .filter(metric => !metric.available || metric.available(league))
+        .map(metric => ({ key: metric.key, label: metric.label(terminology), timeline: metric.timeline }));
+};
+
+/**
+ * Check a chart definition before saving it
+ * @param {Object} definition - Chart definition ({ title, type, metrics, teams, top, sort })
+ * @param {string} leagueId - League identifier
+ * @returns {string|null} Problem to show the user, or null when the chart can be drawn
+ */
+export const getChartDefinitionError = (definition, leagueId) => {
+    const { type, metrics = [], teams = [] } = definition;
+    const available = getChartMetrics(leagueId);
+    const chosen = metrics.map(key => available.find(metric => metric.key === key));
+
+    if (!CHART_TYPES.some(option => option.id === type)) return 'Pick a chart type';
+    if (metrics.length === 0) return 'Pick at least one metric';
+    if (chosen.some(metric => !metric)) return 'One of the metrics is not available for this league';
+    if (type === 'scatter' && metrics.length !== 2) return 'Scatter charts plot exactly two metrics (x and y)';
+    if (type === 'radar' && metrics.length < 3) return 'Radar charts need at least three metrics';
+    if (type === 'line' && chosen.some(metric => !metric.timeline)) {
+        return `${chosen.find(metric => !metric.timeline).label} cannot be plotted over time`;
+    }
+    if (teams.length > MAX_CHART_TEAMS) return `Pick at most ${MAX_CHART_TEAMS} teams`;
+    return null;
+};
+
+/**
+ * Pick and order the teams a chart plots
+ * Charts without chosen teams show the top teams by their sort
+ * @param {Object} definition - Chart definition
+ * @param {Array} standings - Team standings
+ * @returns {Array} Standings rows in plotting order
+ */
+const selectTeams = ({ teams = [], top = DEFAULT_TOP_TEAMS, sort }, standings) => {
+    const metric = CHART_METRICS.find(option => option.key === sort?.key);
+    const rows = metric ? standings.map(team => ({ ...team, chartSort: metric.value(team) })) : standings;
+    const sorted = sortByColumn(rows, { key: metric ? 'chartSort' : 'rank', direction: sort?.direction || 'asc' });
+
+    return teams.length
+        ? sorted.filter(team => teams.some(id => String(id) === String(team.id)))
+        : sorted.slice(0, top);
+};
+
+/**
+ * Build a team's running record after each game of the season
+ * @param {Array} schedule - Season schedule
+ * @param {Object} team - Standings row
+ * @param {Object} league - League definition
+ * @returns {Array} Standings-like rows, one per game played
+ */
+const buildTimeline = (schedule, team, league) => {
+    const record = { wins: 0, losses: 0, draws: 0, otLosses: 0, pointsFor: 0, pointsAgainst: 0 };
+    const results = { W: 'wins', L: 'losses', D: 'draws', OTL: 'otLosses' };
+
+    return schedule
+        .filter(game => involvesTeam(game, team.id))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(game => toTeamGame(game, team.id, league))
+        .filter(game => game.result)
+        .map(game => {
+            record[results[game.result]] += 1;
+            record.pointsFor += game.teamScore;
+            record.pointsAgainst += game.opponentScore;
+            return deriveStandingFields(record, league);
+        });
+};
+
+/**
+ * Build the data for a chart definition
+ * - bar: one bar group per team, one dataset per metric
+ * - scatter: one point per team, first metric on x and second on y
+ * - line: one line per team and metric, by game number
+ * - radar: one shape per team; axes are scored from the league's worst (0) to best (100)
+ * @param {Object} definition - Chart definition
+ * @param {Object} data - Dashboard data ({ standings, schedule })
+ * @param {string} leagueId - League identifier
+ * @returns {Object} Chart data ({ type, labels, datasets: [{ label, data, display? }], axes: { x, y } })
+ */
+export const buildChartData = (definition, { standings = [], schedule = [] }, leagueId) => {
+    const league = getLeague(leagueId);
+    const terminology = getTerminology(leagueId);
+    const metrics = definition.metrics.map(key => CHART_METRICS.find(metric => metric.key === key)).filter(Boolean);
+    const teams = selectTeams(definition, standings);
+    const format = (metric, value) => (metric.format ? metric.format(value) : String(value));
+
+    if (definition.type === 'scatter') {
+        const [x, y] = metrics;
+
+        return {
+            type: 'scatter',
+            labels: [],
+            datasets: [{
+                label: 'Teams',
+                data: teams.map(team => ({ x: x.value(team), y: y.value(team), team: team.name })),
+                display: teams.map(team => `${team.name}: ${format(x, x.value(team))}, ${format(y, y.value(team))}`)
+            }],
+            axes: { x: x.label(terminology), y: y.label(terminology) }
+        };
+    }
+
+    if (definition.type === 'line') {
+        const timelines = teams.map(team => ({ team, rows: buildTimeline(schedule, team, league) }));
+        const games = Math.max(0, ...timelines.map(({ rows }) => rows.length));
+
+        return {
+            type: 'line',
+            labels: Array.from({ length: games }, (_, i) => i + 1),
+            datasets: timelines.flatMap(({ team, rows }) => metrics.map(metric => ({
+                label: metrics.length > 1 ? `${team.name} - ${metric.label(terminology)}` : team.name,
+                data: rows.map(row => metric.value(row)),
+                display: rows.map(row => format(metric, metric.value(row)))
+            }))),
+            axes: { x: `${terminology.game} Number`, y: metrics.length === 1 ? metrics[0].label(terminology) : '' }
+        };
+    }
+
+    if (definition.type === 'radar') {
+        const ranges = metrics.map(metric => {
+            const values = standings.map(metric.value);
+            return { min: Math.min(...values), max: Math.max(...values) };
+        });
+
+        return {
+            type: 'radar',
+            labels: metrics.map(metric => metric.label(terminology)),
+            datasets: teams.map(team => ({
+                label: team.name,
+                data: metrics.map((metric, i) => {
+                    const { min, max } = ranges[i];
+                    if (max === min) return 50;
+                    const scaled = (metric.value(team) - min) / (max - min);
+                    return Math.round((metric.better === 'high' ? scaled : 1 - scaled) * 100);
+                }),
+                display: metrics.map(metric => format(metric, metric.value(team)))
+            })),
+            axes: { x: '', y: '' }
+        };
+    }
+
+    return {
+        type: 'bar',
+        labels: teams.map(team => team.name),
+        datasets: metrics.map(metric => ({
+            label: metric.label(terminology),
+            data: teams.map(team => metric.value(team)),
+            display: teams.map(team => format(metric, metric.value(team)))
+        })),
+        axes: { x: '', y: metrics.length === 1 ? metrics[0].label(terminology) : '' }
+    };
+};
+
+export default {
+    CHART_TYPES,
+    DEFAULT_TOP_TEAMS,
+    MAX_CHART_TEAMS,
+    CHART_METRICS,
+    DEFAULT_CHARTS,
+    getChartMetrics,
+    getChartDefinitionError,
+    buildChartData
+};
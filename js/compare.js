@@ -0,0 +1,197 @@
+/**
+ * Team comparison
+ * Side-by-side profiles of two or more teams from the standings and season
+ * schedule, with head-to-head results and chart scores relative to the league
+ */
+
+import { getLeague, getTerminology } from './leagues.js';
+import { summarizeTeamSchedule, toTeamGame, tally, winPct, formatRecord } from './team.js';
+import { involvesTeam } from './schedule.js';
+
+// Teams that can be compared at once
+export const MAX_COMPARED_TEAMS = 4;
+
+export const COMPARE_CHARTS = ['radar', 'bar'];
+
+/**
+ * Format a percentage in the usual standings style (.625)
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} Formatted percentage
+ */
+const formatPct = (value) => value.toFixed(3).replace(/^0(?=\.)/, '');
+
+/**
+ * Format a number with an explicit sign
+ * @param {number} value - Number to format
+ * @returns {string} Signed number (e.g. +4.2, -1.5, 0)
+ */
+const formatSigned = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Comparison metrics, in display order
+ * - label(terminology): row and chart axis label
+ * - value(profile): number compared between teams and scaled for the chart
+ * - format(profile, league): display value
+ * - better: 'high' or 'low', which value wins the row
+ */
+export const COMPARE_METRICS = [
+    {
+        key: 'winPct',
+        label: () => 'Win %',
+        value: profile => profile.winPct,
+        format: (profile, league) => `${formatPct(profile.winPct)} (${formatRecord(profile.record, league)})`,
+        better: 'high'
+    },
+    {
+        key: 'pointsForAvg',
+        label: ({ score, game }) => `${score} per ${game}`,
+        value: profile => profile.pointsForAvg,
+        format: profile => String(profile.pointsForAvg),
+        better: 'high'
+    },
+    {
+        key: 'pointsAgainstAvg',
+        label: ({ score, game }) => `${score} Allowed per ${game}`,
+        value: profile => profile.pointsAgainstAvg,
+        format: profile => String(profile.pointsAgainstAvg),
+        better: 'low'
+    },
+    {
+        key: 'diffAvg',
+        label: ({ game }) => `Differential per ${game}`,
+        value: profile => profile.diffAvg,
+        format: profile => formatSigned(profile.diffAvg),
+        better: 'high'
+    },
+    {
+        key: 'homePct',
+        label: () => 'Home',
+        value: profile => winPct(profile.home),
+        format: (profile, league) => formatRecord(profile.home, league),
+        better: 'high'
+    },
+    {
+        key: 'awayPct',
+        label: () => 'Away',
+        value: profile => winPct(profile.away),
+        format: (profile, league) => formatRecord(profile.away, league),
+        better: 'high'
+    },
+    {
+        key: 'lastTenPct',
+        label: () => 'Last 10',
+        value: profile => winPct(profile.lastTen),
+        format: (profile, league) => formatRecord(profile.lastTen, league),
+        better: 'high'
+    }
+];
+
+/**
+ * Build a team's comparison profile
+ * @param {Object} team - Standings row
+ * @param {Array} schedule - Season schedule
+ * @param {Object} league - League definition
+ * @returns {Object} Profile ({ id, name, rank, streak, record, winPct, home, away, lastTen, pointsForAvg, pointsAgainstAvg, diffAvg })
+ */
+const profileTeam = (team, schedule, league) => {
+    const summary = summarizeTeamSchedule(schedule.filter(game => involvesTeam(game, team.id)), team.id, league);
+
+    return {
+        id: team.id,
+        name: team.name,
+        rank: team.rank,
+        streak: team.streak,
+        record: summary.record,
+        winPct: team.winPct,
+        home: summary.home,
+        away: summary.away,
+        lastTen: summary.lastTen,
+        pointsForAvg: summary.pointsForAvg,
+        pointsAgainstAvg: summary.pointsAgainstAvg,
+        diffAvg: summary.record.gamesPlayed
+            ? parseFloat(((summary.pointsFor - summary.pointsAgainst) / summary.record.gamesPlayed).toFixed(1))
+            : 0
+    };
+};
+
+/**
+ * Collect the games between two teams
+ * @param {Array} schedule - Season schedule
+ * @param {Object} team - First team ({ id, name })
+ * @param {Object} opponent - Second team ({ id, name })
+ * @param {Object} league - League definition
+ * @returns {Object} Meeting ({ team, opponent, record, games, remaining }) with results from the first team's side
+ */
+const getHeadToHead = (schedule, team, opponent, league) => {
+    const games = schedule
+        .filter(game => involvesTeam(game, team.id) && involvesTeam(game, opponent.id))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(game => toTeamGame(game, team.id, league));
+    const played = games.filter(game => game.result);
+
+    return {
+        team: { id: team.id, name: team.name },
+        opponent: { id: opponent.id, name: opponent.name },
+        record: tally(played),
+        games: played,
+        remaining: games.length - played.length
+    };
+};
+
+/**
+ * Compare teams side by side
+ * Chart scores place each metric between the league's worst (0) and best (100) team
+ * @param {Object} data - Dashboard data
+ * @param {Array} data.standings - Team standings
+ * @param {Array} data.schedule - Every game of the season
+ * @param {Array} teamIds - Teams to compare, in display order
+ * @param {string} leagueId - League identifier
+ * @returns {Object} Comparison ({ teams: [profile + { scores, best, display }], metrics: [{ key, label }], headToHead })
+ */
+export const compareTeams = ({ standings = [], schedule = [] }, teamIds, leagueId) => {
+    const league = getLeague(leagueId);
+    const terminology = getTerminology(leagueId);
+    const profiles = standings.map(team => profileTeam(team, schedule, league));
+    const selected = teamIds
+        .map(id => profiles.find(profile => String(profile.id) === String(id)))
+        .filter(Boolean);
+
+    const scores = COMPARE_METRICS.map(metric => {
+        const values = profiles.map(metric.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+
+        return (profile) => {
+            if (max === min) return 50;
+            const scaled = (metric.value(profile) - min) / (max - min);
+            return Math.round((metric.better === 'high' ? scaled : 1 - scaled) * 100);
+        };
+    });
+
+    // Best value among the compared teams per metric (ties all count as best)
+    const best = COMPARE_METRICS.map(metric => {
+        const values = selected.map(metric.value);
+        return metric.better === 'high' ? Math.max(...values) : Math.min(...values);
+    });
+
+    const headToHead = selected.flatMap((team, i) => selected.slice(i + 1)
+        .map(opponent => getHeadToHead(schedule, team, opponent, league)));
+
+    return {
+        teams: selected.map(profile => ({
+            ...profile,
+            scores: scores.map(score => score(profile)),
+            best: COMPARE_METRICS.map((metric, i) => selected.length > 1 && metric.value(profile) === best[i]),
+            display: COMPARE_METRICS.map(metric => metric.format(profile, league))
+        })),
+        metrics: COMPARE_METRICS.map(metric => ({ key: metric.key, label: metric.label(terminology) })),
+        headToHead
+    };
+};
+
+export default {
+    MAX_COMPARED_TEAMS,
+    COMPARE_CHARTS,
+    COMPARE_METRICS,
+    compareTeams
+};
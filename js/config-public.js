@@ -8,20 +8,60 @@ export const API_CONFIG = {
     MYSPORTSFEEDS: {
         API_KEY: null, // No API key - will use mock data
         BASE_URL: 'https://api.mysportsfeeds.com/v2.1/pull',
-        SEASON: '2024-2025-regular',
+        SEASON: null // Default season; null follows each league's current season
+    },
+    
+    // Data providers, selected per league (mysportsfeeds, proxy, fixtures, mock)
+    // Unavailable or failing providers fall back to mock data
+    PROVIDERS: {
+        DEFAULT: 'mysportsfeeds',
         LEAGUES: {
-            NBA: 'nba',
-            NFL: 'nfl', 
-            MLB: 'mlb',
-            NHL: 'nhl'
+            // epl: 'fixtures'
+        },
+        PROXY: {
+            // Proxy server (npm start) holding the API key server-side; select it with DEFAULT: 'proxy'
+            BASE_URL: '/api'
+        },
+        FIXTURES: {
+            // Static server with pre-shaped data, e.g. /fixtures/nba/standings.json
+            BASE_URL: null
+        }
+    },
+    
+    // Response cache (localStorage) - stale entries render immediately and revalidate in the background
+    CACHE: {
+        ENABLED: true,
+        TTL: {                  // Time-to-live per endpoint in milliseconds
+            standings: 5 * 60 * 1000,
+            games: 60 * 1000,
+            live: 10 * 1000,
+            schedule: 5 * 60 * 1000,
+            players: 60 * 60 * 1000,
+            player: 5 * 60 * 1000
         }
     },
     
+    // Mock data settings - the same seed always simulates the same season
+    MOCK: {
+        SEED: 2024,
+        AS_OF: null,            // Simulated "now" (ISO date or date-time, e.g. '2025-01-15T19:45'), null for the real time
+        SEASON_PROGRESS: 0.6    // Fraction of the season already played
+    },
+    
+    // Live score polling - fast while games are in progress, backing off when none are
+    POLLING: {
+        LIVE: 15 * 1000,        // Interval while games are live or about to start
+        IDLE: 60 * 1000,        // First interval once no games are live
+        MAX: 5 * 60 * 1000      // Longest interval when backing off (also used while the tab is hidden)
+    },
+    
     // API request settings
     SETTINGS: {
-        timeout: 10000,
-        retries: 3,
-        format: 'json'
+        timeout: 10000,         // Per-attempt timeout in milliseconds
+        retries: 3,             // Retries for timeouts, network errors, 5xx and 429
+        retryDelay: 500,        // Base delay for exponential backoff
+        maxRetryDelay: 8000,    // Longest wait between attempts (including Retry-After)
+        format: 'json'          // Format offered first for exports: csv, json or xlsx
     }
 };
 
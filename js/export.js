@@ -0,0 +1,360 @@
+/**
+ * Data export
+ * Turns the standings table and games list into CSV, JSON or XLSX downloads,
+ * with the league, season, data source and timestamps as metadata
+ */
+
+import { API_CONFIG } from './config-public.js';
+import { groupStandings, resolveStandingsColumns, sortByColumn } from './standings.js';
+
+// Export formats, in menu order
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Metadata fields, in the order they are written
+const METADATA_LABELS = {
+    league: 'League',
+    season: 'Season',
+    seasonLabel: 'Season Name',
+    source: 'Source',
+    timestamp: 'Data Timestamp',
+    exportedAt: 'Exported At',
+    filter: 'Search Filter',
+    rows: 'Rows'
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Get the format offered first in export menus
+ * @returns {string} API_CONFIG.SETTINGS.format when it is an export format, otherwise 'csv'
+ */
+export const getDefaultExportFormat = () => {
+    const format = API_CONFIG.SETTINGS?.format;
+    return EXPORT_FORMATS.includes(format) ? format : 'csv';
+};
+
+/**
+ * Build the standings export table
+ * Mirrors the table on screen: visible columns, grouping and column sort
+ * @param {Array} standings - Team standings
+ * @param {string} leagueId - League identifier
+ * @param {Object} options - Table options
+ * @param {string} [options.view='league'] - Grouping ('league', 'conference' or 'division')
+ * @param {Object|null} [options.sort=null] - Column sort ({ key, direction })
+ * @param {Array|null} [options.columnKeys=null] - Visible column keys (null for the defaults)
+ * @returns {Object} Table ({ name, columns: [{ key, label }], rows })
+ */
+export const buildStandingsTable = (standings, leagueId, { view = 'league', sort = null, columnKeys = null } = {}) => {
+    const columns = resolveStandingsColumns(leagueId, columnKeys);
+    const sortColumn = sort && columns.find(column => column.key === sort.key);
+    const groups = groupStandings(standings, leagueId, view);
+
+    const rows = groups.flatMap(group => {
+        const teams = sortColumn
+            ? sortByColumn(group.teams, { key: sortColumn.sortKey || sortColumn.key, direction: sort.direction })
+            : group.teams;
+        return teams.map(team => ({ ...team, group: group.name, rank: team.groupRank }));
+    });
+
+    return {
+        name: 'Standings',
+        columns: [
+            ...(view === 'league' ? [] : [{ key: 'group', label: 'Group' }]),
+            { key: 'rank', label: 'Rank' },
+            ...columns.map(({ key, label }) => ({ key, label }))
+        ],
+        rows
+    };
+};
+
+/**
+ * Build the games export table
+ * @param {Array} games - Games ({ date, homeTeam, awayTeam, homeScore, awayScore, status, overtime })
+ * @returns {Object} Table ({ name, columns: [{ key, label }], rows })
+ */
+export const buildGamesTable = (games) => ({
+    name: 'Games',
+    columns: [
+        { key: 'date', label: 'Date' },
+        { key: 'awayTeam', label: 'Away' },
+        { key: 'awayScore', label: 'Away Score' },
+        { key: 'homeTeam', label: 'Home' },
+        { key: 'homeScore', label: 'Home Score' },
+        { key: 'status', label: 'Status' },
+        { key: 'overtime', label: 'Overtime' }
+    ],
+    rows: [...games]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(game => ({ ...game, date: new Date(game.date).toISOString(), overtime: Boolean(game.overtime) }))
+});
+
+/**
+ * Read a cell value for export
+ * @param {Object} row - Table row
+ * @param {string} key - Column key
+ * @returns {string|number|boolean|null} Cell value (null when missing)
+ */
+const cellValue = (row, key) => (row[key] === undefined ? null : row[key]);
+
+/**
+ * List metadata as label/value pairs
+ * @param {Object} metadata - Metadata ({ league, season, seasonLabel, source, timestamp, exportedAt, filter, rows })
+ * @returns {Array} Pairs ([label, value]) for fields that are set
+ */
+const metadataEntries = (metadata) => Object.entries(METADATA_LABELS)
+    .filter(([key]) => metadata[key] !== undefined && metadata[key] !== null && metadata[key] !== '')
+    .map(([key, label]) => [label, metadata[key]]);
+
+/**
+ * Quote a CSV field when it needs it (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize a table as CSV
+ * Metadata leads as `#` comment lines, which spreadsheets show as rows and
+ * CSV readers can skip (e.g. pandas `comment='#'`)
+ * @param {Object} table - Table ({ columns, rows })
+ * @param {Object} metadata - Export metadata
+ * @returns {string} CSV text
+ */
+const toCSV = ({ columns, rows }, metadata) => [
+    ...metadataEntries(metadata).map(([label, value]) => csvField(`# ${label}: ${value}`)),
+    columns.map(column => csvField(column.label)).join(','),
+    ...rows.map(row => columns.map(column => csvField(cellValue(row, column.key))).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Serialize a table as JSON
+ * @param {Object} table - Table ({ columns, rows })
+ * @param {Object} metadata - Export metadata
+ * @returns {string} JSON text ({ metadata, columns, rows }) with rows keyed by column
+ */
+const toJSON = ({ columns, rows }, metadata) => JSON.stringify({
+    metadata,
+    columns,
+    rows: rows.map(row => Object.fromEntries(columns.map(column => [column.key, cellValue(row, column.key)])))
+}, null, 2);
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXML = (value) => String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name
+ * @param {number} index - Column index
+ * @returns {string} Column name (A, B, ..., Z, AA, ...)
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * Build a SpreadsheetML worksheet
+ * Numbers are written as numbers and everything else as inline strings
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} Worksheet XML
+ */
+const createWorksheet = (rows) => {
+    const sheetRows = rows.map((cells, r) => {
+        const xml = cells.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${xml}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+};
+
+// CRC-32 lookup table, built on first use
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of bytes (as used by ZIP)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (bytes) => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            return c;
+        });
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Pack files into a ZIP archive without compression
+ * @param {Array} files - Files ({ name, content }) with string contents
+ * @param {Date} [date=new Date()] - Modification time stored for every file
+ * @returns {Uint8Array} ZIP archive
+ */
+const createZip = (files, date = new Date()) => {
+    // MS-DOS time and date fields
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    // Fields shared by the local and central headers: version, UTF-8 flag, stored, time, date, CRC, sizes, name length
+    const writeCommon = (entry) => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, day, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        offset += 24;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        offset += 4;
+        writeCommon(entry);
+        offset += 2; // Extra field length
+        bytes.set(entry.name, offset);
+        bytes.set(entry.data, offset + entry.name.length);
+        offset += entry.name.length + entry.data.length;
+    });
+
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true); // Version made by
+        offset += 6;
+        writeCommon(entry);
+        // Extra, comment, disk, attributes: all zero
+        offset += 12;
+        view.setUint32(offset, entry.offset, true);
+        bytes.set(entry.name, offset + 4);
+        offset += 4 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, localSize, true);
+
+    return bytes;
+};
+
+/**
+ * Serialize a table as an XLSX workbook
+ * The first sheet holds the table and the second the export metadata
+ * @param {Object} table - Table ({ name, columns, rows })
+ * @param {Object} metadata - Export metadata
+ * @returns {Uint8Array} XLSX file
+ */
+const toXLSX = ({ name, columns, rows }, metadata) => {
+    const sheets = [
+        { name, rows: [columns.map(column => column.label), ...rows.map(row => columns.map(column => cellValue(row, column.key)))] },
+        { name: 'Export Info', rows: metadataEntries(metadata) }
+    ];
+    const relationship = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationship}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${header}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationship}"><sheets>` +
+                sheets.map((sheet, i) => `<sheet name="${escapeXML(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${relationship}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: createWorksheet(sheet.rows) }))
+    ], new Date(metadata.exportedAt || Date.now()));
+};
+
+const SERIALIZERS = { csv: toCSV, json: toJSON, xlsx: toXLSX };
+
+/**
+ * Serialize a table for download
+ * @param {Object} table - Table from buildStandingsTable or buildGamesTable
+ * @param {string} format - 'csv', 'json' or 'xlsx'
+ * @param {Object} metadata - Metadata ({ league, season, seasonLabel, source, timestamp, exportedAt, filter })
+ * @returns {Object} File ({ content, type, extension }); `rows` is added to the metadata
+ */
+export const exportTable = (table, format, metadata = {}) => {
+    const serialize = SERIALIZERS[format];
+    if (!serialize) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    return {
+        content: serialize(table, { ...metadata, rows: table.rows.length }),
+        type: MIME_TYPES[format],
+        extension: format
+    };
+};
+
+export default {
+    EXPORT_FORMATS,
+    getDefaultExportFormat,
+    buildStandingsTable,
+    buildGamesTable,
+    exportTable
+};
@@ -0,0 +1,77 @@
+/**
+ * Favorite teams
+ * Teams starred from the standings or game cards, saved in this browser across
+ * leagues, and the summaries shown for them in My Teams
+ */
+
+import { readPreference, writePreference } from './preferences.js';
+import { summarizeTeamSchedule } from './team.js';
+import { involvesTeam } from './schedule.js';
+
+const PREFERENCE = 'favorites';
+
+/**
+ * Read the saved favorites
+ * @returns {Array} Favorites ({ league, teamId, name }) in the order they were starred
+ */
+export const getFavorites = () => {
+    const favorites = readPreference(PREFERENCE, []);
+    return Array.isArray(favorites) ? favorites.filter(favorite => favorite?.league && favorite.teamId) : [];
+};
+
+/**
+ * Get the favorite team ids for one league
+ * @param {Array} favorites - Favorites
+ * @param {string} leagueId - League identifier
+ * @returns {Set<string>} Team ids
+ */
+export const getFavoriteIds = (favorites, leagueId) => new Set(favorites
+    .filter(favorite => favorite.league === leagueId)
+    .map(favorite => favorite.teamId));
+
+/**
+ * Star or unstar a team
+ * @param {string} leagueId - League identifier
+ * @param {Object} team - Team ({ id, name })
+ * @returns {Object} Result ({ favorites, added })
+ */
+export const toggleFavorite = (leagueId, { id, name }) => {
+    const teamId = String(id);
+    const favorites = getFavorites();
+    const added = !favorites.some(favorite => favorite.league === leagueId && favorite.teamId === teamId);
+    const next = added
+        ? [...favorites, { league: leagueId, teamId, name }]
+        : favorites.filter(favorite => !(favorite.league === leagueId && favorite.teamId === teamId));
+
+    writePreference(PREFERENCE, next);
+    return { favorites: next, added };
+};
+
+/**
+ * Summarize a favorite team for My Teams
+ * @param {Object} team - Standings row
+ * @param {Array} schedule - Season schedule
+ * @param {Object} league - League definition
+ * @returns {Object} Summary ({ record, streak, lastGame, nextGame }); games are from the team's side (see toTeamGame)
+ */
+export const summarizeFavorite = (team, schedule, league) => {
+    const summary = summarizeTeamSchedule(schedule.filter(game => involvesTeam(game, team.id)), team.id, league);
+    const played = summary.schedule.filter(game => game.result);
+
+    return {
+        record: summary.record,
+        streak: team.streak,
+        lastGame: played[played.length - 1] || null,
+        // A game in progress comes before the next scheduled one
+        nextGame: summary.schedule.find(game => game.status === 'live') ||
+            summary.schedule.find(game => game.status === 'scheduled') ||
+            null
+    };
+};
+
+export default {
+    getFavorites,
+    getFavoriteIds,
+    toggleFavorite,
+    summarizeFavorite
+};
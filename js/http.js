@@ -0,0 +1,193 @@
+/**
+ * HTTP helpers for data providers
+ * Adds AbortController timeouts, exponential backoff with jitter and
+ * error classification on top of the Fetch API
+ */
+
+import { delay } from './utils.js';
+
+// Error categories used to decide between retrying, falling back and surfacing
+export const ERROR_TYPES = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    SERVER: 'server',
+    REQUEST: 'request',
+    SCHEMA: 'schema',
+    // The provider does not offer the requested data (see callProvider in api.js)
+    UNSUPPORTED: 'unsupported'
+};
+
+const RETRYABLE_TYPES = [
+    ERROR_TYPES.RATE_LIMIT,
+    ERROR_TYPES.NETWORK,
+    ERROR_TYPES.TIMEOUT,
+    ERROR_TYPES.SERVER
+];
+
+/**
+ * Error raised by providers with a classified type
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.type - One of ERROR_TYPES
+     * @param {number} [details.status] - HTTP status code
+     * @param {number} [details.retryAfter] - Server-requested wait in milliseconds
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, { type = ERROR_TYPES.NETWORK, status = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+    }
+
+    /**
+     * Whether the request may succeed if tried again
+     * @returns {boolean} True for transient failures
+     */
+    get retryable() {
+        return RETRYABLE_TYPES.includes(this.type);
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Wait time in milliseconds
+ */
+export const parseRetryAfter = (value) => {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Calculate exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseMs - Base delay
+ * @param {number} maxMs - Maximum delay
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, baseMs = 500, maxMs = 8000) => {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Classify a non-OK HTTP response
+ * @param {Response} response - Fetch response
+ * @returns {ApiError} Classified error
+ */
+const classifyResponse = (response) => {
+    const { status, statusText } = response;
+    const message = `API Error: ${status} ${statusText}`;
+
+    if (status === 401 || status === 403) {
+        return new ApiError(message, { type: ERROR_TYPES.AUTH, status });
+    }
+
+    if (status === 429) {
+        return new ApiError(message, {
+            type: ERROR_TYPES.RATE_LIMIT,
+            status,
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        });
+    }
+
+    if (status >= 500) {
+        return new ApiError(message, {
+            type: ERROR_TYPES.SERVER,
+            status,
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        });
+    }
+
+    return new ApiError(message, { type: ERROR_TYPES.REQUEST, status });
+};
+
+/**
+ * Fetch a URL with a timeout
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<Response>} Fetch response
+ */
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new ApiError(`Request timed out after ${timeoutMs}ms`, { type: ERROR_TYPES.TIMEOUT, cause: error });
+        }
+        throw new ApiError(`Network error: ${error.message}`, { type: ERROR_TYPES.NETWORK, cause: error });
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Fetch JSON with timeout, retries and error classification
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Headers|Object} [options.headers] - Request headers
+ * @param {number} [options.timeout=10000] - Per-attempt timeout in milliseconds
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.retryDelay=500] - Base backoff delay
+ * @param {number} [options.maxRetryDelay=8000] - Maximum wait between attempts
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export const fetchJSON = async (url, {
+    headers,
+    timeout = 10000,
+    retries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 8000
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetchWithTimeout(url, { method: 'GET', headers }, timeout);
+
+            if (!response.ok) {
+                throw classifyResponse(response);
+            }
+
+            try {
+                return await response.json();
+            } catch (error) {
+                throw new ApiError('Response is not valid JSON', { type: ERROR_TYPES.SCHEMA, status: response.status, cause: error });
+            }
+        } catch (error) {
+            const apiError = error instanceof ApiError ? error : new ApiError(error.message, { cause: error });
+            const wait = apiError.retryAfter ?? getBackoffDelay(attempt, retryDelay, maxRetryDelay);
+
+            // Give up when out of retries or when the server asks us to wait too long
+            if (!apiError.retryable || attempt >= retries || wait > maxRetryDelay) {
+                throw apiError;
+            }
+
+            console.warn(`Retrying ${url} in ${wait}ms (${attempt + 1}/${retries}): ${apiError.message}`);
+            await delay(wait);
+        }
+    }
+};
+
+export default {
+    ERROR_TYPES,
+    ApiError,
+    parseRetryAfter,
+    getBackoffDelay,
+    fetchJSON
+};
@@ -0,0 +1,98 @@
+/**
+ * iCalendar export
+ * Builds .ics files (RFC 5545) from games so fixtures can be added to any calendar app
+ */
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their length
+        if (octets + size > MAX_LINE_OCTETS) {
+            parts.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n');
+};
+
+/**
+ * Format a date as an iCalendar UTC date-time
+ * @param {Date|string} date - Date
+ * @returns {string} Date-time (e.g. 20250115T003000Z)
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build an iCalendar file for a list of games
+ * @param {Array} games - Games ({ id, date, homeTeam, awayTeam })
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.league - League identifier, used in event ids and descriptions
+ * @param {number} [options.durationMinutes=180] - Length of each event
+ * @param {Date} [options.now=new Date()] - Time stamp for the events
+ * @returns {string} Calendar contents
+ */
+export const buildCalendar = (games, { name, league, durationMinutes = 180, now = new Date() }) => {
+    const stamp = formatDateTime(now);
+
+    const events = games.flatMap(game => {
+        const start = new Date(game.date);
+        const end = new Date(start.getTime() + durationMinutes * 60000);
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${league}-${game.id}@sports-stats-dashboard`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(start)}`,
+            `DTEND:${formatDateTime(end)}`,
+            `SUMMARY:${escapeText(`${game.awayTeam} @ ${game.homeTeam}`)}`,
+            `DESCRIPTION:${escapeText(`${league.toUpperCase()} · ${game.awayTeam} at ${game.homeTeam}`)}`,
+            'END:VEVENT'
+        ];
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Sports Stats Dashboard//Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default {
+    buildCalendar
+};
@@ -0,0 +1,342 @@
+/**
+ * League catalog
+ * Single source of truth for the leagues the dashboard supports: the league
+ * selector, mock rosters, API slugs and sport-specific labels all come from here
+ */
+
+/**
+ * Sports
+ * - terminology: labels for scores and games (singular and plural)
+ * - positions: mock roster positions, one player per entry
+ * - playerStats: per-game player stats ({ key, label, mock }), the first one is the
+ *   sport's headline stat; `mock` is the team total per game, either a share of the
+ *   team score (`fromScore`) or a fixed average (`perGame`)
+ * - summaryCards: dashboard summary cards, in order (see SUMMARY_CARDS in js/summary.js)
+ * - clock: game structure ({ periods, periodLabel, periodMinutes, countsUp, duration });
+ *   periods beyond `periods` are overtime, `duration` is the real-time length in
+ *   minutes used to play out mock games live
+ */
+export const SPORTS = {
+    basketball: {
+        id: 'basketball',
+        name: 'Basketball',
+        terminology: { score: 'Points', scoreShort: 'PTS', game: 'Game', games: 'Games' },
+        positions: ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'C'],
+        playerStats: [
+            { key: 'points', label: 'PTS', mock: { fromScore: 1 } },
+            { key: 'rebounds', label: 'REB', mock: { perGame: 44 } },
+            { key: 'assists', label: 'AST', mock: { perGame: 25 } }
+        ],
+        summaryCards: ['totalTeams', 'gamesToday', 'topScorer', 'avgScore'],
+        clock: { periods: 4, periodLabel: 'Q', periodMinutes: 12, duration: 150 }
+    },
+    football: {
+        id: 'football',
+        name: 'Football',
+        terminology: { score: 'Points', scoreShort: 'PTS', game: 'Game', games: 'Games' },
+        positions: ['QB', 'RB', 'WR', 'WR', 'TE', 'RB', 'WR', 'K'],
+        playerStats: [
+            { key: 'touchdowns', label: 'TD', mock: { fromScore: 1 / 7 } },
+            { key: 'yards', label: 'YDS', mock: { perGame: 340 } },
+            { key: 'receptions', label: 'REC', mock: { perGame: 21 } }
+        ],
+        summaryCards: ['totalTeams', 'gamesToday', 'topScorer', 'avgScore'],
+        clock: { periods: 4, periodLabel: 'Q', periodMinutes: 15, duration: 190 }
+    },
+    baseball: {
+        id: 'baseball',
+        name: 'Baseball',
+        terminology: { score: 'Runs', scoreShort: 'R', game: 'Game', games: 'Games' },
+        positions: ['C', '1B', '2B', 'SS', '3B', 'LF', 'CF', 'RF'],
+        playerStats: [
+            { key: 'runs', label: 'R', mock: { fromScore: 1 } },
+            { key: 'hits', label: 'H', mock: { perGame: 8.5 } },
+            { key: 'homeRuns', label: 'HR', mock: { perGame: 1.2 } }
+        ],
+        summaryCards: ['totalTeams', 'gamesToday', 'topScorer', 'avgScore'],
+        clock: { periods: 9, periodLabel: 'inning', periodMinutes: null, duration: 180 }
+    },
+    hockey: {
+        id: 'hockey',
+        name: 'Hockey',
+        terminology: { score: 'Goals', scoreShort: 'G', game: 'Game', games: 'Games' },
+        positions: ['C', 'LW', 'RW', 'D', 'D', 'C', 'LW', 'RW'],
+        playerStats: [
+            { key: 'goals', label: 'G', mock: { fromScore: 1 } },
+            { key: 'assists', label: 'A', mock: { fromScore: 1.7 } },
+            { key: 'shots', label: 'SOG', mock: { perGame: 30 } }
+        ],
+        summaryCards: ['totalTeams', 'gamesToday', 'topScorer', 'avgScore', 'overtimeRate'],
+        clock: { periods: 3, periodLabel: 'P', periodMinutes: 20, duration: 150 }
+    },
+    soccer: {
+        id: 'soccer',
+        name: 'Soccer',
+        terminology: { score: 'Goals', scoreShort: 'G', game: 'Match', games: 'Matches' },
+        positions: ['GK', 'DF', 'DF', 'MF', 'MF', 'MF', 'FW', 'FW'],
+        playerStats: [
+            { key: 'goals', label: 'G', mock: { fromScore: 1 } },
+            { key: 'assists', label: 'A', mock: { fromScore: 0.7 } },
+            { key: 'shots', label: 'SH', mock: { perGame: 12 } }
+        ],
+        summaryCards: ['totalTeams', 'gamesPlayed', 'topScorer', 'matchScore', 'drawRate'],
+        clock: { periods: 2, periodLabel: 'H', periodMinutes: 45, countsUp: true, duration: 110 }
+    }
+};
+
+/**
+ * Supported leagues
+ * - apiSlug: MySportsFeeds league slug (null when the feed does not cover it)
+ * - teams: mock roster with conference and division
+ * - season: mock season shape, the months the regular season runs (startMonth-endMonth,
+ *   wrapping into the next year when endMonth is earlier) and the mock postseason shape
+ *   (null when the league has no playoffs)
+ * - scoring: mock score profile ({ mean, sd })
+ * - allowDraws: games can end level (no overtime)
+ * - overtimeLosses: overtime losses are recorded separately (W-L-OTL)
+ * - pointsSystem: table points per result, for leagues ranked by points
+ * - playoffs: playoff places per group ('league' or 'conference')
+ * - groupLabels: display names for the standings groupings
+ */
+export const LEAGUES = {
+    nba: {
+        id: 'nba',
+        name: 'NBA',
+        sport: 'basketball',
+        apiSlug: 'nba',
+        teams: [
+            { name: 'Celtics', conference: 'East', division: 'Atlantic' },
+            { name: 'Nets', conference: 'East', division: 'Atlantic' },
+            { name: '76ers', conference: 'East', division: 'Atlantic' },
+            { name: 'Heat', conference: 'East', division: 'Southeast' },
+            { name: 'Hawks', conference: 'East', division: 'Southeast' },
+            { name: 'Magic', conference: 'East', division: 'Southeast' },
+            { name: 'Lakers', conference: 'West', division: 'Pacific' },
+            { name: 'Warriors', conference: 'West', division: 'Pacific' },
+            { name: 'Suns', conference: 'West', division: 'Pacific' },
+            { name: 'Mavericks', conference: 'West', division: 'Southwest' },
+            { name: 'Rockets', conference: 'West', division: 'Southwest' },
+            { name: 'Spurs', conference: 'West', division: 'Southwest' }
+        ],
+        season: {
+            gamesPerTeam: 82,
+            daysBetweenRounds: 2,
+            startMonth: 10,
+            endMonth: 4,
+            postseason: { gamesPerTeam: 10, daysBetweenRounds: 2 }
+        },
+        scoring: { mean: 112, sd: 12 },
+        allowDraws: false,
+        overtimeLosses: false,
+        pointsSystem: null,
+        playoffs: { group: 'conference', spots: 3, label: 'Playoff line' }
+    },
+    nfl: {
+        id: 'nfl',
+        name: 'NFL',
+        sport: 'football',
+        apiSlug: 'nfl',
+        teams: [
+            { name: 'Bills', conference: 'AFC', division: 'AFC East' },
+            { name: 'Patriots', conference: 'AFC', division: 'AFC East' },
+            { name: 'Dolphins', conference: 'AFC', division: 'AFC East' },
+            { name: 'Chiefs', conference: 'AFC', division: 'AFC West' },
+            { name: 'Chargers', conference: 'AFC', division: 'AFC West' },
+            { name: 'Broncos', conference: 'AFC', division: 'AFC West' },
+            { name: 'Eagles', conference: 'NFC', division: 'NFC East' },
+            { name: 'Cowboys', conference: 'NFC', division: 'NFC East' },
+            { name: 'Giants', conference: 'NFC', division: 'NFC East' },
+            { name: '49ers', conference: 'NFC', division: 'NFC West' },
+            { name: 'Rams', conference: 'NFC', division: 'NFC West' },
+            { name: 'Seahawks', conference: 'NFC', division: 'NFC West' }
+        ],
+        season: {
+            gamesPerTeam: 17,
+            daysBetweenRounds: 7,
+            startMonth: 9,
+            endMonth: 1,
+            postseason: { gamesPerTeam: 3, daysBetweenRounds: 7 }
+        },
+        scoring: { mean: 22, sd: 9 },
+        allowDraws: false,
+        overtimeLosses: false,
+        pointsSystem: null,
+        playoffs: { group: 'conference', spots: 3, label: 'Playoff line' }
+    },
+    mlb: {
+        id: 'mlb',
+        name: 'MLB',
+        sport: 'baseball',
+        apiSlug: 'mlb',
+        teams: [
+            { name: 'Yankees', conference: 'American League', division: 'AL East' },
+            { name: 'Red Sox', conference: 'American League', division: 'AL East' },
+            { name: 'Rays', conference: 'American League', division: 'AL East' },
+            { name: 'Astros', conference: 'American League', division: 'AL West' },
+            { name: 'Rangers', conference: 'American League', division: 'AL West' },
+            { name: 'Mariners', conference: 'American League', division: 'AL West' },
+            { name: 'Braves', conference: 'National League', division: 'NL East' },
+            { name: 'Mets', conference: 'National League', division: 'NL East' },
+            { name: 'Phillies', conference: 'National League', division: 'NL East' },
+            { name: 'Dodgers', conference: 'National League', division: 'NL West' },
+            { name: 'Giants', conference: 'National League', division: 'NL West' },
+            { name: 'Padres', conference: 'National League', division: 'NL West' }
+        ],
+        season: {
+            gamesPerTeam: 162,
+            daysBetweenRounds: 1,
+            startMonth: 3,
+            endMonth: 9,
+            postseason: { gamesPerTeam: 10, daysBetweenRounds: 1 }
+        },
+        scoring: { mean: 4.5, sd: 3 },
+        allowDraws: false,
+        overtimeLosses: false,
+        pointsSystem: null,
+        playoffs: { group: 'conference', spots: 3, label: 'Playoff line' },
+        groupLabels: { conference: 'League' }
+    },
+    nhl: {
+        id: 'nhl',
+        name: 'NHL',
+        sport: 'hockey',
+        apiSlug: 'nhl',
+        teams: [
+            { name: 'Bruins', conference: 'Eastern', division: 'Atlantic' },
+            { name: 'Maple Leafs', conference: 'Eastern', division: 'Atlantic' },
+            { name: 'Lightning', conference: 'Eastern', division: 'Atlantic' },
+            { name: 'Rangers', conference: 'Eastern', division: 'Metropolitan' },
+            { name: 'Hurricanes', conference: 'Eastern', division: 'Metropolitan' },
+            { name: 'Devils', conference: 'Eastern', division: 'Metropolitan' },
+            { name: 'Avalanche', conference: 'Western', division: 'Central' },
+            { name: 'Stars', conference: 'Western', division: 'Central' },
+            { name: 'Jets', conference: 'Western', division: 'Central' },
+            { name: 'Golden Knights', conference: 'Western', division: 'Pacific' },
+            { name: 'Oilers', conference: 'Western', division: 'Pacific' },
+            { name: 'Kings', conference: 'Western', division: 'Pacific' }
+        ],
+        season: {
+            gamesPerTeam: 82,
+            daysBetweenRounds: 2,
+            startMonth: 10,
+            endMonth: 4,
+            postseason: { gamesPerTeam: 10, daysBetweenRounds: 2 }
+        },
+        scoring: { mean: 3.1, sd: 1.6 },
+        allowDraws: false,
+        overtimeLosses: true,
+        pointsSystem: { win: 2, draw: 0, otLoss: 1 },
+        playoffs: { group: 'conference', spots: 3, label: 'Playoff line' }
+    },
+    epl: {
+        id: 'epl',
+        name: 'Premier League',
+        sport: 'soccer',
+        apiSlug: null,
+        teams: [
+            { name: 'Man City' },
+            { name: 'Arsenal' },
+            { name: 'Liverpool' },
+            { name: 'Chelsea' },
+            { name: 'Man United' },
+            { name: 'Tottenham' },
+            { name: 'Newcastle' },
+            { name: 'Brighton' },
+            { name: 'Aston Villa' },
+            { name: 'West Ham' },
+            { name: 'Leicester' },
+            { name: 'Everton' }
+        ],
+        season: {
+            gamesPerTeam: 38,
+            daysBetweenRounds: 7,
+            startMonth: 8,
+            endMonth: 5,
+            postseason: null
+        },
+        scoring: { mean: 1.4, sd: 1.2 },
+        allowDraws: true,
+        overtimeLosses: false,
+        pointsSystem: { win: 3, draw: 1, otLoss: 0 },
+        playoffs: { group: 'league', spots: 4, label: 'Champions League places' }
+    }
+};
+
+export const DEFAULT_LEAGUE = 'nba';
+
+/**
+ * Get a league from the catalog
+ * @param {string} id - League identifier (case-insensitive)
+ * @returns {Object|undefined} League definition
+ */
+export const getLeague = (id = '') => LEAGUES[id.toLowerCase()];
+
+/**
+ * Get all leagues in display order
+ * @returns {Array} League definitions
+ */
+export const getLeagues = () => Object.values(LEAGUES);
+
+/**
+ * Get all sports that have at least one league
+ * @returns {Array} Sport definitions
+ */
+export const getSports = () => Object.values(SPORTS)
+    .filter(sport => getLeagues().some(league => league.sport === sport.id));
+
+/**
+ * Get the leagues for a sport
+ * @param {string} sportId - Sport identifier
+ * @returns {Array} League definitions
+ */
+export const getLeaguesForSport = (sportId) => getLeagues().filter(league => league.sport === sportId);
+
+/**
+ * Get the league a sport opens with (the first one listed)
+ * @param {string} sportId - Sport identifier
+ * @returns {Object|undefined} League definition
+ */
+export const getDefaultLeagueForSport = (sportId) => getLeaguesForSport(sportId)[0];
+
+/**
+ * Get the sport definition for a league
+ * @param {string} id - League identifier
+ * @returns {Object} Sport definition
+ */
+export const getSportForLeague = (id) => SPORTS[getLeague(id)?.sport] || SPORTS.basketball;
+
+/**
+ * Get the player stat definitions for a league
+ * @param {string} id - League identifier
+ * @returns {Array} Stat definitions ({ key, label })
+ */
+export const getPlayerStats = (id) => getSportForLeague(id).playerStats;
+
+/**
+ * Get sport-specific terminology for a league
+ * @param {string} id - League identifier
+ * @returns {Object} Terminology ({ score, scoreShort, game, games })
+ */
+export const getTerminology = (id) => getSportForLeague(id).terminology;
+
+/**
+ * Get the game clock definition for a league
+ * @param {string} id - League identifier
+ * @returns {Object} Clock ({ periods, periodLabel, periodMinutes, countsUp, duration })
+ */
+export const getGameClock = (id) => getSportForLeague(id).clock;
+
+export default {
+    SPORTS,
+    LEAGUES,
+    DEFAULT_LEAGUE,
+    getLeague,
+    getLeagues,
+    getSports,
+    getLeaguesForSport,
+    getDefaultLeagueForSport,
+    getSportForLeague,
+    getPlayerStats,
+    getTerminology,
+    getGameClock
+};
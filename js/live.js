@@ -0,0 +1,128 @@
+/**
+ * Live games
+ * Formats the period and clock of games in progress, merges live score updates
+ * into the games on screen and decides how often to poll for them
+ */
+
+import { getGameClock } from './leagues.js';
+
+// Scheduled games this close to (or past) their start time are polled at the live rate
+const STARTING_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Format a number as an ordinal
+ * @param {number} n - Number
+ * @returns {string} Ordinal (e.g. 1st, 2nd, 11th)
+ */
+const ordinal = (n) => {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : suffixes[n % 10] || 'th'}`;
+};
+
+/**
+ * Format seconds as a game clock
+ * @param {number} seconds - Seconds left in the period
+ * @returns {string} Clock (e.g. 7:05)
+ */
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Describe where a live game is up to
+ * @param {Object} game - Game ({ status, period, clock, half })
+ * @param {string} leagueId - League identifier
+ * @returns {string|null} Progress (e.g. Q3 7:42, 2OT 1:10, Top 5th, 67', HT) or null when not live
+ */
+export const formatGameProgress = (game, leagueId) => {
+    if (game.status !== 'live' || !game.period) return null;
+
+    const { periods, periodLabel, periodMinutes, countsUp } = getGameClock(leagueId);
+    const { period, clock, half } = game;
+
+    // Innings have no clock
+    if (!periodMinutes) {
+        return `${half === 'bottom' ? 'Bot' : 'Top'} ${ordinal(period)}`;
+    }
+
+    // Soccer shows the minute being played
+    if (countsUp) {
+        if (period === 1 && clock === 0) return 'HT';
+        const minute = (period - 1) * periodMinutes + Math.ceil(periodMinutes - (clock ?? 0) / 60);
+        return `${Math.max(1, minute)}'`;
+    }
+
+    const overtime = period - periods;
+    const label = overtime > 0 ? `${overtime > 1 ? overtime : ''}OT` : `${periodLabel}${period}`;
+
+    if (clock === null || clock === undefined) return label;
+    return clock === 0 ? `End ${label}` : `${label} ${formatClock(clock)}`;
+};
+
+/**
+ * Merge live updates into a list of games
+ * Updated games are replaced in place; games that started since the list was
+ * loaded are added at the top
+ * @param {Array} games - Games on screen
+ * @param {Array} updates - Latest games from the live feed
+ * @returns {Object} Result ({ games, changes: [{ id, homeScored, awayScored, finished }], added })
+ */
+export const mergeLiveGames = (games, updates) => {
+    const pending = new Map(updates.map(update => [String(update.id), update]));
+    const changes = [];
+
+    const merged = games.map(game => {
+        const update = pending.get(String(game.id));
+        if (!update) return game;
+        pending.delete(String(game.id));
+
+        const changed = ['status', 'homeScore', 'awayScore', 'period', 'clock', 'half']
+            .some(field => (update[field] ?? null) !== (game[field] ?? null));
+        if (!changed) return game;
+
+        changes.push({
+            id: game.id,
+            homeScored: (update.homeScore ?? 0) > (game.homeScore ?? 0),
+            awayScored: (update.awayScore ?? 0) > (game.awayScore ?? 0),
+            finished: game.status !== 'final' && update.status === 'final'
+        });
+        return update;
+    });
+
+    const added = [...pending.values()].filter(update => update.status === 'live');
+
+    return {
+        games: [...added, ...merged],
+        changes,
+        added
+    };
+};
+
+/**
+ * Decide how long to wait before the next live poll
+ * Polls at the live rate while games are in progress or about to start, and
+ * otherwise backs off from the idle rate towards the maximum
+ * @param {Array} games - Latest known games
+ * @param {Object} intervals - Poll intervals in milliseconds ({ LIVE, IDLE, MAX })
+ * @param {number|null} previous - Previous interval (null on the first poll)
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} Delay in milliseconds
+ */
+export const getPollInterval = (games, { LIVE, IDLE, MAX }, previous = null, now = Date.now()) => {
+    if (games.some(game => game.status === 'live')) return LIVE;
+
+    const backoff = previous && previous >= IDLE ? Math.min(previous * 2, MAX) : IDLE;
+
+    // Wake up in time for the next game to start
+    const untilStart = games
+        .filter(game => game.status === 'scheduled')
+        .map(game => new Date(game.date).getTime() - now)
+        .filter(ms => ms > -STARTING_WINDOW_MS);
+    const nextStart = Math.min(...untilStart);
+
+    return Math.max(LIVE, Math.min(backoff, nextStart));
+};
+
+export default {
+    formatGameProgress,
+    mergeLiveGames,
+    getPollInterval
+};
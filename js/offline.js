@@ -0,0 +1,47 @@
+/**
+ * Offline support
+ * Registers the service worker that keeps the app shell available offline
+ * (see sw.js) and reports the connection state. League data shown offline
+ * comes from the response cache (see cache.js)
+ */
+
+const SERVICE_WORKER_URL = './sw.js';
+
+/**
+ * Check whether the browser reports no network connection
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Register the service worker
+ * Skipped where service workers are unavailable (older browsers, pages opened from file://)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Promise resolving to the registration, or null
+ */
+export const registerServiceWorker = async () => {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return null;
+    }
+
+    try {
+        return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.warn('Service worker registration failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Call a listener whenever the connection is lost or restored
+ * @param {Function} listener - Called with true when offline, false when back online
+ */
+export const onConnectionChange = (listener) => {
+    window.addEventListener('online', () => listener(false));
+    window.addEventListener('offline', () => listener(true));
+};
+
+export default {
+    isOffline,
+    registerServiceWorker,
+    onConnectionChange
+};
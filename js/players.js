@@ -0,0 +1,39 @@
+/**
+ * Player profiles
+ * Season totals, per-game averages and a game log from a player's game-by-game stats
+ */
+
+import { toTeamGame } from './team.js';
+
+/**
+ * Summarize a player's season from the game log returned by a provider
+ * @param {Object} profile - Provider profile ({ player, gameLog: [game + stats] })
+ * @param {Array} statDefs - Player stat definitions for the sport ({ key, label })
+ * @param {Object} league - League definition
+ * @returns {Object} Profile ({ player, gamesPlayed, totals, averages, gameLog })
+ */
+export const summarizePlayerProfile = ({ player, gameLog }, statDefs, league = {}) => {
+    const games = [...gameLog]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(game => ({ ...toTeamGame(game, player.teamId, league), stats: game.stats || {} }));
+    const gamesPlayed = games.length;
+    const totals = {};
+    const averages = {};
+
+    statDefs.forEach(({ key }) => {
+        totals[key] = games.reduce((sum, game) => sum + (game.stats[key] || 0), 0);
+        averages[key] = gamesPlayed ? parseFloat((totals[key] / gamesPlayed).toFixed(1)) : 0;
+    });
+
+    return {
+        player,
+        gamesPlayed,
+        totals,
+        averages,
+        gameLog: games
+    };
+};
+
+export default {
+    summarizePlayerProfile
+};
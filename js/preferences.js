@@ -0,0 +1,45 @@
+/**
+ * User preferences
+ * Small settings (e.g. standings columns per league) persisted in localStorage,
+ * kept apart from the response cache so clearing one leaves the other
+ */
+
+const STORAGE_PREFIX = 'sports-dashboard:prefs:';
+
+/**
+ * Read a preference
+ * @param {string} key - Preference key (e.g. standings-columns:nba)
+ * @param {*} fallback - Value returned when the preference is unset or unreadable
+ * @returns {*} Stored value or the fallback
+ */
+export const readPreference = (key, fallback = null) => {
+    try {
+        const raw = localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        return fallback;
+    }
+};
+
+/**
+ * Write a preference
+ * @param {string} key - Preference key
+ * @param {*} value - JSON-serializable value (null removes the preference)
+ */
+export const writePreference = (key, value) => {
+    try {
+        if (value === null || value === undefined) {
+            localStorage.removeItem(STORAGE_PREFIX + key);
+        } else {
+            localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        }
+    } catch (error) {
+        // Storage full or unavailable (private mode) - preferences last for the session only
+        console.warn('Preference write failed:', error.message);
+    }
+};
+
+export default {
+    readPreference,
+    writePreference
+};
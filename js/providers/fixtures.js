@@ -0,0 +1,43 @@
+/**
+ * Local JSON fixture provider
+ * Reads pre-shaped dashboard data from a static server, e.g.
+ * `${BASE_URL}/nba/standings.json`, `${BASE_URL}/nba/games.json`,
+ * `${BASE_URL}/nba/live.json`, `${BASE_URL}/nba/schedule.json`, `${BASE_URL}/nba/players.json` and
+ * `${BASE_URL}/nba/schedule/<teamId>.json`.
+ * Other seasons than the current one live in a folder per season, e.g.
+ * `${BASE_URL}/nba/2023-2024-regular/standings.json`
+ */
+
+import { fetchJSON } from '../http.js';
+
+/**
+ * Create the fixture provider
+ * @param {Object} config - API_CONFIG.PROVIDERS.FIXTURES section
+ * @returns {Object} Provider implementation
+ */
+export const createFixturesProvider = (config = {}) => {
+    /**
+     * Load a fixture file
+     * @param {string} league - League identifier
+     * @param {string} endpoint - Fixture name (standings, games, live, schedule, players, schedule/<teamId>)
+     * @param {string|null} [season] - Season identifier (omitted for the current season)
+     * @returns {Promise<*>} Parsed fixture contents
+     */
+    const fetchFixture = (league, endpoint, season) => {
+        const folder = season ? `${league.toLowerCase()}/${encodeURIComponent(season)}` : league.toLowerCase();
+        return fetchJSON(`${config.BASE_URL}/${folder}/${endpoint}.json`, { retries: 0 });
+    };
+
+    return {
+        name: 'Fixtures',
+        isAvailable: () => Boolean(config.BASE_URL),
+        fetchStandings: (league, season) => fetchFixture(league, 'standings', season),
+        fetchGames: (league, season) => fetchFixture(league, 'games', season),
+        fetchLiveGames: (league, season) => fetchFixture(league, 'live', season),
+        fetchSchedule: (league, season) => fetchFixture(league, 'schedule', season),
+        fetchPlayers: (league, season) => fetchFixture(league, 'players', season),
+        fetchTeamSchedule: (teamId, league, season) => fetchFixture(league, `schedule/${encodeURIComponent(teamId)}`, season)
+    };
+};
+
+export default createFixturesProvider;
@@ -0,0 +1,80 @@
+/**
+ * Data provider registry
+ * Every provider exposes the same interface, so feeds can be added or swapped
+ * per league through API_CONFIG.PROVIDERS without touching the fetch functions.
+ *
+ * A provider is a plain object:
+ * {
+ *     name: string,                                  // Shown as the data `source`
+ *     isAvailable: (league) => boolean,              // Can it serve this league right now?
+ *     fetchStandings: async (league, season) => Array,       // Raw records (wins, losses, draws, otLosses, pointsFor, ...)
+ *     fetchGames: async (league, season) => Array,           // Recent games, in-progress ones first
+ *     fetchLiveGames: async (league, season) => Array,       // Optional: today's games with live scores, period and clock
+ *     fetchSchedule: async (league, season) => Array,        // Optional: every game of the season
+ *     fetchTeamSchedule: async (teamId, league, season) => Array, // Optional: every game for one team
+ *     fetchPlayers: async (league, season) => Array,         // Optional: players ({ id, name, teamId, team, position, number, gamesPlayed, totals })
+ *     fetchPlayerProfile: async (playerId, league, season) => Object // Optional: { player, gameLog: [game + stats] }
+ * }
+ *
+ * `season` is a season identifier such as '2023-2024-regular' or '2024-playoff'
+ * (see seasons.js), or null for the provider's current season.
+ *
+ * Games have a status of 'scheduled', 'live' or 'final'. Live games carry the
+ * current `period` (beyond the sport's regulation periods means overtime), the
+ * seconds left in it (`clock`, null when the sport has no clock) and, for
+ * baseball, the inning `half` ('top' or 'bottom').
+ */
+
+// Fallback provider used when the active one is unavailable or fails
+export const FALLBACK_PROVIDER = 'mock';
+
+const providers = new Map();
+
+/**
+ * Register a data provider
+ * @param {string} id - Provider identifier referenced from API_CONFIG.PROVIDERS
+ * @param {Object} provider - Provider implementation
+ */
+export const registerProvider = (id, provider) => {
+    if (!provider || typeof provider.fetchStandings !== 'function' || typeof provider.fetchGames !== 'function') {
+        throw new Error(`Provider "${id}" must implement fetchStandings and fetchGames`);
+    }
+    providers.set(id, provider);
+};
+
+/**
+ * Get a registered provider by id
+ * @param {string} id - Provider identifier
+ * @returns {Object|undefined} Provider implementation
+ */
+export const getProvider = (id) => providers.get(id);
+
+/**
+ * Get the fallback provider
+ * @returns {Object} Fallback provider implementation
+ */
+export const getFallbackProvider = () => providers.get(FALLBACK_PROVIDER);
+
+/**
+ * Resolve the provider that should serve a league
+ * @param {string} league - League identifier
+ * @param {Object} config - API_CONFIG.PROVIDERS section
+ * @returns {Object} Provider implementation
+ */
+export const resolveProvider = (league, config = {}) => {
+    const id = config.LEAGUES?.[league.toLowerCase()] || config.DEFAULT || FALLBACK_PROVIDER;
+    const provider = providers.get(id);
+
+    if (provider && provider.isAvailable(league)) {
+        return provider;
+    }
+
+    return getFallbackProvider();
+};
+
+export default {
+    registerProvider,
+    getProvider,
+    getFallbackProvider,
+    resolveProvider
+};
@@ -0,0 +1,293 @@
+/**
+ * Mock data provider
+ * Serves demo data from a seeded season simulation so the dashboard works
+ * without an API key and every refresh shows the same, consistent numbers
+ */
+
+import { getRandomInt, delay } from '../utils.js';
+import { simulateSeason, playLiveGame, computeStandings, createRosters, simulatePlayerLines, tallyPlayerStats, startOfDay } from '../simulation.js';
+import { getLeague, getSportForLeague, LEAGUES, DEFAULT_LEAGUE } from '../leagues.js';
+import { getCurrentSeason, getSeasonForYear, resolveSeason } from '../seasons.js';
+import { buildStandings } from '../standings.js';
+
+// Number of completed games returned by fetchGames
+const RECENT_GAMES_COUNT = 6;
+
+/**
+ * Get the catalog entry for a league, defaulting to the NBA for unknown leagues
+ * @param {string} league - League identifier
+ * @returns {Object} League definition
+ */
+const resolveLeague = (league) => getLeague(league) || LEAGUES[DEFAULT_LEAGUE];
+
+/**
+ * Simulate network request with random delay
+ * @param {number} minMs - Minimum delay
+ * @param {number} maxMs - Maximum delay
+ * @returns {Promise} Promise that resolves after random delay
+ */
+const simulateNetworkDelay = async (minMs = 300, maxMs = 800) => {
+    const delayTime = getRandomInt(minMs, maxMs);
+    await delay(delayTime);
+};
+
+/**
+ * Create the mock data provider
+ * @param {Object} config - API_CONFIG.MOCK section ({ SEED, AS_OF, SEASON_PROGRESS })
+ * @returns {Object} Provider implementation
+ */
+export const createMockProvider = (config = {}) => {
+    const seasons = new Map();
+    const rosters = new Map();
+    const playerSeasons = new Map();
+    const startedAt = Date.now();
+
+    /**
+     * Current simulated time
+     * A pinned AS_OF runs forward from when the provider was created, so games
+     * scheduled shortly after it play out live
+     * @returns {Date} Simulated now
+     */
+    const now = () => (config.AS_OF ? new Date(new Date(config.AS_OF).getTime() + Date.now() - startedAt) : new Date());
+
+    /**
+     * Resolve the season a request is for
+     * The current season is in progress as of now; past seasons are complete
+     * @param {string} league - League identifier
+     * @param {string} [seasonId] - Season identifier (defaults to the current season)
+     * @returns {Object} Season ({ id, type, start, end, current, seed })
+     */
+    const resolveRequestSeason = (league, seasonId) => {
+        const { id: key } = resolveLeague(league);
+        const time = now();
+        const season = resolveSeason(key, seasonId, time);
+
+        return {
+            ...season,
+            current: season.id === getCurrentSeason(key, time).id,
+            seed: `${config.SEED ?? 0}:${key}:${season.id}`
+        };
+    };
+
+    /**
+     * Pick the playoff teams from a regular season's final table
+     * @param {string} league - League identifier
+     * @param {Object} season - Playoff season
+     * @returns {Array} Qualified teams ({ id, name, conference, division })
+     */
+    const getPlayoffTeams = (league, season) => {
+        const catalog = resolveLeague(league);
+        const regular = getSeasonForYear(catalog.id, season.startYear, 'regular');
+        const { teams, games, results } = getSeason(league, regular.id);
+
+        // Seed from where the regular season ends up, even while it is still being played
+        const finalGames = games.map(game => ({ ...game, ...results.get(game.id), status: 'final' }));
+        const table = buildStandings(computeStandings(teams, finalGames, catalog), catalog.id);
+        const { group, spots } = catalog.playoffs;
+        const qualified = [];
+
+        table.forEach(team => {
+            const rivals = qualified.filter(other => group === 'league' || other[group] === team[group]);
+            if (rivals.length < spots) qualified.push(team);
+        });
+
+        return qualified.map(({ id, name, conference, division }) => ({ id, name, conference, division }));
+    };
+
+    /**
+     * Get the simulated season for a league (memoized per season and simulated day)
+     * @param {string} league - League identifier
+     * @param {string} [seasonId] - Season identifier (defaults to the current season)
+     * @returns {Object} Simulated season
+     */
+    const getSeason = (league, seasonId) => {
+        const catalog = resolveLeague(league);
+        const season = resolveRequestSeason(league, seasonId);
+        const asOf = startOfDay(season.current ? now() : season.end);
+        const memoKey = `${catalog.id}:${season.id}`;
+        const cached = seasons.get(memoKey);
+
+        if (cached && cached.asOf === asOf.toISOString()) {
+            return cached;
+        }
+
+        const playoffs = season.type === 'playoff';
+        const simulated = simulateSeason({
+            ...catalog.season,
+            ...(playoffs ? catalog.season.postseason : {}),
+            teams: playoffs ? getPlayoffTeams(league, season) : catalog.teams,
+            scoring: catalog.scoring,
+            allowDraws: catalog.allowDraws,
+            seed: season.seed,
+            progress: season.current ? config.SEASON_PROGRESS : 1,
+            asOf
+        });
+
+        seasons.set(memoKey, simulated);
+        return simulated;
+    };
+
+    /**
+     * Get the season's games as of now, with today's games played out live
+     * @param {string} league - League identifier
+     * @param {string} [seasonId] - Season identifier (defaults to the current season)
+     * @returns {Array} Games (scheduled, live or final)
+     */
+    const getGames = (league, seasonId) => {
+        const { id: key } = resolveLeague(league);
+        const { seed } = resolveRequestSeason(league, seasonId);
+        const { games, results } = getSeason(league, seasonId);
+        const time = now();
+        const clock = getSportForLeague(key).clock;
+
+        return games.map(game => (game.status === 'scheduled' && new Date(game.date) <= time
+            ? playLiveGame(game, results.get(game.id), time, clock, seed)
+            : game));
+    };
+
+    /**
+     * Get the mock rosters for a league (memoized; the same players are kept every season)
+     * @param {string} league - League identifier
+     * @returns {Array} Players, including their internal usage share
+     */
+    const getRoster = (league) => {
+        const { id: key, teams } = resolveLeague(league);
+
+        if (!rosters.has(key)) {
+            rosters.set(key, createRosters(teams.map((team, index) => ({ ...team, id: index + 1 })), {
+                seed: `${config.SEED ?? 0}:${key}`,
+                positions: getSportForLeague(key).positions
+            }));
+        }
+
+        return rosters.get(key);
+    };
+
+    /**
+     * Get the roster of the teams taking part in a season
+     * @param {string} league - League identifier
+     * @param {string} [seasonId] - Season identifier (defaults to the current season)
+     * @returns {Array} Players, including their internal usage share
+     */
+    const getSeasonRoster = (league, seasonId) => {
+        const teamIds = new Set(getSeason(league, seasonId).teams.map(team => team.id));
+        return getRoster(league).filter(player => teamIds.has(player.teamId));
+    };
+
+    /**
+     * Get season totals for every player (memoized until another game finishes)
+     * @param {string} league - League identifier
+     * @param {string} [seasonId] - Season identifier (defaults to the current season)
+     * @returns {Map<number, Object>} Season line ({ gamesPlayed, totals }) by player id
+     */
+    const getPlayerSeason = (league, seasonId) => {
+        const { id: key } = resolveLeague(league);
+        const season = resolveRequestSeason(league, seasonId);
+        const games = getGames(league, seasonId);
+        const version = `${getSeason(league, seasonId).asOf}:${games.filter(game => game.status === 'final').length}`;
+        const memoKey = `${key}:${season.id}`;
+        const cached = playerSeasons.get(memoKey);
+
+        if (cached && cached.version === version) {
+            return cached.lines;
+        }
+
+        const lines = tallyPlayerStats(games, getSeasonRoster(league, seasonId), getSportForLeague(key).playerStats, season.seed);
+        playerSeasons.set(memoKey, { version, lines });
+        return lines;
+    };
+
+    const fetchStandings = async (league, season) => {
+        await simulateNetworkDelay();
+
+        const catalog = resolveLeague(league);
+        const games = getGames(league, season);
+        // The simulated playoffs are seeded from these places (see getPlayoffTeams); playoff tables have none
+        const playoffSpots = resolveRequestSeason(league, season).type !== 'playoff' ? catalog.playoffs?.spots ?? null : null;
+
+        return computeStandings(getSeason(league, season).teams, games, catalog).map(record => ({
+            ...record,
+            playoffSpots,
+            gamesRemaining: games.filter(game => game.status !== 'final' &&
+                (game.homeTeamId === record.id || game.awayTeamId === record.id)).length
+        }));
+    };
+
+    const fetchGames = async (league, season) => {
+        await simulateNetworkDelay();
+
+        const games = getGames(league, season);
+        const recent = games
+            .filter(game => game.status === 'final')
+            .slice(-RECENT_GAMES_COUNT)
+            .reverse();
+
+        return [...games.filter(game => game.status === 'live'), ...recent];
+    };
+
+    const fetchLiveGames = async (league, season) => {
+        await simulateNetworkDelay(100, 300);
+
+        const today = startOfDay(now()).getTime();
+        return getGames(league, season).filter(game => startOfDay(game.date).getTime() === today);
+    };
+
+    const fetchSchedule = async (league, season) => {
+        await simulateNetworkDelay(200, 500);
+
+        return getGames(league, season);
+    };
+
+    const fetchTeamSchedule = async (teamId, league, season) => {
+        await simulateNetworkDelay(200, 500);
+
+        return getGames(league, season)
+            .filter(game => String(game.homeTeamId) === String(teamId) || String(game.awayTeamId) === String(teamId));
+    };
+
+    const fetchPlayers = async (league, season) => {
+        await simulateNetworkDelay(200, 500);
+
+        const lines = getPlayerSeason(league, season);
+        return getSeasonRoster(league, season).map(({ usage, ...player }) => ({ ...player, ...lines.get(player.id) }));
+    };
+
+    const fetchPlayerProfile = async (playerId, league, season) => {
+        await simulateNetworkDelay(200, 500);
+
+        const { id: key } = resolveLeague(league);
+        const roster = getRoster(league);
+        const player = roster.find(candidate => String(candidate.id) === String(playerId));
+
+        if (!player) {
+            throw new Error(`Player ${playerId} not found`);
+        }
+
+        const teammates = roster.filter(candidate => candidate.teamId === player.teamId);
+        const { playerStats } = getSportForLeague(key);
+        const { seed } = resolveRequestSeason(league, season);
+        const gameLog = getGames(league, season)
+            .filter(game => game.status === 'final' && (game.homeTeamId === player.teamId || game.awayTeamId === player.teamId))
+            .map(game => ({
+                ...game,
+                stats: simulatePlayerLines(game, teammates, playerStats, seed).get(player.id)
+            }));
+        const { usage, ...profile } = player;
+
+        return { player: profile, gameLog };
+    };
+
+    return {
+        name: 'Mock Data',
+        isAvailable: () => true,
+        fetchStandings,
+        fetchGames,
+        fetchLiveGames,
+        fetchSchedule,
+        fetchTeamSchedule,
+        fetchPlayers,
+        fetchPlayerProfile
+    };
+};
+
+export default createMockProvider;
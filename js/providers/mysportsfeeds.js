@@ -0,0 +1,340 @@
+/**
+ * MySportsFeeds data provider
+ * Fetches live data from the MySportsFeeds v2.1 API and maps it to the dashboard format,
+ * either directly (with the API key in the browser) or through the proxy server
+ * (see server/), which holds the key and answers /api/<league>/<endpoint>
+ */
+
+import { fetchJSON, ApiError, ERROR_TYPES } from '../http.js';
+import { getLeague, getGameClock } from '../leagues.js';
+import { getCurrentSeason } from '../seasons.js';
+
+// Number of games returned by fetchGames
+const RECENT_GAMES_COUNT = 6;
+
+// Where each dashboard player stat lives in the feed's stats object (summed when several)
+export const PLAYER_STAT_PATHS = {
+    basketball: {
+        points: ['offense.pts'],
+        rebounds: ['rebounds.reb'],
+        assists: ['offense.ast']
+    },
+    football: {
+        touchdowns: ['passing.passTD', 'rushing.rushTD', 'receiving.recTD'],
+        yards: ['passing.passYards', 'rushing.rushYards', 'receiving.recYards'],
+        receptions: ['receiving.receptions']
+    },
+    baseball: {
+        runs: ['batting.runs'],
+        hits: ['batting.hits'],
+        homeRuns: ['batting.homeruns']
+    },
+    hockey: {
+        goals: ['scoring.goals'],
+        assists: ['scoring.assists'],
+        shots: ['skating.shots']
+    }
+};
+
+/**
+ * Create the MySportsFeeds provider
+ * @param {Object} config - API_CONFIG.MYSPORTSFEEDS section, plus PROXY_URL to go through the proxy server
+ * @param {Object} settings - API_CONFIG.SETTINGS section
+ * @returns {Object} Provider implementation
+ */
+export const createMySportsFeedsProvider = (config, settings = {}) => {
+    /**
+     * Create authentication headers for MySportsFeeds
+     * @returns {Headers} Headers object with authentication
+     */
+    const createAuthHeaders = () => {
+        const headers = new Headers();
+        // MySportsFeeds uses Basic Auth with API key as username and 'MYSPORTSFEEDS' as password
+        const credentials = btoa(`${config.API_KEY}:MYSPORTSFEEDS`);
+        headers.append('Authorization', `Basic ${credentials}`);
+        headers.append('Accept', 'application/json');
+        return headers;
+    };
+
+    /**
+     * Make authenticated request to MySportsFeeds API
+     * Retries transient failures (timeouts, network errors, 5xx, 429) with backoff
+     * @param {string} endpoint - API endpoint path
+     * @param {string} league - League identifier (nba, nfl, etc.)
+     * @param {Object} params - Query parameters
+     * @param {string|null} [season] - Season identifier (defaults to config.SEASON, then the league's current season)
+     * @returns {Promise<Object>} API response data
+     */
+    const fetchFromMySportsFeeds = async (endpoint, league = 'nba', params = {}, season = null) => {
+        let url;
+
+        if (config.PROXY_URL) {
+            // The proxy resolves the league slug and the current season, and adds the credentials
+            const query = new URLSearchParams({ ...params, ...(season || config.SEASON ? { season: season || config.SEASON } : {}) }).toString();
+            url = `${config.PROXY_URL}/${league}/${endpoint}${query ? `?${query}` : ''}`;
+        } else {
+            const query = new URLSearchParams(params).toString();
+            url = `${config.BASE_URL}/${getLeague(league).apiSlug}/${season || config.SEASON || getCurrentSeason(league).id}/${endpoint}.json${query ? `?${query}` : ''}`;
+        }
+
+        try {
+            return await fetchJSON(url, {
+                headers: config.PROXY_URL ? { Accept: 'application/json' } : createAuthHeaders(),
+                timeout: settings.timeout,
+                retries: settings.retries,
+                retryDelay: settings.retryDelay,
+                maxRetryDelay: settings.maxRetryDelay
+            });
+        } catch (error) {
+            console.error(`MySportsFeeds API Error (${error.type}):`, error);
+            throw error;
+        }
+    };
+
+    /**
+     * Ensure a payload field is an array
+     * @param {Object} data - API response data
+     * @param {string} field - Expected array field
+     * @returns {Array} The array
+     */
+    const requireArray = (data, field) => {
+        if (!Array.isArray(data?.[field])) {
+            throw new ApiError(`Unexpected MySportsFeeds response: missing "${field}"`, { type: ERROR_TYPES.SCHEMA });
+        }
+        return data[field];
+    };
+
+    /**
+     * Check if an API key is configured (or held by the proxy)
+     * @returns {boolean} True if API key is configured
+     */
+    const isAPIConfigured = () => {
+        if (config.PROXY_URL) return true;
+
+        return Boolean(config.API_KEY) &&
+               config.API_KEY !== 'YOUR_API_KEY_HERE' &&
+               config.API_KEY !== 'YOUR_MYSPORTSFEEDS_API_KEY_HERE';
+    };
+
+    /**
+     * Fetch and transform standings
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of raw team records
+     */
+    const fetchStandings = async (league, season) => {
+        const data = await fetchFromMySportsFeeds('standings', league, {}, season);
+
+        return requireArray(data, 'standings').map((standing) => {
+            const team = standing.team;
+            const stats = standing.stats;
+
+            return {
+                id: team.id,
+                name: team.abbreviation || team.city,
+                conference: standing.conferenceRank?.conferenceName || null,
+                division: standing.divisionRank?.divisionName || null,
+                wins: stats.wins || 0,
+                losses: stats.losses || 0,
+                draws: stats.ties || 0,
+                otLosses: stats.overtimeLosses || 0,
+                pointsFor: stats.pointsFor || 0,
+                pointsAgainst: stats.pointsAgainst || 0,
+                streak: stats.streak || 'N/A'
+            };
+        });
+    };
+
+    /**
+     * Map a MySportsFeeds game to the dashboard format
+     * @param {Object} game - Game from the games feed
+     * @param {string} league - League identifier
+     * @returns {Object} Game
+     */
+    const mapGame = (game, league) => {
+        const schedule = game.schedule;
+        const score = game.score;
+        // COMPLETED_PENDING_REVIEW results are final for display purposes
+        const final = schedule.playedStatus?.startsWith('COMPLETED');
+        const live = schedule.playedStatus === 'LIVE';
+        const periods = score?.quarters || score?.periods || score?.innings || [];
+        const regulation = getGameClock(league).periods;
+        const homeTeam = schedule.homeTeam.abbreviation || schedule.homeTeam.city;
+        const awayTeam = schedule.awayTeam.abbreviation || schedule.awayTeam.city;
+        const homeScore = score?.homeScoreTotal || 0;
+        const awayScore = score?.awayScoreTotal || 0;
+
+        return {
+            id: schedule.id,
+            homeTeam,
+            awayTeam,
+            homeTeamId: schedule.homeTeam.id,
+            awayTeamId: schedule.awayTeam.id,
+            homeScore: final || live ? homeScore : null,
+            awayScore: final || live ? awayScore : null,
+            overtime: final && periods.length > regulation,
+            date: schedule.startTime,
+            status: final ? 'final' : live ? 'live' : 'scheduled',
+            // Period in progress (or just ended, during an intermission) and seconds left in it
+            period: live ? score?.currentQuarter ?? score?.currentPeriod ?? score?.currentInning ?? score?.currentIntermission ?? null : null,
+            clock: live ? score?.currentQuarterSecondsRemaining ?? score?.currentPeriodSecondsRemaining ?? (score?.currentIntermission ? 0 : null) : null,
+            half: live && score?.currentInningHalf ? score.currentInningHalf.toLowerCase() : null,
+            // Level final scores (draws) have no winner
+            winner: !final || homeScore === awayScore ? null : homeScore > awayScore ? homeTeam : awayTeam
+        };
+    };
+
+    /**
+     * Map a feed stats object to the dashboard's player stats
+     * @param {Object} stats - Stats object from a player feed
+     * @param {string} league - League identifier
+     * @returns {Object} Stat line ({ [key]: value })
+     */
+    const mapPlayerStats = (stats = {}, league) => {
+        const paths = PLAYER_STAT_PATHS[getLeague(league)?.sport] || {};
+
+        return Object.fromEntries(Object.entries(paths).map(([key, fields]) => [
+            key,
+            fields.reduce((sum, field) => sum + (field.split('.').reduce((value, part) => value?.[part], stats) || 0), 0)
+        ]));
+    };
+
+    /**
+     * Map a feed player and team to the dashboard format
+     * @param {Object} player - Player from a player feed
+     * @param {Object} team - The player's team
+     * @returns {Object} Player ({ id, name, teamId, team, position, number })
+     */
+    const mapPlayer = (player, team) => ({
+        id: player.id,
+        name: `${player.firstName} ${player.lastName}`,
+        teamId: team?.id ?? null,
+        team: team?.abbreviation || null,
+        position: player.primaryPosition || null,
+        number: player.jerseyNumber ?? undefined
+    });
+
+    /**
+     * Fetch and transform recent games
+     * The feed lists the whole season from opening day, so played games are
+     * picked out and ordered newest first, with games in progress on top
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of games
+     */
+    const fetchGames = async (league, season) => {
+        const data = await fetchFromMySportsFeeds('games', league, {}, season);
+
+        return requireArray(data, 'games')
+            .map(game => mapGame(game, league))
+            .filter(game => game.status !== 'scheduled')
+            .sort((a, b) => (b.status === 'live') - (a.status === 'live') || new Date(b.date) - new Date(a.date))
+            .slice(0, RECENT_GAMES_COUNT);
+    };
+
+    /**
+     * Fetch today's games with live scores
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of games
+     */
+    const fetchLiveGames = async (league, season) => {
+        const data = await fetchFromMySportsFeeds('games', league, { date: 'today' }, season);
+
+        return requireArray(data, 'games').map(game => mapGame(game, league));
+    };
+
+    /**
+     * Fetch every game of the season
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of games
+     */
+    const fetchSchedule = async (league, season) => {
+        const data = await fetchFromMySportsFeeds('games', league, {}, season);
+
+        return requireArray(data, 'games').map(game => mapGame(game, league));
+    };
+
+    /**
+     * Fetch every game for one team
+     * @param {string|number} teamId - MySportsFeeds team id
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of games
+     */
+    const fetchTeamSchedule = async (teamId, league, season) => {
+        const data = await fetchFromMySportsFeeds('games', league, { team: teamId }, season);
+
+        return requireArray(data, 'games').map(game => mapGame(game, league));
+    };
+
+    /**
+     * Fetch the league's players with their season totals
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Array>} Array of players
+     */
+    const fetchPlayers = async (league, season) => {
+        const data = await fetchFromMySportsFeeds('player_stats_totals', league, {}, season);
+
+        return requireArray(data, 'playerStatsTotals').map(entry => ({
+            ...mapPlayer(entry.player, entry.team),
+            gamesPlayed: entry.stats?.gamesPlayed || 0,
+            totals: mapPlayerStats(entry.stats, league)
+        }));
+    };
+
+    /**
+     * Fetch a player and their game log
+     * @param {string|number} playerId - MySportsFeeds player id
+     * @param {string} league - League identifier
+     * @param {string|null} [season] - Season identifier
+     * @returns {Promise<Object>} Profile ({ player, gameLog })
+     */
+    const fetchPlayerProfile = async (playerId, league, season) => {
+        const [totals, logs] = await Promise.all([
+            fetchFromMySportsFeeds('player_stats_totals', league, { player: playerId }, season),
+            fetchFromMySportsFeeds('player_gamelogs', league, { player: playerId }, season)
+        ]);
+
+        const [entry] = requireArray(totals, 'playerStatsTotals');
+        if (!entry) {
+            throw new ApiError(`Player ${playerId} not found`, { type: ERROR_TYPES.REQUEST });
+        }
+
+        const player = mapPlayer(entry.player, entry.team);
+        const gameLog = requireArray(logs, 'gamelogs').map(({ game, team, stats }) => {
+            const isHome = team.abbreviation === game.homeTeamAbbreviation;
+
+            return {
+                id: game.id,
+                date: game.startTime,
+                homeTeam: game.homeTeamAbbreviation,
+                awayTeam: game.awayTeamAbbreviation,
+                homeTeamId: isHome ? team.id : null,
+                awayTeamId: isHome ? null : team.id,
+                homeScore: null,
+                awayScore: null,
+                status: 'final',
+                stats: mapPlayerStats(stats, league)
+            };
+        });
+
+        return { player, gameLog };
+    };
+
+    return {
+        name: config.PROXY_URL ? 'MySportsFeeds (proxy)' : 'MySportsFeeds',
+        isAvailable: (league) => isAPIConfigured() && Boolean(getLeague(league)?.apiSlug),
+        fetchStandings,
+        fetchGames,
+        fetchLiveGames,
+        fetchSchedule,
+        fetchTeamSchedule,
+        fetchPlayers,
+        fetchPlayerProfile
+    };
+};
+
+export default createMySportsFeedsProvider;
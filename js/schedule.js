@@ -0,0 +1,157 @@
+/**
+ * Schedule calendar
+ * Date ranges, navigation and day grouping for the day/week schedule view
+ */
+
+import { startOfDay } from './simulation.js';
+
+// Calendar views, in toggle order
+export const SCHEDULE_VIEWS = ['day', 'week'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a date, keeping local midnight across daylight saving changes
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+/**
+ * Format a date as a URL date parameter
+ * @param {Date|string} date - Date
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+export const formatDateParam = (date) => {
+    const d = new Date(date);
+    return [d.getFullYear(), d.getMonth() + 1, d.getDate()]
+        .map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0'))
+        .join('-');
+};
+
+/**
+ * Parse a URL date parameter
+ * @param {string|null} value - Local date (YYYY-MM-DD)
+ * @returns {Date|null} Local midnight of that day, or null when missing or invalid
+ */
+export const parseDateParam = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+
+    // Out-of-range parts (e.g. 2025-02-31) roll over into another day
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Get the date range a calendar view covers
+ * Weeks run Monday to Sunday
+ * @param {Date|string} date - Any day in the range
+ * @param {string} view - 'day' or 'week'
+ * @returns {Object} Range ({ start, end }) with `end` exclusive
+ */
+export const getScheduleRange = (date, view) => {
+    const day = startOfDay(date);
+
+    if (view === 'day') {
+        return { start: day, end: addDays(day, 1) };
+    }
+
+    const start = addDays(day, -((day.getDay() + 6) % 7));
+    return { start, end: addDays(start, 7) };
+};
+
+/**
+ * Move a calendar date by whole views
+ * @param {Date|string} date - Current date
+ * @param {string} view - 'day' or 'week'
+ * @param {number} steps - Views to move (negative moves back)
+ * @returns {Date} New date
+ */
+export const shiftScheduleDate = (date, view, steps) => addDays(startOfDay(date), steps * (view === 'day' ? 1 : 7));
+
+/**
+ * Keep a date within the span of a schedule
+ * Past seasons open on their last day instead of an empty "today"
+ * @param {Date|string} date - Date to show
+ * @param {Array} games - Season schedule
+ * @returns {Date} Local midnight of the date, or of the first or last game day when outside the season
+ */
+export const clampToSchedule = (date, games) => {
+    const day = startOfDay(date);
+    if (games.length === 0) return day;
+
+    const days = games.map(game => startOfDay(game.date).getTime());
+    return new Date(Math.min(Math.max(day.getTime(), Math.min(...days)), Math.max(...days)));
+};
+
+/**
+ * Check whether a game involves a team
+ * @param {Object} game - Game ({ homeTeamId, awayTeamId })
+ * @param {string|number|null} teamId - Team identifier (null matches every game)
+ * @returns {boolean} True when the team plays in the game
+ */
+export const involvesTeam = (game, teamId) => teamId === null || teamId === undefined ||
+    String(game.homeTeamId) === String(teamId) || String(game.awayTeamId) === String(teamId);
+
+/**
+ * Group a range of the schedule by day
+ * Every day of the range is listed, including days without games
+ * @param {Array} games - Season schedule
+ * @param {Object} range - Range from getScheduleRange ({ start, end })
+ * @param {string|number|null} teamId - Only include this team's games (null for all)
+ * @returns {Array} Days ({ date, games }) with games in start-time order
+ */
+export const groupScheduleByDay = (games, { start, end }, teamId = null) => {
+    const days = [];
+
+    for (let day = start; day < end; day = addDays(day, 1)) {
+        days.push({ date: day, games: [] });
+    }
+
+    games
+        .filter(game => involvesTeam(game, teamId))
+        .forEach(game => {
+            const index = Math.round((startOfDay(game.date) - start) / DAY_MS);
+            if (index >= 0 && index < days.length) days[index].games.push(game);
+        });
+
+    days.forEach(day => day.games.sort((a, b) => new Date(a.date) - new Date(b.date)));
+    return days;
+};
+
+/**
+ * Describe a calendar range
+ * @param {Object} range - Range ({ start, end })
+ * @param {string} view - 'day' or 'week'
+ * @returns {string} Label (e.g. Wed, Jan 15, 2025 or Jan 13 - Jan 19, 2025)
+ */
+export const formatScheduleRange = ({ start, end }, view) => {
+    if (view === 'day') {
+        return start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    const last = addDays(end, -1);
+    const from = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const to = last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return `${from} - ${to}`;
+};
+
+export default {
+    SCHEDULE_VIEWS,
+    formatDateParam,
+    parseDateParam,
+    getScheduleRange,
+    shiftScheduleDate,
+    clampToSchedule,
+    involvesTeam,
+    groupScheduleByDay,
+    formatScheduleRange
+};
@@ -0,0 +1,167 @@
+/**
+ * Search index
+ * Fuzzy matching over teams, players and games for the search typeahead
+ */
+
+import { formatDate } from './utils.js';
+
+// Result groups, in display order
+export const SEARCH_GROUPS = ['teams', 'players', 'games'];
+
+/**
+ * Normalize text for matching (case, accents and punctuation are ignored)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Edit distance between two short strings, capped once it exceeds `max`
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance (max + 1 when further apart)
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        if (Math.min(...current) > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Score how well a query matches a piece of text
+ * Exact and prefix matches rank highest, then word prefixes and substrings,
+ * then near misses (one typo in a word) and finally the query's characters
+ * appearing in order ("gldn kn" matches "Golden Knights")
+ * @param {string} query - Search query
+ * @param {string} text - Text to match against
+ * @returns {number} Match score (0 = no match)
+ */
+export const fuzzyScore = (query, text) => {
+    const q = normalize(query);
+    const t = normalize(text);
+    if (!q || !t) return 0;
+
+    if (t === q) return 100;
+    if (t.startsWith(q)) return 80;
+
+    const words = t.split(' ');
+    if (words.some(word => word.startsWith(q))) return 60;
+    if (t.includes(q)) return 40;
+
+    // One typo in a word (or a word prefix) for queries long enough to tell apart
+    if (q.length >= 4 && !q.includes(' ') &&
+        words.some(word => editDistance(q, word.slice(0, q.length), 1) <= 1)) {
+        return 30;
+    }
+
+    // Subsequence, scored by how tightly the characters cluster; loose ones are noise
+    const chars = q.replace(/ /g, '');
+    if (chars.length < 3) return 0;
+
+    let position = -1;
+    let gaps = 0;
+
+    for (const char of chars) {
+        const next = t.indexOf(char, position + 1);
+        if (next === -1) return 0;
+        if (position >= 0) gaps += next - position - 1;
+        position = next;
+    }
+
+    return gaps <= chars.length * 2 ? Math.max(1, 20 - gaps) : 0;
+};
+
+/**
+ * Build a search index from dashboard data
+ * @param {Object} data - Searchable data
+ * @param {Array} [data.standings=[]] - Team standings
+ * @param {Array} [data.players=[]] - Players ({ id, name, team, position, number })
+ * @param {Array} [data.games=[]] - Games
+ * @returns {Array} Index entries ({ type, id, label, detail, keywords, item })
+ */
+export const buildSearchIndex = ({ standings = [], players = [], games = [] }) => [
+    ...standings.map(team => ({
+        type: 'teams',
+        id: team.id,
+        label: team.name,
+        detail: [team.division, team.conference].filter(Boolean).join(' · '),
+        keywords: [team.name],
+        item: team
+    })),
+    ...players.map(player => ({
+        type: 'players',
+        id: player.id,
+        label: player.name,
+        detail: [player.team, player.position, player.number !== undefined ? `#${player.number}` : null]
+            .filter(Boolean)
+            .join(' · '),
+        keywords: [player.name],
+        item: player
+    })),
+    ...games.map(game => ({
+        type: 'games',
+        id: game.id,
+        label: `${game.awayTeam} @ ${game.homeTeam}`,
+        detail: game.status === 'final'
+            ? `${formatDate(game.date)} · ${game.awayScore}-${game.homeScore}`
+            : formatDate(game.date),
+        keywords: [game.homeTeam, game.awayTeam, `${game.awayTeam} ${game.homeTeam}`],
+        item: game
+    }))
+];
+
+/**
+ * Search an index
+ * @param {Array} index - Entries from buildSearchIndex
+ * @param {string} query - Search query
+ * @param {Object} options - Options
+ * @param {number} [options.limit=5] - Maximum results per group
+ * @returns {Object} Matches grouped by type ({ teams, players, games }), best first
+ */
+export const searchIndex = (index, query, { limit = 5 } = {}) => {
+    const results = Object.fromEntries(SEARCH_GROUPS.map(group => [group, []]));
+
+    index
+        .map((entry, order) => ({
+            entry,
+            order,
+            score: Math.max(...entry.keywords.map(keyword => fuzzyScore(query, keyword)))
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .forEach(({ entry, score }) => {
+            const group = results[entry.type];
+            if (group.length < limit) group.push({ ...entry, score });
+        });
+
+    return results;
+};
+
+export default {
+    SEARCH_GROUPS,
+    fuzzyScore,
+    buildSearchIndex,
+    searchIndex
+};
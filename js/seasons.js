@@ -0,0 +1,150 @@
+/**
+ * Seasons
+ * Season identifiers, labels and date ranges per league, using the MySportsFeeds
+ * naming (e.g. 2024-2025-regular, 2025-playoff, 2024-regular for single-year leagues)
+ */
+
+import { getLeague } from './leagues.js';
+
+// Past seasons offered alongside the current one
+const PAST_SEASONS = 3;
+
+// Months the playoffs run after the regular season ends
+const PLAYOFF_MONTHS = 2;
+
+export const SEASON_TYPES = ['regular', 'playoff'];
+
+/**
+ * Check whether a league's regular season runs into the next calendar year
+ * @param {Object} league - League definition
+ * @returns {boolean} True for seasons like 2024-2025
+ */
+const spansYears = (league) => league.season.endMonth < league.season.startMonth;
+
+/**
+ * Describe one season of a league
+ * @param {Object} league - League definition
+ * @param {number} startYear - Year the regular season starts
+ * @param {string} type - 'regular' or 'playoff'
+ * @returns {Object} Season ({ id, type, startYear, label, start, end })
+ */
+const describeSeason = (league, startYear, type) => {
+    const { startMonth, endMonth } = league.season;
+    const endYear = spansYears(league) ? startYear + 1 : startYear;
+    const years = endYear === startYear ? `${startYear}` : `${startYear}-${String(endYear).slice(2)}`;
+
+    // Regular seasons run from the first of the start month to the end of the end month
+    const regularEnd = new Date(endYear, endMonth, 1);
+
+    if (type === 'playoff') {
+        return {
+            id: `${endYear}-playoff`,
+            type,
+            startYear,
+            label: `${endYear} Playoffs`,
+            start: regularEnd,
+            end: new Date(endYear, endMonth + PLAYOFF_MONTHS, 1)
+        };
+    }
+
+    return {
+        id: endYear === startYear ? `${startYear}-regular` : `${startYear}-${endYear}-regular`,
+        type,
+        startYear,
+        label: `${years} Regular Season`,
+        start: new Date(startYear, startMonth - 1, 1),
+        end: regularEnd
+    };
+};
+
+/**
+ * Get a league's season by the year it starts
+ * @param {string} leagueId - League identifier
+ * @param {number} startYear - Year the regular season starts
+ * @param {string} [type='regular'] - 'regular' or 'playoff'
+ * @returns {Object} Season ({ id, type, startYear, label, start, end })
+ */
+export const getSeasonForYear = (leagueId, startYear, type = 'regular') => describeSeason(getLeague(leagueId), startYear, type);
+
+/**
+ * Parse a season identifier
+ * @param {string} seasonId - Season identifier (e.g. 2024-2025-regular or 2025-playoff)
+ * @param {string} leagueId - League identifier
+ * @returns {Object|null} Season ({ id, type, startYear, label, start, end }) or null when invalid
+ */
+export const parseSeason = (seasonId, leagueId) => {
+    const league = getLeague(leagueId);
+    const match = /^(\d{4})(?:-(\d{4}))?-(regular|playoff)$/.exec(seasonId || '');
+    if (!match) return null;
+
+    const [, first, second, type] = match;
+    if (type === 'playoff' && (second || !league.season.postseason)) return null;
+
+    // Playoff ids carry the year they finish in, like the second year of a regular season id
+    const startYear = type === 'playoff' && spansYears(league) ? Number(first) - 1 : Number(first);
+    const season = describeSeason(league, startYear, type);
+
+    return season.id === seasonId ? season : null;
+};
+
+/**
+ * Get the regular season in progress (or most recently started) on a day
+ * @param {string} leagueId - League identifier
+ * @param {Date|string} [today=new Date()] - Day to check
+ * @returns {Object} Season ({ id, type, startYear, label, start, end })
+ */
+export const getCurrentSeason = (leagueId, today = new Date()) => {
+    const league = getLeague(leagueId);
+    const date = new Date(today);
+    const started = date.getMonth() + 1 >= league.season.startMonth;
+
+    return describeSeason(league, started ? date.getFullYear() : date.getFullYear() - 1, 'regular');
+};
+
+/**
+ * List the seasons offered for a league, newest first
+ * Playoffs are listed once their regular season is over
+ * @param {string} leagueId - League identifier
+ * @param {Object} options - Options
+ * @param {Date|string} [options.today=new Date()] - Day counted as "today"
+ * @returns {Array} Seasons ({ id, type, startYear, label, start, end, current })
+ */
+export const getSeasons = (leagueId, { today = new Date() } = {}) => {
+    const league = getLeague(leagueId);
+    const current = getCurrentSeason(leagueId, today);
+    const seasons = [];
+
+    for (let year = current.startYear; year >= current.startYear - PAST_SEASONS; year--) {
+        const regular = describeSeason(league, year, 'regular');
+
+        if (league.season.postseason && new Date(today) >= regular.end) {
+            seasons.push({ ...describeSeason(league, year, 'playoff'), current: false });
+        }
+        seasons.push({ ...regular, current: regular.id === current.id });
+    }
+
+    return seasons;
+};
+
+/**
+ * Resolve a season selection
+ * @param {string} leagueId - League identifier
+ * @param {string|null} seasonId - Selected season (null, invalid or future seasons fall back to the current season)
+ * @param {Date|string} [today=new Date()] - Day counted as "today"
+ * @returns {Object} Season ({ id, type, startYear, label, start, end })
+ */
+export const resolveSeason = (leagueId, seasonId, today = new Date()) => {
+    const season = parseSeason(seasonId, leagueId);
+
+    // Seasons that have not started yet have nothing to show
+    return season && season.start <= new Date(today) ? season : getCurrentSeason(leagueId, today);
+};
+
+export default {
+    SEASON_TYPES,
+    getSeasonForYear,
+    parseSeason,
+    getCurrentSeason,
+    getSeasons,
+    resolveSeason
+};
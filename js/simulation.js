@@ -0,0 +1,440 @@
+/**
+ * Season simulation engine for mock data
+ * Simulates a whole season schedule from a seed, so standings, streaks,
+ * points and games are reproducible and consistent with each other
+ */
+
+import { createSeededRandom } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Name pools for mock rosters
+const FIRST_NAMES = [
+    'Alex', 'Andre', 'Ben', 'Caleb', 'Chris', 'Darius', 'Diego', 'Eli', 'Ethan', 'Felix',
+    'Gabe', 'Isaac', 'Jalen', 'Jamal', 'Jordan', 'Kai', 'Leo', 'Luca', 'Marcus', 'Mason',
+    'Miles', 'Nate', 'Omar', 'Owen', 'Rafael', 'Sam', 'Theo', 'Tyler', 'Victor', 'Zach'
+];
+const LAST_NAMES = [
+    'Adams', 'Bailey', 'Brooks', 'Carter', 'Coleman', 'Diaz', 'Ellis', 'Fischer', 'Foster', 'Garcia',
+    'Graham', 'Hayes', 'Hughes', 'Jensen', 'Kelly', 'Kim', 'Lopez', 'Mitchell', 'Moreau', 'Nakamura',
+    'Novak', 'Okafor', 'Patel', 'Price', 'Reyes', 'Rossi', 'Silva', 'Turner', 'Walker', 'Young'
+];
+
+/**
+ * Get midnight (local time) for a date
+ * @param {Date|string} date - Date to normalize
+ * @returns {Date} Start of that day
+ */
+export const startOfDay = (date = new Date()) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+/**
+ * Build a round-robin schedule using the circle method
+ * Every team plays once per round; home and away alternate between cycles
+ * @param {number} teamCount - Number of teams
+ * @param {number} rounds - Number of rounds to build
+ * @returns {Array<Array<number[]>>} Rounds of [homeIndex, awayIndex] pairs
+ */
+const buildRoundRobin = (teamCount, rounds) => {
+    const slots = [...Array(teamCount).keys()];
+    if (slots.length % 2 === 1) slots.push(null); // Bye week for odd team counts
+
+    const n = slots.length;
+    const schedule = [];
+
+    for (let round = 0; round < rounds; round++) {
+        const cycle = Math.floor(round / (n - 1));
+        const shift = round % (n - 1);
+        const rest = slots.slice(1);
+        const order = [slots[0], ...rest.slice(shift), ...rest.slice(0, shift)];
+        const pairings = [];
+
+        for (let i = 0; i < n / 2; i++) {
+            const a = order[i];
+            const b = order[n - 1 - i];
+            if (a === null || b === null) continue;
+
+            const swap = (cycle + shift + i) % 2 === 1;
+            pairings.push(swap ? [b, a] : [a, b]);
+        }
+
+        schedule.push(pairings);
+    }
+
+    return schedule;
+};
+
+/**
+ * Sample a score around a mean
+ * @param {Object} rng - Seeded random generator
+ * @param {number} mean - Expected score
+ * @param {number} sd - Spread of the score
+ * @returns {number} Non-negative integer score
+ */
+const sampleScore = (rng, mean, sd) => {
+    // Sum of three uniforms approximates a normal distribution with unit spread
+    const noise = (rng.random() + rng.random() + rng.random() - 1.5) * 2;
+    return Math.max(0, Math.round(mean + noise * sd));
+};
+
+/**
+ * Simulate a full season
+ * @param {Object} options - Simulation options
+ * @param {Array} options.teams - Teams ({ id?, name, conference?, division? }); ids default to list position
+ * @param {number|string} options.seed - Seed for the random generator
+ * @param {Object} options.scoring - Score profile ({ mean, sd })
+ * @param {number} options.gamesPerTeam - Regular season length
+ * @param {number} options.daysBetweenRounds - Days between rounds
+ * @param {boolean} options.allowDraws - Level games stay drawn instead of going to overtime
+ * @param {number} options.progress - Fraction of the season already played (0-1)
+ * @param {Date|string} options.asOf - The simulated "today"
+ * @returns {Object} Season with teams, chronologically ordered games and the simulated
+ *   result of every game by id, including the ones not played yet (see playLiveGame)
+ */
+export const simulateSeason = ({
+    teams,
+    seed,
+    scoring,
+    gamesPerTeam,
+    daysBetweenRounds = 1,
+    allowDraws = false,
+    progress = 0.6,
+    asOf = new Date()
+}) => {
+    const rng = createSeededRandom(seed);
+    const today = startOfDay(asOf);
+
+    const seasonTeams = teams.map((team, index) => ({
+        ...team,
+        id: team.id ?? index + 1,
+        rating: rng.random() * 2 - 1
+    }));
+
+    const rounds = buildRoundRobin(seasonTeams.length, gamesPerTeam);
+    const playedRounds = Math.round(rounds.length * progress);
+    const games = [];
+    const results = new Map();
+
+    rounds.forEach((pairings, round) => {
+        // The last played round was one round ago; the next one is today
+        const roundDate = new Date(today.getTime() + (round - playedRounds) * daysBetweenRounds * DAY_MS);
+
+        pairings.forEach(([homeIndex, awayIndex], slot) => {
+            const home = seasonTeams[homeIndex];
+            const away = seasonTeams[awayIndex];
+
+            // Results are simulated for every game so the sequence only depends on the seed
+            const edge = (home.rating - away.rating) * scoring.sd * 0.6;
+            let homeScore = sampleScore(rng, scoring.mean + edge / 2 + scoring.sd * 0.1, scoring.sd);
+            let awayScore = sampleScore(rng, scoring.mean - edge / 2, scoring.sd);
+            let overtime = false;
+
+            if (homeScore === awayScore && !allowDraws) {
+                overtime = true;
+                if (rng.random() < 0.5 + edge / (scoring.sd * 4)) {
+                    homeScore += 1;
+                } else {
+                    awayScore += 1;
+                }
+            }
+
+            const date = new Date(roundDate);
+            date.setHours(19, slot * 30, 0, 0);
+
+            const played = round < playedRounds;
+
+            results.set(games.length + 1, { homeScore, awayScore, overtime });
+            games.push({
+                id: games.length + 1,
+                round: round + 1,
+                homeTeam: home.name,
+                awayTeam: away.name,
+                homeTeamId: home.id,
+                awayTeamId: away.id,
+                homeScore: played ? homeScore : null,
+                awayScore: played ? awayScore : null,
+                overtime: played ? overtime : false,
+                date: date.toISOString(),
+                status: played ? 'final' : 'scheduled',
+                winner: played && homeScore !== awayScore ? (homeScore > awayScore ? home.name : away.name) : null
+            });
+        });
+    });
+
+    return {
+        teams: seasonTeams,
+        games,
+        results,
+        asOf: today.toISOString()
+    };
+};
+
+/**
+ * Play out a scheduled game in real time
+ * The game's simulated result is revealed gradually: each score lands at a seeded
+ * moment of regulation and an overtime winner scores in the extra period
+ * @param {Object} game - Scheduled game
+ * @param {Object} result - Simulated result ({ homeScore, awayScore, overtime })
+ * @param {Date|number} now - Current time
+ * @param {Object} clock - Sport clock ({ periods, periodMinutes, duration })
+ * @param {number|string} seed - Seed for the random generator
+ * @returns {Object} The game as of `now`: scheduled, live (with period and clock) or final
+ */
+export const playLiveGame = (game, result, now, clock, seed) => {
+    // Progress in periods; each period takes the same share of the real-time duration
+    const progress = (new Date(now) - new Date(game.date)) / (clock.duration * 60000) * clock.periods;
+    if (progress < 0) return game;
+
+    const rng = createSeededRandom(`${seed}:${game.id}:live`);
+    const homeWon = result.homeScore > result.awayScore;
+
+    /**
+     * Seeded moments (in periods) at which a team scores during regulation
+     * @param {number} count - Regulation score for the team
+     * @returns {Array<number>} Score times
+     */
+    const scoreTimes = (count) => Array.from({ length: count }, () => rng.random() * clock.periods);
+
+    const homeTimes = scoreTimes(result.homeScore - (result.overtime && homeWon ? 1 : 0));
+    const awayTimes = scoreTimes(result.awayScore - (result.overtime && !homeWon ? 1 : 0));
+
+    // The game ends at the end of regulation or with the overtime winner
+    const end = result.overtime ? clock.periods + rng.random() : clock.periods;
+    if (result.overtime) (homeWon ? homeTimes : awayTimes).push(end);
+
+    if (progress >= end) {
+        return {
+            ...game,
+            ...result,
+            status: 'final',
+            winner: result.homeScore !== result.awayScore ? (homeWon ? game.homeTeam : game.awayTeam) : null
+        };
+    }
+
+    const period = Math.floor(progress) + 1;
+    const elapsed = progress - Math.floor(progress);
+
+    return {
+        ...game,
+        homeScore: homeTimes.filter(time => time <= progress).length,
+        awayScore: awayTimes.filter(time => time <= progress).length,
+        status: 'live',
+        period,
+        clock: clock.periodMinutes ? Math.round((1 - elapsed) * clock.periodMinutes * 60) : null,
+        half: clock.periodMinutes ? null : (elapsed < 0.5 ? 'top' : 'bottom')
+    };
+};
+
+/**
+ * Create mock rosters for the season's teams
+ * @param {Array} teams - Season teams ({ id, name })
+ * @param {Object} options - Roster options
+ * @param {number|string} options.seed - Seed for the random generator
+ * @param {Array<string>} options.positions - One position per roster spot
+ * @returns {Array} Players ({ id, name, teamId, team, position, number, usage })
+ */
+export const createRosters = (teams, { seed, positions }) => {
+    const rng = createSeededRandom(`${seed}:rosters`);
+    const names = new Set();
+
+    return teams.flatMap(team => {
+        const numbers = new Set();
+
+        return positions.map((position, slot) => {
+            let name;
+            let number;
+
+            do {
+                name = `${rng.element(FIRST_NAMES)} ${rng.element(LAST_NAMES)}`;
+            } while (names.has(name));
+            do {
+                number = rng.int(0, 99);
+            } while (numbers.has(number));
+
+            names.add(name);
+            numbers.add(number);
+
+            return {
+                id: team.id * 100 + slot + 1,
+                name,
+                teamId: team.id,
+                team: team.name,
+                position,
+                number,
+                // Share of the team's production; the first five spots are the starters
+                usage: (slot < 5 ? 1.5 : 0.6) * (0.5 + rng.random())
+            };
+        });
+    });
+};
+
+/**
+ * Simulate one team's player stat lines for a completed game
+ * Team totals come from the sport's stat profile (a share of the team score or
+ * a per-game average) and are shared out between players by usage
+ * @param {Object} game - Completed game
+ * @param {Array} players - The team's roster
+ * @param {Array} stats - Player stat definitions ({ key, mock: { fromScore } or { perGame } })
+ * @param {number|string} seed - Seed for the random generator
+ * @returns {Map<number, Object>} Stat line ({ [key]: value }) by player id
+ */
+export const simulatePlayerLines = (game, players, stats, seed) => {
+    const teamId = players[0]?.teamId;
+    const teamScore = game.homeTeamId === teamId ? game.homeScore : game.awayScore;
+    const rng = createSeededRandom(`${seed}:${game.id}:${teamId}`);
+    const totalUsage = players.reduce((sum, player) => sum + player.usage, 0);
+    const lines = new Map(players.map(player => [player.id, {}]));
+
+    /**
+     * Pick a player, weighted by usage
+     * @returns {Object} Player
+     */
+    const pickPlayer = () => {
+        let roll = rng.random() * totalUsage;
+        return players.find(player => (roll -= player.usage) < 0) || players[players.length - 1];
+    };
+
+    stats.forEach(({ key, mock }) => {
+        const total = mock.fromScore !== undefined
+            ? Math.round(teamScore * mock.fromScore)
+            : sampleScore(rng, mock.perGame, mock.perGame * 0.25);
+
+        players.forEach(player => { lines.get(player.id)[key] = 0; });
+        for (let i = 0; i < total; i++) {
+            lines.get(pickPlayer().id)[key] += 1;
+        }
+    });
+
+    return lines;
+};
+
+/**
+ * Tally season totals for every player from completed games
+ * @param {Array} games - Season games
+ * @param {Array} players - All rosters ({ id, teamId, usage })
+ * @param {Array} stats - Player stat definitions
+ * @param {number|string} seed - Seed for the random generator (same as simulatePlayerLines)
+ * @returns {Map<number, Object>} Season line ({ gamesPlayed, totals }) by player id
+ */
+export const tallyPlayerStats = (games, players, stats, seed) => {
+    const rosters = new Map();
+    const season = new Map(players.map(player => [player.id, {
+        gamesPlayed: 0,
+        totals: Object.fromEntries(stats.map(({ key }) => [key, 0]))
+    }]));
+
+    players.forEach(player => {
+        if (!rosters.has(player.teamId)) rosters.set(player.teamId, []);
+        rosters.get(player.teamId).push(player);
+    });
+
+    games
+        .filter(game => game.status === 'final')
+        .forEach(game => {
+            [game.homeTeamId, game.awayTeamId].forEach(teamId => {
+                const roster = rosters.get(teamId);
+                if (!roster) return;
+
+                simulatePlayerLines(game, roster, stats, seed).forEach((line, playerId) => {
+                    const record = season.get(playerId);
+                    record.gamesPlayed += 1;
+                    stats.forEach(({ key }) => { record.totals[key] += line[key]; });
+                });
+            });
+        });
+
+    return season;
+};
+
+/**
+ * Tally raw standings records from completed games
+ * Derived fields (win %, table points, ...) are computed by the standings model
+ * @param {Array} teams - Season teams ({ id, name, conference?, division? })
+ * @param {Array} games - Season games
+ * @param {Object} rules - League rules
+ * @param {boolean} [rules.overtimeLosses=false] - Record overtime losses separately (W-L-OTL)
+ * @returns {Array} Array of raw team records
+ */
+export const computeStandings = (teams, games, { overtimeLosses = false } = {}) => {
+    const records = new Map(teams.map(team => [team.id, {
+        id: team.id,
+        name: team.name,
+        conference: team.conference || null,
+        division: team.division || null,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        otLosses: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        results: []
+    }]));
+
+    /**
+     * Record one team's result
+     * @param {Object} record - Team record
+     * @param {string} result - 'W', 'L' or 'D'
+     * @param {boolean} overtime - Whether the game went to overtime
+     */
+    const addResult = (record, result, overtime) => {
+        if (result === 'W') record.wins += 1;
+        if (result === 'D') record.draws += 1;
+        if (result === 'L') {
+            if (overtime && overtimeLosses) {
+                record.otLosses += 1;
+            } else {
+                record.losses += 1;
+            }
+        }
+        record.results.push(result);
+    };
+
+    games
+        .filter(game => game.status === 'final')
+        .forEach(game => {
+            const home = records.get(game.homeTeamId);
+            const away = records.get(game.awayTeamId);
+
+            home.pointsFor += game.homeScore;
+            home.pointsAgainst += game.awayScore;
+            away.pointsFor += game.awayScore;
+            away.pointsAgainst += game.homeScore;
+
+            if (game.homeScore === game.awayScore) {
+                addResult(home, 'D', game.overtime);
+                addResult(away, 'D', game.overtime);
+            } else {
+                const homeWon = game.homeScore > game.awayScore;
+                addResult(home, homeWon ? 'W' : 'L', game.overtime);
+                addResult(away, homeWon ? 'L' : 'W', game.overtime);
+            }
+        });
+
+    return [...records.values()].map(({ results, ...record }) => {
+        const last = results[results.length - 1];
+        let streak = 0;
+
+        for (let i = results.length - 1; i >= 0 && results[i] === last; i--) {
+            streak++;
+        }
+
+        return {
+            ...record,
+            streak: last ? `${last}${streak}` : 'N/A',
+            gamesPlayed: results.length
+        };
+    });
+};
+
+export default {
+    startOfDay,
+    simulateSeason,
+    playLiveGame,
+    createRosters,
+    simulatePlayerLines,
+    tallyPlayerStats,
+    computeStandings
+};
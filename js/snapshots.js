@@ -0,0 +1,233 @@
+/**
+ * Standings snapshots
+ * Every standings change is kept in IndexedDB with its timestamp and source, so
+ * rank movement and rank / win % history can be shown per league and season
+ */
+
+const DB_NAME = 'sports-dashboard';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+// Snapshots kept per league and season; the oldest are dropped first
+const MAX_SNAPSHOTS = 200;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Movement baselines, in selector order
+export const MOVEMENT_BASELINES = [
+    { id: 'last', label: 'Since last snapshot' },
+    { id: 'week', label: 'Since last week' }
+];
+
+// Metrics the history chart can plot
+export const HISTORY_METRICS = [
+    { id: 'rank', label: 'Rank' },
+    { id: 'winPct', label: 'Win %' }
+];
+
+// Standings fields kept in a snapshot
+const SNAPSHOT_FIELDS = ['id', 'name', 'rank', 'wins', 'losses', 'draws', 'otLosses', 'winPct', 'tablePoints', 'pointDiff'];
+
+let database = null;
+
+/**
+ * Reduce standings to the fields kept in a snapshot
+ * @param {Array} standings - Ranked standings
+ * @returns {Array} Snapshot rows
+ */
+const toSnapshotRows = (standings) => standings.map(team => Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, team[field] ?? null])));
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Promise resolving to the request result
+ */
+const toPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the snapshot database, creating it on first use
+ * @returns {Promise<IDBDatabase>} Promise resolving to the database
+ */
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    database ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            // ISO timestamps sort chronologically, so one index serves range and order
+            store.createIndex('scope', ['league', 'season', 'timestamp']);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            database = null;
+            reject(request.error);
+        };
+    });
+
+    return database;
+};
+
+/**
+ * Key range covering one league and season
+ * @param {string} league - League identifier
+ * @param {string} season - Season identifier
+ * @returns {IDBKeyRange} Range on the scope index
+ */
+const scopeRange = (league, season) => IDBKeyRange.bound([league, season, ''], [league, season, '\uffff']);
+
+/**
+ * Read a league's snapshots for a season, oldest first
+ * Resolves to an empty list when IndexedDB is unavailable
+ * @param {string} league - League identifier
+ * @param {string} season - Season identifier
+ * @returns {Promise<Array>} Snapshots ({ league, season, timestamp, source, standings })
+ */
+export const getSnapshots = async (league, season) => {
+    try {
+        const db = await openDatabase();
+        const index = db.transaction(STORE).objectStore(STORE).index('scope');
+        return await toPromise(index.getAll(scopeRange(league, season)));
+    } catch (error) {
+        console.warn('Snapshot read failed:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Store a standings snapshot
+ * A response already stored (same timestamp, e.g. served from the cache) is not stored twice, and
+ * neither are standings unchanged since the latest snapshot, so revalidations between games do not
+ * push older snapshots (e.g. the week baseline) past the limit
+ * @param {Object} snapshot - Snapshot
+ * @param {string} snapshot.league - League identifier
+ * @param {string} snapshot.season - Season identifier
+ * @param {string} snapshot.timestamp - When the standings were fetched (ISO)
+ * @param {string} snapshot.source - Data source
+ * @param {Array} snapshot.standings - Ranked standings
+ * @returns {Promise<boolean>} Promise resolving to true when a new snapshot was stored
+ */
+export const saveSnapshot = async ({ league, season, timestamp, source, standings }) => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+        const index = store.index('scope');
+        const range = scopeRange(league, season);
+
+        const rows = toSnapshotRows(standings);
+        const latest = await toPromise(index.openCursor(range, 'prev'));
+        if (latest && latest.value.timestamp === timestamp) return false;
+        if (latest && JSON.stringify(latest.value.standings) === JSON.stringify(rows)) return false;
+
+        await toPromise(store.add({ league, season, timestamp, source, standings: rows }));
+
+        // Drop the oldest snapshots beyond the limit
+        let excess = (await toPromise(index.count(range))) - MAX_SNAPSHOTS;
+        if (excess > 0) {
+            await new Promise((resolve, reject) => {
+                const request = index.openCursor(range);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor || excess <= 0) return resolve();
+                    cursor.delete();
+                    excess -= 1;
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return true;
+    } catch (error) {
+        console.warn('Snapshot write failed:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Delete a league's snapshots for a season
+ * @param {string} league - League identifier
+ * @param {string} season - Season identifier
+ * @returns {Promise<void>}
+ */
+export const clearSnapshots = async (league, season) => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+        const keys = await toPromise(store.index('scope').getAllKeys(scopeRange(league, season)));
+        await Promise.all(keys.map(key => toPromise(store.delete(key))));
+    } catch (error) {
+        console.warn('Snapshot delete failed:', error.message);
+    }
+};
+
+/**
+ * Find the snapshot to measure movement from
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {string} timestamp - Timestamp of the standings on screen (ISO)
+ * @param {string} baseline - 'last' (the previous snapshot) or 'week' (the latest one at least a week old)
+ * @returns {Object|null} Baseline snapshot, or null when there is none yet
+ */
+export const getBaselineSnapshot = (snapshots, timestamp, baseline = 'last') => {
+    const current = new Date(timestamp).getTime();
+    const cutoff = baseline === 'week' ? current - WEEK_MS : current - 1;
+    const earlier = snapshots.filter(snapshot => new Date(snapshot.timestamp).getTime() <= cutoff);
+
+    return earlier[earlier.length - 1] || null;
+};
+
+/**
+ * Compare league ranks with a baseline snapshot
+ * @param {Array} standings - Current standings ({ id, rank })
+ * @param {Object|null} baseline - Baseline snapshot
+ * @returns {Map<string, Object>} Movement by team id ({ change, previousRank, since }); positive changes moved up
+ */
+export const getRankMovement = (standings, baseline) => {
+    const movement = new Map();
+    if (!baseline) return movement;
+
+    const previous = new Map(baseline.standings.map(team => [String(team.id), team.rank]));
+
+    standings.forEach(team => {
+        const previousRank = previous.get(String(team.id));
+        if (previousRank === undefined || previousRank === null) return;
+        movement.set(String(team.id), { change: previousRank - team.rank, previousRank, since: baseline.timestamp });
+    });
+
+    return movement;
+};
+
+/**
+ * Build rank or win % series from snapshots
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {Array} teams - Teams to plot ({ id, name })
+ * @param {string} metric - 'rank' or 'winPct'
+ * @returns {Object} Series ({ timestamps, datasets: [{ label, data }] }) with null where a team is missing
+ */
+export const buildHistorySeries = (snapshots, teams, metric) => ({
+    timestamps: snapshots.map(snapshot => snapshot.timestamp),
+    datasets: teams.map(team => ({
+        label: team.name,
+        data: snapshots.map(snapshot => {
+            const row = snapshot.standings.find(standing => String(standing.id) === String(team.id));
+            return row ? row[metric] : null;
+        })
+    }))
+});
+
+export default {
+    MOVEMENT_BASELINES,
+    HISTORY_METRICS,
+    getSnapshots,
+    saveSnapshot,
+    clearSnapshots,
+    getBaselineSnapshot,
+    getRankMovement,
+    buildHistorySeries
+};
@@ -0,0 +1,440 @@
+/**
+ * Standings model
+ * Per-sport standings schemas: which columns to show, which fields to derive
+ * from the raw records returned by fetchStandings, and how to break ties
+ */
+
+import { getLeague, getSportForLeague } from './leagues.js';
+import { toTeamGame, tally, winPct, formatRecord } from './team.js';
+
+/**
+ * Format a number with an explicit sign
+ * @param {number} value - Number to format
+ * @returns {string} Signed number (e.g. +12, -3, 0)
+ */
+const formatSigned = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Format a percentage in the usual standings style (.625)
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} Formatted percentage
+ */
+const formatPct = (value) => value.toFixed(3).replace(/^0(?=\.)/, '');
+
+/**
+ * Format games back ("-" for the group leader)
+ * @param {number} value - Games behind the leader
+ * @returns {string} Formatted games back
+ */
+const formatGamesBack = (value) => (value === 0 ? '-' : value.toFixed(1));
+
+/**
+ * Compare two teams by name as the final tiebreaker
+ * @param {Object} a - First team
+ * @param {Object} b - Second team
+ * @returns {number} Sort order
+ */
+const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+/**
+ * Convert a streak to a signed length for sorting
+ * @param {string} streak - Streak (e.g. W5, L2, D1, or N/A before any game)
+ * @returns {number|null} Length, negative for losing streaks and 0 for draws; null without a streak
+ */
+const streakValue = (streak) => {
+    const match = /^([WLD])(\d+)$/.exec(streak || '');
+    if (!match) return null;
+
+    const length = parseInt(match[2], 10);
+    return match[1] === 'W' ? length : match[1] === 'L' ? -length : 0;
+};
+
+// Columns shared by several schemas
+const COLUMNS = {
+    team: { key: 'name', label: 'Team' },
+    gamesPlayed: { key: 'gamesPlayed', label: 'GP' },
+    wins: { key: 'wins', label: 'Wins' },
+    losses: { key: 'losses', label: 'Losses' },
+    winPct: { key: 'winPct', label: 'Win %', format: formatPct },
+    gamesBack: { key: 'gamesBack', label: 'GB', format: formatGamesBack },
+    pointDiff: { key: 'pointDiff', label: 'Diff', format: formatSigned },
+    // Streaks sort by length, winning streaks above losing ones (see streakValue)
+    streak: { key: 'streak', label: 'Streak', sortKey: 'streakValue' },
+    // Record strings sort by the matching winning percentage
+    home: { key: 'home', label: 'Home', sortKey: 'homePct' },
+    away: { key: 'away', label: 'Away', sortKey: 'awayPct' }
+};
+
+/**
+ * Standings schemas by sport
+ * - columns: table columns after Rank shown by default ({ key, label, format?, sortKey? })
+ * - optionalColumns: extra columns users can switch on
+ * - compare: ranking order including tiebreakers
+ */
+export const STANDINGS_SCHEMAS = {
+    // Win percentage, then wins, then point differential
+    basketball: {
+        columns: [COLUMNS.team, COLUMNS.wins, COLUMNS.losses, COLUMNS.winPct, COLUMNS.gamesBack, COLUMNS.pointDiff, COLUMNS.streak],
+        optionalColumns: [COLUMNS.gamesPlayed, { key: 'pointsFor', label: 'PF' }, { key: 'pointsAgainst', label: 'PA' }, COLUMNS.home, COLUMNS.away],
+        compare: (a, b) => b.winPct - a.winPct || b.wins - a.wins || b.pointDiff - a.pointDiff || byName(a, b)
+    },
+    baseball: {
+        columns: [COLUMNS.team, COLUMNS.wins, COLUMNS.losses, COLUMNS.winPct, COLUMNS.gamesBack, { ...COLUMNS.pointDiff, label: 'Run Diff' }, COLUMNS.streak],
+        optionalColumns: [COLUMNS.gamesPlayed, { key: 'pointsFor', label: 'RS' }, { key: 'pointsAgainst', label: 'RA' }, COLUMNS.home, COLUMNS.away],
+        compare: (a, b) => b.winPct - a.winPct || b.wins - a.wins || b.pointDiff - a.pointDiff || byName(a, b)
+    },
+    // Ties count as half a win in the winning percentage
+    football: {
+        columns: [COLUMNS.team, COLUMNS.wins, COLUMNS.losses, { key: 'draws', label: 'Ties' }, COLUMNS.winPct, COLUMNS.gamesBack, COLUMNS.pointDiff, COLUMNS.streak],
+        optionalColumns: [COLUMNS.gamesPlayed, { key: 'pointsFor', label: 'PF' }, { key: 'pointsAgainst', label: 'PA' }, COLUMNS.home, COLUMNS.away],
+        compare: (a, b) => b.winPct - a.winPct || b.wins - a.wins || b.pointDiff - a.pointDiff || byName(a, b)
+    },
+    // W-L-OTL; ranked by points, points percentage, wins, goal differential
+    hockey: {
+        columns: [
+            COLUMNS.team,
+            COLUMNS.gamesPlayed,
+            { key: 'wins', label: 'W' },
+            { key: 'losses', label: 'L' },
+            { key: 'otLosses', label: 'OTL' },
+            { key: 'tablePoints', label: 'Pts' },
+            { key: 'pointsPct', label: 'P%', format: formatPct },
+            { key: 'pointsFor', label: 'GF' },
+            { key: 'pointsAgainst', label: 'GA' },
+            { ...COLUMNS.pointDiff, label: 'Diff' },
+            COLUMNS.streak
+        ],
+        optionalColumns: [COLUMNS.home, COLUMNS.away],
+        compare: (a, b) => b.tablePoints - a.tablePoints || b.pointsPct - a.pointsPct ||
+            b.wins - a.wins || b.pointDiff - a.pointDiff || byName(a, b)
+    },
+    // League table; ranked by points, goal difference, goals for
+    soccer: {
+        columns: [
+            COLUMNS.team,
+            { key: 'gamesPlayed', label: 'P' },
+            { key: 'wins', label: 'W' },
+            { key: 'draws', label: 'D' },
+            { key: 'losses', label: 'L' },
+            { key: 'pointsFor', label: 'GF' },
+            { key: 'pointsAgainst', label: 'GA' },
+            { key: 'pointDiff', label: 'GD', format: formatSigned },
+            { key: 'tablePoints', label: 'Pts' },
+            { ...COLUMNS.streak, label: 'Form' }
+        ],
+        optionalColumns: [COLUMNS.home, COLUMNS.away],
+        compare: (a, b) => b.tablePoints - a.tablePoints || b.pointDiff - a.pointDiff ||
+            b.pointsFor - a.pointsFor || byName(a, b)
+    }
+};
+
+/**
+ * Get the standings schema for a league
+ * @param {string} leagueId - League identifier
+ * @returns {Object} Standings schema
+ */
+export const getStandingsSchema = (leagueId) => STANDINGS_SCHEMAS[getSportForLeague(leagueId).id] || STANDINGS_SCHEMAS.basketball;
+
+/**
+ * List every standings column a league offers, default columns first
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Columns ({ key, label, format?, sortKey?, optional })
+ */
+export const getStandingsColumns = (leagueId) => {
+    const { columns, optionalColumns = [] } = getStandingsSchema(leagueId);
+
+    return [
+        ...columns.map(column => ({ ...column, optional: false })),
+        ...optionalColumns.map(column => ({ ...column, optional: true }))
+    ];
+};
+
+/**
+ * Get the columns shown by default for a league
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Column keys
+ */
+export const getDefaultColumnKeys = (leagueId) => getStandingsSchema(leagueId).columns.map(column => column.key);
+
+/**
+ * Resolve a column selection to the columns to display
+ * Unknown keys are ignored and the team column is always shown
+ * @param {string} leagueId - League identifier
+ * @param {Array|null} keys - Selected column keys (null for the defaults)
+ * @returns {Array} Visible columns in table order
+ */
+export const resolveStandingsColumns = (leagueId, keys = null) => {
+    const visible = new Set(keys || getDefaultColumnKeys(leagueId));
+    visible.add(COLUMNS.team.key);
+
+    return getStandingsColumns(leagueId).filter(column => visible.has(column.key));
+};
+
+/**
+ * Derive computed fields from a raw standings record
+ * @param {Object} record - Raw record ({ wins, losses, draws, otLosses, pointsFor, pointsAgainst, ... })
+ * @param {Object} league - League definition
+ * @returns {Object} Record with derived fields
+ */
+export const deriveStandingFields = (record, league = {}) => {
+    const wins = record.wins || 0;
+    const losses = record.losses || 0;
+    const draws = record.draws || 0;
+    const otLosses = record.otLosses || 0;
+    const pointsFor = record.pointsFor || 0;
+    const pointsAgainst = record.pointsAgainst || 0;
+    const gamesPlayed = wins + losses + draws + otLosses;
+    const standing = {
+        ...record,
+        wins,
+        losses,
+        draws,
+        otLosses,
+        pointsFor,
+        pointsAgainst,
+        gamesPlayed,
+        winPct: gamesPlayed ? parseFloat(((wins + draws / 2) / gamesPlayed).toFixed(3)) : 0,
+        pointDiff: pointsFor - pointsAgainst,
+        streak: record.streak || 'N/A',
+        streakValue: streakValue(record.streak)
+    };
+
+    if (league.pointsSystem) {
+        const { win, draw, otLoss } = league.pointsSystem;
+        const maxPoints = gamesPlayed * win;
+
+        standing.tablePoints = wins * win + draws * draw + otLosses * otLoss;
+        standing.pointsPct = maxPoints ? parseFloat((standing.tablePoints / maxPoints).toFixed(3)) : 0;
+    }
+
+    return standing;
+};
+
+/**
+ * Sort standings with the league's tiebreak order
+ * @param {Array} standings - Standings with derived fields
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Sorted copy
+ */
+export const sortStandings = (standings, leagueId) => [...standings].sort(getStandingsSchema(leagueId).compare);
+
+/**
+ * Add home and away records to standings from the season schedule
+ * @param {Array} standings - Team standings
+ * @param {Array} schedule - Every game of the season
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Standings with `home`/`away` records (e.g. 20-9) and `homePct`/`awayPct`
+ */
+export const addRecordSplits = (standings, schedule, leagueId) => {
+    const league = getLeague(leagueId);
+    const splits = new Map(standings.map(team => [String(team.id), { home: [], away: [] }]));
+
+    schedule.forEach(game => {
+        [game.homeTeamId, game.awayTeamId].forEach(teamId => {
+            const split = splits.get(String(teamId));
+            const teamGame = toTeamGame(game, teamId, league);
+            if (split && teamGame.result) split[teamGame.isHome ? 'home' : 'away'].push(teamGame);
+        });
+    });
+
+    return standings.map(team => {
+        const home = tally(splits.get(String(team.id)).home);
+        const away = tally(splits.get(String(team.id)).away);
+
+        return {
+            ...team,
+            home: formatRecord(home, league),
+            away: formatRecord(away, league),
+            homePct: parseFloat(winPct(home).toFixed(3)),
+            awayPct: parseFloat(winPct(away).toFixed(3))
+        };
+    });
+};
+
+/**
+ * Split teams by a grouping field, keeping their order
+ * @param {Array} standings - Team standings
+ * @param {string} view - 'league', 'conference' or 'division'
+ * @returns {Map<string, Array>} Teams by group name
+ */
+const partition = (standings, view) => {
+    const groups = new Map();
+
+    standings.forEach(team => {
+        const name = view === 'league' ? 'League' : team[view] || 'Other';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(team);
+    });
+
+    return groups;
+};
+
+/**
+ * Check whether a value is a usable count
+ * @param {*} value - Value
+ * @returns {boolean} True for a non-negative integer
+ */
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Mark teams that have clinched a playoff place or been eliminated
+ * A team has clinched when fewer than `spots` rivals can still reach its current
+ * score, and is eliminated when at least `spots` rivals are already out of reach.
+ * Spots and games left come from the records (`playoffSpots`, `gamesRemaining`);
+ * groups where the data does not give them are left unmarked rather than guessed
+ * from the catalog, whose season length does not fit playoffs or past seasons
+ * @param {Array} standings - Ranked standings with derived fields
+ * @param {Object} league - League definition
+ * @returns {Array} Standings with a `clinch` marker ('x', 'e' or null)
+ */
+const applyPlayoffStatus = (standings, league) => {
+    if (!league?.playoffs) return standings;
+
+    const { group } = league.playoffs;
+    const perGame = league.pointsSystem ? league.pointsSystem.win : 1;
+    const score = team => (league.pointsSystem ? team.tablePoints : team.wins);
+    const status = new Map();
+
+    partition(standings, group).forEach(teams => {
+        const spots = teams[0].playoffSpots;
+        if (!isCount(spots) || teams.some(team => team.playoffSpots !== spots || !isCount(team.gamesRemaining))) return;
+        if (teams.length <= spots) return;
+
+        const ranges = teams.map(team => ({
+            team,
+            current: score(team),
+            best: score(team) + team.gamesRemaining * perGame
+        }));
+
+        ranges.forEach(({ team, current, best }) => {
+            const rivals = ranges.filter(other => other.team !== team);
+
+            if (rivals.filter(other => other.best >= current).length < spots) {
+                status.set(team, 'x');
+            } else if (rivals.filter(other => other.current > best).length >= spots) {
+                status.set(team, 'e');
+            }
+        });
+    });
+
+    return standings.map(team => ({ ...team, clinch: status.get(team) || null }));
+};
+
+/**
+ * Build ranked standings from raw records
+ * @param {Array} records - Raw standings records from a provider; `playoffSpots` (places in the
+ *     team's playoff group) and `gamesRemaining` are optional and enable the clinch markers
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Standings with derived fields, `rank` and `clinch`, in ranking order
+ */
+export const buildStandings = (records, leagueId) => {
+    const league = getLeague(leagueId);
+    const derived = records.map(record => deriveStandingFields(record, league));
+    const ranked = sortStandings(derived, leagueId).map((team, index) => ({ ...team, rank: index + 1 }));
+
+    return applyPlayoffStatus(ranked, league);
+};
+
+// Standings groupings, from widest to narrowest
+export const STANDINGS_VIEWS = ['league', 'conference', 'division'];
+
+/**
+ * Get the groupings available for a set of standings
+ * @param {Array} standings - Team standings
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Views ({ id, label }) the data supports
+ */
+export const getStandingsViews = (standings, leagueId) => {
+    const labels = { league: 'League', conference: 'Conference', division: 'Division', ...getLeague(leagueId)?.groupLabels };
+
+    return STANDINGS_VIEWS
+        .filter(view => view === 'league' || standings.some(team => team[view]))
+        .map(id => ({ id, label: labels[id] }));
+};
+
+/**
+ * Group standings for display
+ * Each group is ranked on its own, with games back measured from the group
+ * leader and the playoff line drawn when the view matches the playoff grouping
+ * @param {Array} standings - Team standings with derived fields
+ * @param {string} leagueId - League identifier
+ * @param {string} view - 'league', 'conference' or 'division'
+ * @returns {Array} Groups ({ name, teams, playoffLine })
+ */
+export const groupStandings = (standings, leagueId, view = 'league') => {
+    const league = getLeague(leagueId);
+    const playoffs = league?.playoffs;
+    const groups = [];
+
+    partition(sortStandings(standings, leagueId), view).forEach((teams, name) => {
+        const [leader] = teams;
+
+        groups.push({
+            name,
+            // Index of the last team above the playoff line, if one applies to this view
+            playoffLine: playoffs && playoffs.group === view && teams.length > playoffs.spots ? playoffs.spots - 1 : null,
+            teams: teams.map((team, index) => ({
+                ...team,
+                groupRank: index + 1,
+                gamesBack: ((leader.wins - team.wins) + (team.losses - leader.losses)) / 2
+            }))
+        });
+    });
+
+    return groups;
+};
+
+/**
+ * Order teams by a single standings column
+ * Numbers compare numerically and text alphabetically; missing values sort last.
+ * Ties keep the ranking order whichever way the column is sorted
+ * @param {Array} teams - Team standings
+ * @param {Object} sort - Sort ({ key, direction: 'asc' or 'desc' })
+ * @returns {Array} Sorted copy
+ */
+export const sortByColumn = (teams, { key, direction = 'desc' }) => {
+    const factor = direction === 'asc' ? 1 : -1;
+    const rankOf = team => team.groupRank ?? team.rank ?? 0;
+
+    return [...teams].sort((a, b) => {
+        const x = a[key];
+        const y = b[key];
+        const tiebreak = rankOf(a) - rankOf(b);
+
+        if (x === y) return tiebreak;
+        if (x === undefined || x === null) return 1;
+        if (y === undefined || y === null) return -1;
+
+        const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+        return order * factor || tiebreak;
+    });
+};
+
+/**
+ * Format a standings cell for display
+ * @param {Object} team - Team standing
+ * @param {Object} column - Column definition
+ * @returns {string} Display value
+ */
+export const formatStandingValue = (team, column) => {
+    const value = team[column.key];
+    if (value === undefined || value === null) return '-';
+    return column.format ? column.format(value) : String(value);
+};
+
+export default {
+    STANDINGS_SCHEMAS,
+    getStandingsSchema,
+    getStandingsColumns,
+    getDefaultColumnKeys,
+    resolveStandingsColumns,
+    deriveStandingFields,
+    sortStandings,
+    buildStandings,
+    addRecordSplits,
+    STANDINGS_VIEWS,
+    getStandingsViews,
+    groupStandings,
+    sortByColumn,
+    formatStandingValue
+};
@@ -0,0 +1,135 @@
+/**
+ * Dashboard summary
+ * Computes the summary card figures from standings, the season schedule and
+ * player totals, and describes the cards each sport shows
+ */
+
+import { calculateAverage } from './utils.js';
+import { getSportForLeague, getPlayerStats, getTerminology } from './leagues.js';
+
+/**
+ * Check whether a date falls on the same local day as another
+ * @param {Date|string} date - Date to check
+ * @param {Date|string} day - Reference day
+ * @returns {boolean} True when both are on the same day
+ */
+const isSameDay = (date, day) => new Date(date).toDateString() === new Date(day).toDateString();
+
+/**
+ * Format a fraction as a whole percentage
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} Percentage (e.g. 24%)
+ */
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Compute dashboard stats
+ * @param {Object} data - Source data
+ * @param {Array} data.standings - Team standings
+ * @param {Array} data.schedule - Every game of the season
+ * @param {Array} data.players - Players with season totals ({ name, team, totals })
+ * @param {string} leagueId - League identifier
+ * @param {Object} options - Options
+ * @param {Date|string} [options.today=new Date()] - Day counted as "today"
+ * @returns {Object} Stats ({ totalTeams, gamesToday, gamesPlayed, gamesRemaining, avgScore, matchScore, drawRate, overtimeRate, topScorer })
+ */
+export const computeDashboardStats = ({ standings = [], schedule = [], players = [] }, leagueId, { today = new Date() } = {}) => {
+    const completed = schedule.filter(game =>
+        game.status === 'final' && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore));
+    const [headline] = getPlayerStats(leagueId);
+
+    // Headline stat leader; ties go to the player listed first alphabetically
+    const leader = players
+        .filter(player => player.totals?.[headline.key] !== undefined)
+        .sort((a, b) => b.totals[headline.key] - a.totals[headline.key] || a.name.localeCompare(b.name))[0];
+
+    return {
+        totalTeams: standings.length,
+        gamesToday: schedule.filter(game => isSameDay(game.date, today)).length,
+        gamesPlayed: completed.length,
+        gamesRemaining: schedule.length - completed.length,
+        avgScore: parseFloat(calculateAverage(completed.flatMap(game => [game.homeScore, game.awayScore]))),
+        matchScore: parseFloat(calculateAverage(completed.map(game => game.homeScore + game.awayScore))),
+        drawRate: completed.length ? completed.filter(game => game.homeScore === game.awayScore).length / completed.length : 0,
+        overtimeRate: completed.length ? completed.filter(game => game.overtime).length / completed.length : 0,
+        topScorer: leader
+            ? { name: leader.name, team: leader.team, value: leader.totals[headline.key], stat: headline.label }
+            : null
+    };
+};
+
+/**
+ * Summary card definitions
+ * title(terminology), value(stats) and label(stats, terminology) build each card's text
+ */
+export const SUMMARY_CARDS = {
+    totalTeams: {
+        title: () => 'Total Teams',
+        value: stats => stats.totalTeams,
+        label: () => 'Active teams'
+    },
+    gamesToday: {
+        title: ({ games }) => `${games} Today`,
+        value: stats => stats.gamesToday,
+        label: () => 'On the schedule'
+    },
+    gamesPlayed: {
+        title: ({ games }) => `${games} Played`,
+        value: stats => stats.gamesPlayed,
+        label: stats => `${stats.gamesRemaining} remaining`
+    },
+    topScorer: {
+        title: () => 'Top Scorer',
+        value: stats => stats.topScorer?.name || '--',
+        label: stats => (stats.topScorer ? `${stats.topScorer.value} ${stats.topScorer.stat} · ${stats.topScorer.team}` : 'No player stats')
+    },
+    avgScore: {
+        title: ({ score, game }) => `${score} per ${game}`,
+        value: stats => stats.avgScore,
+        label: () => 'Per team'
+    },
+    matchScore: {
+        title: ({ score, game }) => `${score} per ${game}`,
+        value: stats => stats.matchScore,
+        label: () => 'Both teams combined'
+    },
+    drawRate: {
+        title: () => 'Draws',
+        value: stats => formatPercent(stats.drawRate),
+        label: (stats, { games }) => `Of completed ${games.toLowerCase()}`
+    },
+    overtimeRate: {
+        title: () => 'Overtime',
+        value: stats => formatPercent(stats.overtimeRate),
+        label: (stats, { games }) => `Of completed ${games.toLowerCase()}`
+    }
+};
+
+/**
+ * Build the summary cards a league shows
+ * @param {Object} stats - Stats from computeDashboardStats
+ * @param {string} leagueId - League identifier
+ * @returns {Array} Cards ({ id, title, value, label })
+ */
+export const buildSummaryCards = (stats, leagueId) => {
+    const terminology = getTerminology(leagueId);
+
+    return (getSportForLeague(leagueId).summaryCards || Object.keys(SUMMARY_CARDS))
+        .filter(id => SUMMARY_CARDS[id])
+        .map(id => {
+            const card = SUMMARY_CARDS[id];
+
+            return {
+                id,
+                title: card.title(terminology),
+                value: card.value(stats),
+                label: card.label(stats, terminology)
+            };
+        });
+};
+
+export default {
+    computeDashboardStats,
+    SUMMARY_CARDS,
+    buildSummaryCards
+};
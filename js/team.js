@@ -0,0 +1,135 @@
+/**
+ * Team summaries
+ * Turns a team's schedule into results, home/away splits, last-10 form and a
+ * win-percentage trend for the team detail panel
+ */
+
+// Number of games in the "last N" form record
+const FORM_GAMES = 10;
+
+/**
+ * Create an empty win/loss record
+ * @returns {Object} Record ({ wins, losses, draws, otLosses, gamesPlayed })
+ */
+const createRecord = () => ({ wins: 0, losses: 0, draws: 0, otLosses: 0, gamesPlayed: 0 });
+
+/**
+ * Add a result to a record
+ * @param {Object} record - Record to update
+ * @param {string} result - 'W', 'L', 'D' or 'OTL'
+ * @returns {Object} The updated record
+ */
+const addResult = (record, result) => {
+    if (result === 'W') record.wins += 1;
+    if (result === 'L') record.losses += 1;
+    if (result === 'D') record.draws += 1;
+    if (result === 'OTL') record.otLosses += 1;
+    record.gamesPlayed += 1;
+    return record;
+};
+
+/**
+ * Build a record from a list of results
+ * @param {Array} results - Team results ({ result })
+ * @returns {Object} Record
+ */
+export const tally = (results) => results.reduce((record, { result }) => addResult(record, result), createRecord());
+
+/**
+ * Winning percentage for a record (draws count as half a win, as in the standings)
+ * @param {Object} record - Record
+ * @returns {number} Fraction between 0 and 1
+ */
+export const winPct = ({ wins, draws, gamesPlayed }) => (gamesPlayed ? (wins + draws / 2) / gamesPlayed : 0);
+
+/**
+ * Format a record the way the league writes it
+ * W-D-L for leagues with draws and points, W-L-OTL for leagues with overtime losses, W-L otherwise
+ * @param {Object} record - Record ({ wins, losses, draws, otLosses })
+ * @param {Object} league - League definition
+ * @returns {string} Formatted record (e.g. 41-20, 30-12-5)
+ */
+export const formatRecord = ({ wins, losses, draws, otLosses }, league = {}) => {
+    if (league.allowDraws) return `${wins}-${draws}-${losses}`;
+    if (league.overtimeLosses) return `${wins}-${losses}-${otLosses}`;
+    return draws ? `${wins}-${losses}-${draws}` : `${wins}-${losses}`;
+};
+
+/**
+ * Describe a game from one team's point of view
+ * @param {Object} game - Game ({ homeTeamId, awayTeamId, homeScore, awayScore, overtime, status, ... })
+ * @param {string|number} teamId - Team identifier
+ * @param {Object} league - League definition
+ * @returns {Object} Game with isHome, opponent, teamScore, opponentScore and result (null until played)
+ */
+export const toTeamGame = (game, teamId, league = {}) => {
+    const isHome = String(game.homeTeamId) === String(teamId);
+    const teamScore = isHome ? game.homeScore : game.awayScore;
+    const opponentScore = isHome ? game.awayScore : game.homeScore;
+    let result = null;
+
+    // Some feeds mark games final without carrying the score
+    if (game.status === 'final' && Number.isFinite(teamScore) && Number.isFinite(opponentScore)) {
+        if (teamScore > opponentScore) {
+            result = 'W';
+        } else if (teamScore === opponentScore) {
+            result = 'D';
+        } else {
+            result = game.overtime && league.overtimeLosses ? 'OTL' : 'L';
+        }
+    }
+
+    return {
+        ...game,
+        isHome,
+        opponent: isHome ? game.awayTeam : game.homeTeam,
+        opponentId: isHome ? game.awayTeamId : game.homeTeamId,
+        teamScore,
+        opponentScore,
+        result
+    };
+};
+
+/**
+ * Summarize a team's season from its schedule
+ * @param {Array} games - Team schedule (played and upcoming games)
+ * @param {string|number} teamId - Team identifier
+ * @param {Object} league - League definition
+ * @returns {Object} Summary ({ schedule, record, home, away, lastTen, pointsFor, pointsAgainst, trend })
+ */
+export const summarizeTeamSchedule = (games, teamId, league = {}) => {
+    const schedule = [...games]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(game => toTeamGame(game, teamId, league));
+    const played = schedule.filter(game => game.result);
+    const pointsFor = played.reduce((sum, game) => sum + game.teamScore, 0);
+    const pointsAgainst = played.reduce((sum, game) => sum + game.opponentScore, 0);
+
+    // Running win percentage after each game
+    const running = createRecord();
+    const trend = played.map(game => {
+        addResult(running, game.result);
+        return { date: game.date, winPct: parseFloat(winPct(running).toFixed(3)) };
+    });
+
+    return {
+        schedule,
+        record: tally(played),
+        home: tally(played.filter(game => game.isHome)),
+        away: tally(played.filter(game => !game.isHome)),
+        lastTen: tally(played.slice(-FORM_GAMES)),
+        pointsFor,
+        pointsAgainst,
+        pointsForAvg: played.length ? parseFloat((pointsFor / played.length).toFixed(1)) : 0,
+        pointsAgainstAvg: played.length ? parseFloat((pointsAgainst / played.length).toFixed(1)) : 0,
+        trend
+    };
+};
+
+export default {
+    tally,
+    winPct,
+    formatRecord,
+    toTeamGame,
+    summarizeTeamSchedule
+};
@@ -3,11 +3,33 @@
  * Demonstrates modern DOM APIs and dynamic content generation
  */
 
-import { calculateWinPercentage, formatDate, sortByProperty } from './utils.js';
+import { calculateWinPercentage, formatDate, downloadFile, escapeHTML } from './utils.js';
+import { getLeague, getTerminology, getPlayerStats } from './leagues.js';
+import { getStandingsSchema, getStandingsColumns, resolveStandingsColumns, groupStandings, getStandingsViews, sortByColumn, formatStandingValue } from './standings.js';
+import { formatRecord } from './team.js';
+import { buildSummaryCards } from './summary.js';
+import { formatGameProgress } from './live.js';
+import { SCHEDULE_VIEWS, getScheduleRange, groupScheduleByDay, formatScheduleRange } from './schedule.js';
+import { MAX_COMPARED_TEAMS, COMPARE_CHARTS } from './compare.js';
+import { CHART_TYPES, DEFAULT_TOP_TEAMS, getChartMetrics, buildChartData } from './charts.js';
+import { MOVEMENT_BASELINES, HISTORY_METRICS } from './snapshots.js';
+import { ALERT_TYPES, STREAK_RESULTS, describeAlertRule } from './alerts.js';
 
 // Chart instances
-let performanceChart = null;
-let scoringChart = null;
+const dashboardCharts = new Map();
+let historyChart = null;
+let teamTrendChart = null;
+let comparisonChart = null;
+
+// Colors (RGB) for the compared teams, in selection order
+const COMPARE_COLORS = ['37, 99, 235', '239, 68, 68', '16, 185, 129', '245, 158, 11'];
+
+// Dataset colors for chart builder charts (RGB), starting with the comparison colors
+const CHART_COLORS = [
+    ...COMPARE_COLORS,
+    '124, 58, 237', '236, 72, 153', '20, 184, 166', '107, 114, 128',
+    '132, 204, 22', '249, 115, 22', '14, 165, 233', '168, 85, 247'
+];
 
 /**
  * Show loading state
@@ -55,58 +77,462 @@ export const hideError = () => {
     if (error) error.classList.add('hidden');
 };
 
+/**
+ * Show where the data on screen comes from in the header
+ * @param {string} source - Name of the provider that served the data
+ * @param {boolean} mock - Whether it is generated demo data
+ * @param {boolean} [fallback=false] - Whether demo data stands in for a failing live provider
+ */
+export const renderDataSource = (source, mock, fallback = false) => {
+    const indicator = document.getElementById('data-source-indicator');
+    if (!indicator) return;
+    
+    indicator.textContent = fallback ? '📊 Demo Data · live feed unavailable'
+        : mock ? '📊 Using Demo Data' : `📡 Live Data · ${source}`;
+    indicator.className = mock || fallback ? 'data-source-mock' : 'data-source-live';
+};
+
+/**
+ * Show or hide the offline banner
+ * @param {boolean} offline - Whether the browser is offline
+ * @param {string|null} timestamp - When the data on screen was fetched (ISO), or null without data
+ */
+export const renderOfflineBanner = (offline, timestamp) => {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+    
+    banner.textContent = timestamp
+        ? `You're offline. Showing data as of ${formatDate(timestamp)}, ${new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.`
+        : "You're offline. No saved data for this league yet.";
+    banner.classList.toggle('hidden', !offline);
+};
+
 /**
  * Update dashboard statistics
+ * Renders the summary cards configured for the league's sport
  * @param {Object} stats - Statistics data
+ * @param {string} leagueId - League identifier
+ */
+export const updateDashboardStats = (stats, leagueId) => {
+    const overview = document.getElementById('overview');
+    if (!overview) return;
+    
+    overview.innerHTML = buildSummaryCards(stats, leagueId)
+        .map(card => `
+            <div class="stat-card" data-card="${card.id}">
+                <h3>${card.title}</h3>
+                <p class="stat-value">${card.value}</p>
+                <span class="stat-label">${card.label}</span>
+            </div>
+        `)
+        .join('');
+};
+
+/**
+ * Describe a favorite's game in one line
+ * @param {Object} game - Game from the team's side (see toTeamGame)
+ * @returns {string} e.g. "W 112-104 vs Celtics", "LIVE 2-1 @ Arsenal" or "@ Heat"
+ */
+const describeFavoriteGame = (game) => {
+    const opponent = `${game.isHome ? 'vs' : '@'} ${game.opponent}`;
+    if (game.result) {
+        return `<span class="result result-${game.result}">${game.result}</span> ${game.teamScore}-${game.opponentScore}${game.overtime ? ' (OT)' : ''} ${opponent}`;
+    }
+    if (game.status === 'live') {
+        return `<span class="game-status live">LIVE</span> ${game.teamScore ?? 0}-${game.opponentScore ?? 0} ${opponent}`;
+    }
+    return opponent;
+};
+
+/**
+ * Render My Teams, the favorite teams across leagues
+ * @param {Array} favorites - Favorites from fetchFavoriteTeams ({ league, teamId, name, team, summary, error })
+ */
+export const renderMyTeams = (favorites) => {
+    const list = document.getElementById('my-teams-list');
+    if (!list) return;
+    
+    if (favorites.length === 0) {
+        list.innerHTML = '<p class="my-teams-empty">Star a team (☆) in the standings or on a game card to follow it here.</p>';
+        return;
+    }
+    
+    list.innerHTML = favorites
+        .map(({ league: leagueId, teamId, name, team, summary, error }) => {
+            const league = getLeague(leagueId);
+            const header = `
+                <div class="my-team-header">
+                    <span class="league-badge">${escapeHTML(league?.name || leagueId.toUpperCase())}</span>
+                    ${createFavoriteButton(teamId, team?.name || name, true, leagueId)}
+                </div>
+                <button type="button" class="my-team-name" data-my-team="${escapeHTML(teamId)}" data-league="${escapeHTML(leagueId)}"${team ? '' : ' disabled'}>${escapeHTML(team?.name || name)}</button>
+            `;
+            
+            if (!team) {
+                return `<div class="my-team-card unavailable">${header}<p class="my-team-note">${error}</p></div>`;
+            }
+            
+            const { record, streak, lastGame, nextGame } = summary;
+            const rows = [
+                { label: 'Record', value: formatRecord(record, league) },
+                { label: 'Streak', value: streak },
+                { label: 'Last', value: lastGame ? describeFavoriteGame(lastGame) : 'No games yet', note: lastGame && formatDate(lastGame.date) },
+                { label: 'Next', value: nextGame ? describeFavoriteGame(nextGame) : 'Season complete', note: nextGame?.status === 'scheduled' && formatDate(nextGame.date) }
+            ];
+            
+            return `
+                <div class="my-team-card">
+                    ${header}
+                    <dl class="my-team-stats">
+                        ${rows.map(row => `
+                            <div>
+                                <dt>${row.label}</dt>
+                                <dd>${row.value}${row.note ? ` <span class="stat-label">${row.note}</span>` : ''}</dd>
+                            </div>
+                        `).join('')}
+                    </dl>
+                </div>
+            `;
+        })
+        .join('');
+};
+
+/**
+ * Populate the sport selector from the league catalog
+ * @param {Array} sports - Sport definitions
+ * @param {string} selected - Selected sport identifier
+ */
+export const renderSportOptions = (sports, selected) => {
+    const select = document.getElementById('sport-select');
+    if (!select) return;
+    
+    select.innerHTML = sports
+        .map(sport => `<option value="${sport.id}">${sport.name}</option>`)
+        .join('');
+    select.value = selected;
+};
+
+/**
+ * Apply sport-specific terminology to static labels
+ * @param {string} leagueId - League identifier
+ */
+export const applyTerminology = (leagueId) => {
+    const { games } = getTerminology(leagueId);
+    const gamesTitle = document.getElementById('recent-games-title');
+    
+    if (gamesTitle) gamesTitle.textContent = `Recent ${games}`;
+};
+
+/**
+ * Populate the league selector from the league catalog
+ * @param {Array} leagues - League definitions
+ * @param {string} selected - Selected league identifier
+ */
+export const renderLeagueOptions = (leagues, selected) => {
+    const select = document.getElementById('league-select');
+    if (!select) return;
+    
+    select.innerHTML = leagues
+        .map(league => `<option value="${league.id}">${league.name}</option>`)
+        .join('');
+    select.value = selected;
+};
+
+/**
+ * Populate the season selector
+ * Seasons are grouped into regular seasons and playoffs
+ * @param {Array} seasons - Seasons ({ id, type, label, current }), newest first
+ * @param {string} selected - Selected season identifier
  */
-export const updateDashboardStats = (stats) => {
-    const { totalTeams, gamesToday, topScorer, avgScore } = stats;
+export const renderSeasonOptions = (seasons, selected) => {
+    const select = document.getElementById('season-select');
+    if (!select) return;
+    
+    const option = season => `<option value="${season.id}">${season.label}${season.current ? ' (current)' : ''}</option>`;
+    const groups = [
+        { label: 'Regular Season', seasons: seasons.filter(season => season.type === 'regular') },
+        { label: 'Playoffs', seasons: seasons.filter(season => season.type === 'playoff') }
+    ].filter(group => group.seasons.length > 0);
     
-    const totalTeamsEl = document.getElementById('total-teams');
-    const gamesTodayEl = document.getElementById('games-today');
-    const topScorerEl = document.getElementById('top-scorer');
-    const avgScoreEl = document.getElementById('avg-score');
+    select.innerHTML = groups
+        .map(group => `<optgroup label="${group.label}">${group.seasons.map(option).join('')}</optgroup>`)
+        .join('');
+    select.value = selected;
+};
+
+/**
+ * Render the standings grouping toggle (league / conference / division)
+ * @param {Array} views - Available views ({ id, label })
+ * @param {string} active - Active view identifier
+ */
+export const renderStandingsViewToggle = (views, active) => {
+    const toggle = document.getElementById('standings-view-toggle');
+    if (!toggle) return;
     
-    if (totalTeamsEl) totalTeamsEl.textContent = totalTeams;
-    if (gamesTodayEl) gamesTodayEl.textContent = gamesToday;
-    if (topScorerEl) topScorerEl.textContent = topScorer;
-    if (avgScoreEl) avgScoreEl.textContent = avgScore;
+    // A single grouping needs no toggle
+    toggle.classList.toggle('hidden', views.length < 2);
+    toggle.innerHTML = views
+        .map(view => `
+            <button type="button" class="toggle-btn ${view.id === active ? 'active' : ''}" data-view="${view.id}">
+                ${view.label}
+            </button>
+        `)
+        .join('');
+};
+
+/**
+ * Render the standings column picker
+ * @param {string} leagueId - League identifier
+ * @param {Array|null} columnKeys - Visible column keys (null for the defaults)
+ */
+export const renderStandingsColumnPicker = (leagueId, columnKeys = null) => {
+    const list = document.getElementById('standings-columns-list');
+    if (!list) return;
+    
+    const visible = new Set(resolveStandingsColumns(leagueId, columnKeys).map(column => column.key));
+    
+    // The team column is always shown
+    list.innerHTML = getStandingsColumns(leagueId)
+        .filter(column => column.key !== 'name')
+        .map(column => `
+            <label class="column-option">
+                <input type="checkbox" data-column="${column.key}" ${visible.has(column.key) ? 'checked' : ''}>
+                ${column.label}
+            </label>
+        `)
+        .join('') + '<button type="button" class="column-reset" data-column-reset>Reset columns</button>';
+};
+
+/**
+ * Render the export menus' format buttons
+ * Fills every `[data-export]` menu with one button per format
+ * @param {Array} formats - Export formats, the default first
+ */
+export const renderExportMenus = (formats) => {
+    const labels = { csv: 'CSV', json: 'JSON', xlsx: 'Excel (XLSX)' };
+    
+    document.querySelectorAll('[data-export] .column-picker-list').forEach(list => {
+        list.innerHTML = formats
+            .map((format, index) => `
+                <button type="button" class="export-option" data-export-format="${format}">
+                    ${labels[format] || format.toUpperCase()}${index === 0 ? '<span class="export-default">default</span>' : ''}
+                </button>
+            `)
+            .join('');
+    });
+};
+
+/**
+ * Render the rank movement baseline selector
+ * @param {string} selected - Selected baseline ('last' or 'week')
+ */
+export const renderMovementOptions = (selected) => {
+    const select = document.getElementById('movement-baseline');
+    if (!select) return;
+    
+    select.innerHTML = MOVEMENT_BASELINES
+        .map(baseline => `<option value="${baseline.id}">${baseline.label}</option>`)
+        .join('');
+    select.value = selected;
+};
+
+/**
+ * Build the rank movement marker for a standings row
+ * @param {Object|undefined} movement - Movement from getRankMovement ({ change, previousRank, since })
+ * @returns {string} Marker HTML (empty without a baseline)
+ */
+const createMovementMarker = (movement) => {
+    if (!movement) return '';
+    
+    const since = formatDate(movement.since);
+    if (movement.change === 0) {
+        return ` <span class="movement movement-none" title="No change since ${since}">–</span>`;
+    }
+    
+    const up = movement.change > 0;
+    const places = Math.abs(movement.change);
+    const title = `${up ? 'Up' : 'Down'} ${places} from ${movement.previousRank} since ${since}`;
+    return ` <span class="movement movement-${up ? 'up' : 'down'}" title="${title}">${up ? '▲' : '▼'}${places}</span>`;
+};
+
+/**
+ * Build the star that adds a team to (or removes it from) the favorites
+ * @param {string|number} teamId - Team identifier
+ * @param {string} name - Team name
+ * @param {boolean} favorite - Whether the team is already a favorite
+ * @param {string} [leagueId] - League identifier, for stars outside the selected league (My Teams)
+ * @returns {string} Button HTML
+ */
+const createFavoriteButton = (teamId, name, favorite, leagueId) => {
+    const action = favorite ? `Remove ${name} from My Teams` : `Add ${name} to My Teams`;
+    const league = leagueId ? ` data-favorite-league="${escapeHTML(leagueId)}"` : '';
+    
+    // Names of saved favorites come back from localStorage
+    return `<button type="button" class="favorite-btn${favorite ? ' active' : ''}" data-favorite-team="${escapeHTML(teamId)}" data-favorite-name="${escapeHTML(name)}"${league} aria-pressed="${favorite}" aria-label="${escapeHTML(action)}" title="${escapeHTML(action)}">${favorite ? '★' : '☆'}</button>`;
+};
+
+/**
+ * Build a sortable standings header cell
+ * @param {string} label - Column label
+ * @param {string} key - Sort key sent on click ('' returns to the ranking order)
+ * @param {string|null} direction - Current direction ('asc', 'desc' or null when not sorted by this column)
+ * @returns {string} Header cell HTML
+ */
+const createSortableHeader = (label, key, direction) => {
+    const ariaSort = { asc: 'ascending', desc: 'descending' }[direction] || 'none';
+    const indicator = { asc: '▲', desc: '▼' }[direction] || '';
+    
+    return `
+        <th aria-sort="${ariaSort}" class="${direction ? 'sorted' : ''}">
+            <button type="button" class="sort-btn" data-sort="${key}">
+                ${label}<span class="sort-indicator" aria-hidden="true">${indicator}</span>
+            </button>
+        </th>
+    `;
 };
 
 /**
  * Render team standings table
+ * Columns and ranking order come from the league's standings schema; each
+ * group is ranked separately, with games back and the playoff line per group.
+ * Headers are buttons carrying `data-sort`, the column key to sort by
  * @param {Array} standings - Array of team data
+ * @param {string} leagueId - League identifier
+ * @param {string} view - Grouping ('league', 'conference' or 'division')
+ * @param {Object|null} sort - Column sort ({ key, direction }) overriding the ranking order
+ * @param {Array|null} columnKeys - Visible column keys (null for the league's defaults)
+ * @param {Map} movement - League rank movement by team id (see getRankMovement)
+ * @param {Set<string>} favorites - Favorite team ids, starred and highlighted
  */
-export const renderStandings = (standings) => {
+export const renderStandings = (standings, leagueId, view = 'league', sort = null, columnKeys = null, movement = new Map(), favorites = new Set()) => {
     const tbody = document.getElementById('standings-body');
+    const head = document.getElementById('standings-head');
+    const legend = document.getElementById('standings-legend');
     if (!tbody) return;
     
-    // Sort teams by win percentage
-    const sortedStandings = sortByProperty(standings, 'winPct', false);
+    const columns = resolveStandingsColumns(leagueId, columnKeys);
+    const groups = groupStandings(standings, leagueId, view);
+    const playoffs = getLeague(leagueId)?.playoffs;
+    // Only sort by columns the table shows; record columns sort by their percentage
+    const sortColumn = sort && columns.find(column => column.key === sort.key);
+    const columnSort = sortColumn ? { key: sortColumn.sortKey || sortColumn.key, direction: sort.direction } : null;
+    
+    if (head) {
+        head.innerHTML = createSortableHeader('Rank', '', columnSort ? null : 'asc') + columns
+            .map(column => createSortableHeader(column.label, column.key, column === sortColumn ? sort.direction : null))
+            .join('');
+    }
     
     // Clear existing rows
     tbody.innerHTML = '';
     
-    // Create table rows
-    sortedStandings.forEach((team, index) => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${index + 1}</td>
-            <td>${team.name}</td>
-            <td>${team.wins}</td>
-            <td>${team.losses}</td>
-            <td>${team.winPct}</td>
-            <td>${team.streak}</td>
-        `;
-        tbody.appendChild(row);
+    groups.forEach(group => {
+        // Group header row, unless the whole league is one group
+        if (view !== 'league') {
+            const header = document.createElement('tr');
+            header.className = 'group-row';
+            header.innerHTML = `<td colspan="${columns.length + 1}">${group.name}</td>`;
+            tbody.appendChild(header);
+        }
+        
+        // The playoff line only makes sense in ranking order
+        const teams = columnSort ? sortByColumn(group.teams, columnSort) : group.teams;
+        const playoffLine = columnSort ? null : group.playoffLine;
+        
+        // Create table rows
+        teams.forEach((team, index) => {
+            const row = document.createElement('tr');
+            row.className = 'team-row';
+            row.dataset.teamId = team.id;
+            if (index === playoffLine) row.classList.add('playoff-line');
+            if (team.clinch === 'e') row.classList.add('eliminated');
+            const favorite = favorites.has(String(team.id));
+            if (favorite) row.classList.add('favorite-row');
+            
+            row.innerHTML = `<td>${team.groupRank}${createMovementMarker(movement.get(String(team.id)))}</td>` + columns.map(column => {
+                const value = formatStandingValue(team, column);
+                if (column.key !== 'name') return `<td>${value}</td>`;
+                
+                const marker = team.clinch ? ` <span class="clinch-marker clinch-${team.clinch}">${team.clinch}</span>` : '';
+                return `<td>${createFavoriteButton(team.id, team.name, favorite)} ${value}${marker}</td>`;
+            }).join('');
+            tbody.appendChild(row);
+        });
     });
+    
+    if (legend) {
+        const lineNote = playoffs && playoffs.group === view && !columnSort ? ` · Line: ${playoffs.label} (top ${playoffs.spots})` : '';
+        legend.textContent = playoffs ? `x - Clinched · e - Eliminated${lineNote}` : '';
+    }
 };
 
+/**
+ * Build the inner markup of a game card
+ * @param {Object} game - Game data
+ * @param {string} leagueId - League identifier
+ * @param {Set<string>} favorites - Favorite team ids
+ * @returns {string} Card HTML
+ */
+const createGameCardContent = (game, leagueId, favorites = new Set()) => {
+    const final = game.status === 'final';
+    const homeWinner = final && game.homeScore > game.awayScore ? 'winner' : '';
+    const awayWinner = final && game.awayScore > game.homeScore ? 'winner' : '';
+    const progress = formatGameProgress(game, leagueId);
+    const hasId = (id) => id !== undefined && id !== null;
+    // Team names open the team detail panel when the feed provides team ids
+    const teamLink = (id) => (hasId(id) ? ` data-team-id="${id}"` : '');
+    const star = (id, name) => (hasId(id) ? createFavoriteButton(id, name, favorites.has(String(id))) : '');
+    
+    return `
+        <div class="game-header">
+            <span>${formatDate(game.date)}</span>
+            <span class="game-status ${game.status}">${game.status === 'live' ? `LIVE${progress ? ` · ${progress}` : ''}` : game.status.toUpperCase()}</span>
+        </div>
+        <div class="game-teams">
+            <div class="team">
+                ${star(game.homeTeamId, game.homeTeam)}
+                <div class="team-name ${homeWinner}"${teamLink(game.homeTeamId)}>${game.homeTeam}</div>
+                <div class="team-score ${homeWinner}" data-side="home">${game.homeScore ?? '-'}</div>
+            </div>
+            <div class="vs-divider">VS</div>
+            <div class="team">
+                ${star(game.awayTeamId, game.awayTeam)}
+                <div class="team-name ${awayWinner}"${teamLink(game.awayTeamId)}>${game.awayTeam}</div>
+                <div class="team-score ${awayWinner}" data-side="away">${game.awayScore ?? '-'}</div>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Show how many games are in progress next to the games heading
+ * @param {Array} games - Games on screen
+ */
+const updateLiveIndicator = (games) => {
+    const indicator = document.getElementById('live-indicator');
+    if (!indicator) return;
+    
+    const live = games.filter(game => game.status === 'live').length;
+    indicator.textContent = `${live} Live`;
+    indicator.classList.toggle('hidden', live === 0);
+};
+
+/**
+ * Check whether a favorite team plays in a game
+ * @param {Object} game - Game data
+ * @param {Set<string>} favorites - Favorite team ids
+ * @returns {boolean} True when either side is a favorite
+ */
+const involvesFavorite = (game, favorites) => favorites.has(String(game.homeTeamId)) || favorites.has(String(game.awayTeamId));
+
 /**
  * Render recent games
+ * In-progress games show their period and clock; games with a favorite team are highlighted
  * @param {Array} games - Array of game data
+ * @param {string} leagueId - League identifier
+ * @param {Set<string>} favorites - Favorite team ids
  */
-export const renderGames = (games) => {
+export const renderGames = (games, leagueId, favorites = new Set()) => {
     const gamesList = document.getElementById('games-list');
     if (!gamesList) return;
     
@@ -116,117 +542,612 @@ export const renderGames = (games) => {
     // Create game cards
     games.forEach(game => {
         const gameCard = document.createElement('div');
-        gameCard.className = 'game-card';
+        gameCard.className = `game-card ${game.status}`;
+        gameCard.classList.toggle('favorite', involvesFavorite(game, favorites));
+        gameCard.dataset.gameId = game.id;
+        gameCard.innerHTML = createGameCardContent(game, leagueId, favorites);
         
-        const homeWinner = game.homeScore > game.awayScore ? 'winner' : '';
-        const awayWinner = game.awayScore > game.homeScore ? 'winner' : '';
+        gamesList.appendChild(gameCard);
+    });
+    
+    updateLiveIndicator(games);
+};
+
+/**
+ * Update game cards in place after a live poll
+ * Scores that changed are flashed; cards that are not on screen are skipped
+ * @param {Array} games - Games on screen, with the latest scores
+ * @param {Array} changes - Changes from mergeLiveGames ({ id, homeScored, awayScored })
+ * @param {string} leagueId - League identifier
+ * @param {Set<string>} favorites - Favorite team ids
+ */
+export const updateGameCards = (games, changes, leagueId, favorites = new Set()) => {
+    changes.forEach(({ id, homeScored, awayScored }) => {
+        const game = games.find(candidate => String(candidate.id) === String(id));
+        const card = document.querySelector(`.game-card[data-game-id="${id}"]`);
+        if (!game || !card) return;
         
-        gameCard.innerHTML = `
-            <div class="game-header">
-                <span>${formatDate(game.date)}</span>
-                <span class="game-status">${game.status.toUpperCase()}</span>
+        card.className = `game-card ${game.status}${card.classList.contains('highlight') ? ' highlight' : ''}`;
+        card.classList.toggle('favorite', involvesFavorite(game, favorites));
+        card.innerHTML = createGameCardContent(game, leagueId, favorites);
+        
+        [['home', homeScored], ['away', awayScored]]
+            .filter(([, scored]) => scored)
+            .forEach(([side]) => card.querySelector(`.team-score[data-side="${side}"]`)?.classList.add('score-changed'));
+    });
+    
+    updateLiveIndicator(games);
+};
+
+/**
+ * Render the schedule calendar
+ * @param {Array} schedule - Season schedule
+ * @param {string} leagueId - League identifier
+ * @param {Object} options - Calendar state
+ * @param {string} options.view - 'day' or 'week'
+ * @param {Date} options.date - Day shown (any day of the week in week view)
+ * @param {Date} options.today - Today for the data source
+ * @param {string|null} options.teamId - Team filter (null for every team)
+ * @param {Array} options.teams - Teams for the filter ({ id, name })
+ */
+export const renderSchedule = (schedule, leagueId, { view, date, today, teamId, teams }) => {
+    const toggle = document.getElementById('schedule-view-toggle');
+    const rangeLabel = document.getElementById('schedule-range');
+    const teamSelect = document.getElementById('schedule-team');
+    const exportBtn = document.getElementById('ics-export-btn');
+    const calendar = document.getElementById('schedule-calendar');
+    const { games: gamesTerm } = getTerminology(leagueId);
+    const range = getScheduleRange(date, view);
+    const todayKey = new Date(today).toDateString();
+    
+    if (toggle) {
+        toggle.innerHTML = SCHEDULE_VIEWS
+            .map(id => `
+                <button type="button" class="toggle-btn ${id === view ? 'active' : ''}" data-calendar="${id}">
+                    ${id === 'day' ? 'Day' : 'Week'}
+                </button>
+            `)
+            .join('');
+    }
+    
+    if (rangeLabel) rangeLabel.textContent = formatScheduleRange(range, view);
+    
+    if (teamSelect) {
+        teamSelect.innerHTML = [
+            `<option value="">All teams</option>`,
+            ...[...teams]
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(team => `<option value="${team.id}">${team.name}</option>`)
+        ].join('');
+        teamSelect.value = teamId ?? '';
+    }
+    
+    if (exportBtn) exportBtn.disabled = teamId === null;
+    
+    if (!calendar) return;
+    
+    // Team names open the team detail panel when the feed provides team ids
+    const teamLink = (id, name) => (id !== undefined && id !== null ? `<span class="team-name" data-team-id="${id}">${name}</span>` : name);
+    
+    calendar.className = `schedule-calendar ${view}`;
+    calendar.innerHTML = groupScheduleByDay(schedule, range, teamId)
+        .map(day => `
+            <div class="schedule-day ${day.date.toDateString() === todayKey ? 'today' : ''}">
+                <h3 class="schedule-day-title">
+                    ${day.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                </h3>
+                ${day.games.length === 0
+                    ? `<p class="schedule-empty">No ${gamesTerm.toLowerCase()}</p>`
+                    : day.games.map(game => {
+                        const progress = formatGameProgress(game, leagueId);
+                        const time = game.status === 'final'
+                            ? 'FINAL'
+                            : game.status === 'live'
+                                ? `LIVE${progress ? ` · ${progress}` : ''}`
+                                : new Date(game.date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+                        const score = game.homeScore !== null && game.homeScore !== undefined
+                            ? `<span class="schedule-score">${game.awayScore}-${game.homeScore}</span>`
+                            : '';
+                        
+                        return `
+                            <div class="schedule-game ${game.status}" data-game-id="${game.id}">
+                                <span class="schedule-time">${time}</span>
+                                <span class="schedule-matchup">
+                                    ${teamLink(game.awayTeamId, game.awayTeam)} @ ${teamLink(game.homeTeamId, game.homeTeam)}
+                                </span>
+                                ${score}
+                            </div>
+                        `;
+                    }).join('')}
             </div>
-            <div class="game-teams">
-                <div class="team">
-                    <div class="team-name ${homeWinner}">${game.homeTeam}</div>
-                    <div class="team-score ${homeWinner}">${game.homeScore}</div>
-                </div>
-                <div class="vs-divider">VS</div>
-                <div class="team">
-                    <div class="team-name ${awayWinner}">${game.awayTeam}</div>
-                    <div class="team-score ${awayWinner}">${game.awayScore}</div>
+        `)
+        .join('');
+};
+
+/**
+ * Render the chart builder form
+ * @param {string} leagueId - League identifier
+ * @param {Array} standings - Team standings (teams the chart can pick)
+ * @param {Object} definition - Chart definition to edit ({ id, title, type, metrics, teams, top, sort })
+ */
+export const renderChartBuilder = (leagueId, standings, definition) => {
+    const form = document.getElementById('chart-builder');
+    if (!form) return;
+    
+    const metrics = getChartMetrics(leagueId);
+    const selectedTeams = new Set(definition.teams.map(String));
+    const options = (items, selected) => items
+        .map(item => `<option value="${item.id}" ${item.id === selected ? 'selected' : ''}>${item.label}</option>`)
+        .join('');
+    
+    form.dataset.chartId = definition.id || '';
+    form.elements.title.value = definition.title || '';
+    form.elements.type.innerHTML = options(CHART_TYPES, definition.type);
+    form.elements.top.value = definition.top || DEFAULT_TOP_TEAMS;
+    form.elements.sortKey.innerHTML = options([{ id: 'rank', label: 'Ranking' }, ...metrics.map(({ key, label }) => ({ id: key, label }))], definition.sort?.key);
+    form.elements.sortDirection.value = definition.sort?.direction || 'desc';
+    
+    document.getElementById('chart-builder-metrics').innerHTML = metrics
+        .map(metric => `
+            <label class="column-option">
+                <input type="checkbox" name="metrics" value="${metric.key}" ${definition.metrics.includes(metric.key) ? 'checked' : ''}>
+                ${metric.label}
+            </label>
+        `)
+        .join('');
+    
+    form.elements.teams.innerHTML = [...standings]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(team => `<option value="${team.id}" ${selectedTeams.has(String(team.id)) ? 'selected' : ''}>${team.name}</option>`)
+        .join('');
+    
+    document.getElementById('chart-builder-title').textContent = definition.id ? 'Edit Chart' : 'New Chart';
+    form.classList.remove('hidden');
+};
+
+/**
+ * Close the chart builder form
+ */
+export const hideChartBuilder = () => {
+    const form = document.getElementById('chart-builder');
+    if (form) form.classList.add('hidden');
+};
+
+/**
+ * Create a chart from chart builder data
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} chartData - Data from buildChartData
+ * @returns {Object} Chart.js instance
+ */
+const createBuilderChart = (canvas, { type, labels, datasets, axes }) => {
+    const color = (i, alpha) => `rgba(${CHART_COLORS[i % CHART_COLORS.length]}, ${alpha})`;
+    const axis = (title, extra = {}) => ({ ...extra, title: { display: Boolean(title), text: title } });
+    const scales = {
+        bar: { x: axis(axes.x), y: axis(axes.y, { beginAtZero: true }) },
+        scatter: { x: axis(axes.x), y: axis(axes.y) },
+        line: { x: axis(axes.x, { ticks: { maxTicksLimit: 10 } }), y: axis(axes.y) },
+        radar: { r: { min: 0, max: 100, ticks: { stepSize: 25 } } }
+    }[type];
+    
+    return new Chart(canvas, {
+        type,
+        data: {
+            labels,
+            datasets: datasets.map((dataset, i) => ({
+                label: dataset.label,
+                data: dataset.data,
+                backgroundColor: color(i, type === 'radar' ? 0.15 : 0.7),
+                borderColor: color(i, 1),
+                borderWidth: 2,
+                pointRadius: type === 'line' ? 0 : 4,
+                tension: 0.2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: type !== 'scatter',
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        // Show formatted values (and actual values on radar charts, which plot scores)
+                        label: (item) => {
+                            const display = datasets[item.datasetIndex].display?.[item.dataIndex];
+                            return type === 'scatter' ? display : `${item.dataset.label}: ${display ?? item.formattedValue}`;
+                        }
+                    }
+                }
+            },
+            scales
+        }
+    });
+};
+
+/**
+ * Render the saved charts on the dashboard
+ * Each card has PNG download, edit and remove buttons carrying `data-chart-action`
+ * @param {Array} definitions - Chart definitions, in display order
+ * @param {Object} data - Dashboard data ({ standings, schedule })
+ * @param {string} leagueId - League identifier
+ */
+export const renderDashboardCharts = (definitions, data, leagueId) => {
+    const container = document.getElementById('dashboard-charts');
+    if (!container) return;
+    
+    // Destroy existing charts
+    dashboardCharts.forEach(chart => chart.destroy());
+    dashboardCharts.clear();
+    
+    // Definitions, titles included, are typed by the user and saved in localStorage
+    container.innerHTML = definitions.length
+        ? definitions.map(definition => `
+            <div class="chart-container" data-chart-id="${escapeHTML(definition.id)}">
+                <div class="chart-header">
+                    <h2>${escapeHTML(definition.title)}</h2>
+                    <div class="chart-actions">
+                        <button type="button" class="chart-action" data-chart-action="download" title="Download as PNG">PNG</button>
+                        <button type="button" class="chart-action" data-chart-action="edit">Edit</button>
+                        <button type="button" class="chart-action" data-chart-action="remove">Remove</button>
+                    </div>
                 </div>
+                <canvas></canvas>
             </div>
-        `;
-        
-        gamesList.appendChild(gameCard);
+        `).join('')
+        : '<p class="compare-empty">No charts yet. Use New Chart to build one.</p>';
+    
+    definitions.forEach(definition => {
+        const canvas = container.querySelector(`[data-chart-id="${CSS.escape(definition.id)}"] canvas`);
+        dashboardCharts.set(definition.id, createBuilderChart(canvas, buildChartData(definition, data, leagueId)));
     });
 };
 
 /**
- * Create performance chart
- * @param {Array} standings - Team standings data
+ * Download a dashboard chart as a PNG image on a white background
+ * @param {string} chartId - Chart definition identifier
+ * @param {string} filename - Suggested file name
+ */
+export const downloadChartImage = (chartId, filename) => {
+    const chart = dashboardCharts.get(chartId);
+    if (!chart) return;
+    
+    // Chart.js canvases are transparent; flatten onto white so the image reads anywhere
+    const image = document.createElement('canvas');
+    image.width = chart.canvas.width;
+    image.height = chart.canvas.height;
+    
+    const context = image.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, image.width, image.height);
+    context.drawImage(chart.canvas, 0, 0);
+    
+    image.toBlob(blob => downloadFile(blob, filename, 'image/png'), 'image/png');
+};
+
+/**
+ * Render the standings history chart
+ * Ranks are drawn with first place at the top
+ * @param {Object} history - History display state
+ * @param {Object} history.series - Series from buildHistorySeries ({ timestamps, datasets })
+ * @param {string} history.metric - 'rank' or 'winPct'
  */
-export const createPerformanceChart = (standings) => {
-    const ctx = document.getElementById('performance-chart');
+export const renderStandingsHistory = ({ series, metric }) => {
+    const ctx = document.getElementById('history-chart');
+    const toggle = document.getElementById('history-metric-toggle');
+    const summary = document.getElementById('history-summary');
     if (!ctx) return;
     
+    if (toggle) {
+        toggle.innerHTML = HISTORY_METRICS
+            .map(option => `
+                <button type="button" class="toggle-btn ${option.id === metric ? 'active' : ''}" data-history-metric="${option.id}">
+                    ${option.label}
+                </button>
+            `)
+            .join('');
+    }
+    
+    const { timestamps, datasets } = series;
+    if (summary) {
+        summary.textContent = timestamps.length
+            ? `${timestamps.length} snapshot${timestamps.length === 1 ? '' : 's'} since ${formatDate(timestamps[0])} · stored in this browser`
+            : 'No snapshots yet. Each data load is recorded in this browser.';
+    }
+    
     // Destroy existing chart
-    if (performanceChart) {
-        performanceChart.destroy();
+    if (historyChart) {
+        historyChart.destroy();
     }
     
-    // Get top 6 teams
-    const topTeams = sortByProperty(standings, 'winPct', false).slice(0, 6);
+    const pct = (value) => value.toFixed(3).replace(/^0(?=\.)/, '');
     
-    performanceChart = new Chart(ctx, {
-        type: 'bar',
+    historyChart = new Chart(ctx, {
+        type: 'line',
         data: {
-            labels: topTeams.map(t => t.name),
-            datasets: [{
-                label: 'Wins',
-                data: topTeams.map(t => t.wins),
-                backgroundColor: 'rgba(37, 99, 235, 0.7)',
-                borderColor: 'rgba(37, 99, 235, 1)',
-                borderWidth: 2
-            }, {
-                label: 'Losses',
-                data: topTeams.map(t => t.losses),
-                backgroundColor: 'rgba(239, 68, 68, 0.7)',
-                borderColor: 'rgba(239, 68, 68, 1)',
-                borderWidth: 2
-            }]
+            labels: timestamps.map(timestamp => new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })),
+            datasets: datasets.map((dataset, i) => ({
+                label: dataset.label,
+                data: dataset.data,
+                borderColor: `rgba(${CHART_COLORS[i % CHART_COLORS.length]}, 1)`,
+                backgroundColor: `rgba(${CHART_COLORS[i % CHART_COLORS.length]}, 0.7)`,
+                borderWidth: 2,
+                pointRadius: 3,
+                spanGaps: true
+            }))
         },
         options: {
             responsive: true,
             maintainAspectRatio: true,
             plugins: {
                 legend: {
-                    position: 'top',
+                    position: 'top'
                 },
-                title: {
-                    display: false
+                tooltip: {
+                    callbacks: {
+                        label: (item) => `${item.dataset.label}: ${metric === 'rank' ? `#${item.raw}` : pct(item.raw)}`
+                    }
                 }
             },
             scales: {
-                y: {
-                    beginAtZero: true
-                }
+                x: {
+                    ticks: {
+                        maxTicksLimit: 8
+                    }
+                },
+                y: metric === 'rank'
+                    ? { reverse: true, min: 1, ticks: { precision: 0 } }
+                    : { ticks: { callback: (value) => pct(value) } }
             }
         }
     });
 };
 
 /**
- * Create scoring distribution chart
- * @param {Array} standings - Team standings data
+ * Create the team comparison chart
+ * Plots each team's league-relative scores (0 = worst team, 100 = best)
+ * @param {Object} comparison - Comparison from compareTeams
+ * @param {string} type - 'radar' or 'bar'
  */
-export const createScoringChart = (standings) => {
-    const ctx = document.getElementById('scoring-chart');
+export const createComparisonChart = (comparison, type) => {
+    const ctx = document.getElementById('compare-chart');
     if (!ctx) return;
     
     // Destroy existing chart
-    if (scoringChart) {
-        scoringChart.destroy();
+    if (comparisonChart) {
+        comparisonChart.destroy();
+    }
+    
+    const { teams, metrics } = comparison;
+    const scale = { min: 0, max: 100, ticks: { stepSize: 25 } };
+    
+    comparisonChart = new Chart(ctx, {
+        type,
+        data: {
+            labels: metrics.map(metric => metric.label),
+            datasets: teams.map((team, i) => ({
+                label: team.name,
+                data: team.scores,
+                backgroundColor: `rgba(${COMPARE_COLORS[i]}, ${type === 'radar' ? 0.15 : 0.7})`,
+                borderColor: `rgba(${COMPARE_COLORS[i]}, 1)`,
+                borderWidth: 2,
+                pointRadius: 3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        // Show the actual value rather than the league-relative score
+                        label: (item) => `${item.dataset.label}: ${teams[item.datasetIndex].display[item.dataIndex]}`
+                    }
+                }
+            },
+            scales: type === 'radar' ? { r: scale } : { y: scale }
+        }
+    });
+};
+
+/**
+ * Describe a head-to-head record
+ * @param {Object} meeting - Meeting from compareTeams ({ team, opponent, record })
+ * @returns {string} Summary (e.g. Lakers lead 2-1, Series tied 1-1)
+ */
+const describeHeadToHead = ({ team, opponent, record }) => {
+    const { wins, losses, otLosses, draws } = record;
+    const opponentWins = losses + otLosses;
+    const score = `${Math.max(wins, opponentWins)}-${Math.min(wins, opponentWins)}${draws ? `-${draws}` : ''}`;
+    
+    if (wins + opponentWins + draws === 0) return 'No meetings yet';
+    if (wins === opponentWins) return `Series tied ${score}`;
+    return `${wins > opponentWins ? team.name : opponent.name} lead ${score}`;
+};
+
+/**
+ * Render the team comparison section
+ * @param {Object} comparison - Comparison from compareTeams
+ * @param {string} leagueId - League identifier
+ * @param {Object} options - Display options
+ * @param {Array} options.teams - Teams that can be added ({ id, name })
+ * @param {string} options.chart - Chart type ('radar' or 'bar')
+ */
+export const renderComparison = (comparison, leagueId, { teams, chart }) => {
+    const addSelect = document.getElementById('compare-add');
+    const toggle = document.getElementById('compare-chart-toggle');
+    const chips = document.getElementById('compare-teams');
+    const empty = document.getElementById('compare-empty');
+    const results = document.getElementById('compare-results');
+    const head = document.getElementById('compare-head');
+    const body = document.getElementById('compare-body');
+    const meetings = document.getElementById('compare-h2h');
+    const { games: gamesTerm } = getTerminology(leagueId);
+    const selected = comparison.teams;
+    const selectedIds = selected.map(team => String(team.id));
+    
+    if (addSelect) {
+        const full = selected.length >= MAX_COMPARED_TEAMS;
+        addSelect.innerHTML = [
+            `<option value="">${full ? `Up to ${MAX_COMPARED_TEAMS} teams` : 'Add a team...'}</option>`,
+            ...[...teams]
+                .filter(team => !selectedIds.includes(String(team.id)))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(team => `<option value="${team.id}">${team.name}</option>`)
+        ].join('');
+        addSelect.value = '';
+        addSelect.disabled = full;
+    }
+    
+    if (toggle) {
+        toggle.innerHTML = COMPARE_CHARTS
+            .map(id => `
+                <button type="button" class="toggle-btn ${id === chart ? 'active' : ''}" data-compare-chart="${id}">
+                    ${id === 'radar' ? 'Radar' : 'Bars'}
+                </button>
+            `)
+            .join('');
+    }
+    
+    if (chips) {
+        chips.innerHTML = selected
+            .map((team, i) => `
+                <span class="compare-chip" style="--team-color: rgb(${COMPARE_COLORS[i]})">
+                    ${team.name}
+                    <button type="button" data-remove-team="${team.id}" aria-label="Remove ${team.name}">&times;</button>
+                </span>
+            `)
+            .join('');
+    }
+    
+    const ready = selected.length >= 2;
+    if (empty) {
+        empty.textContent = selected.length === 1
+            ? 'Add at least one more team to compare.'
+            : 'Add two or more teams to compare them side by side.';
+        empty.classList.toggle('hidden', ready);
+    }
+    if (results) results.classList.toggle('hidden', !ready);
+    
+    if (!ready) {
+        if (comparisonChart) {
+            comparisonChart.destroy();
+            comparisonChart = null;
+        }
+        return;
+    }
+    
+    if (head) {
+        head.innerHTML = ['<th></th>', ...selected.map(team => `<th>${team.name}</th>`)].join('');
     }
     
-    // Get top 6 teams
-    const topTeams = sortByProperty(standings, 'points', false).slice(0, 6);
+    if (body) {
+        const rows = [
+            { label: 'Rank', cells: selected.map(team => ({ value: `#${team.rank}` })) },
+            { label: 'Streak', cells: selected.map(team => ({ value: team.streak })) },
+            ...comparison.metrics.map((metric, i) => ({
+                label: metric.label,
+                cells: selected.map(team => ({ value: team.display[i], best: team.best[i] }))
+            }))
+        ];
+        
+        body.innerHTML = rows
+            .map(row => `
+                <tr>
+                    <th scope="row">${row.label}</th>
+                    ${row.cells.map(cell => `<td class="${cell.best ? 'compare-best' : ''}">${cell.value}</td>`).join('')}
+                </tr>
+            `)
+            .join('');
+    }
+    
+    if (meetings) {
+        meetings.innerHTML = comparison.headToHead
+            .map(meeting => `
+                <div class="compare-meeting">
+                    <div class="compare-meeting-title">${meeting.team.name} vs ${meeting.opponent.name}</div>
+                    <div class="compare-meeting-record">
+                        ${describeHeadToHead(meeting)}${meeting.remaining ? ` · ${meeting.remaining} still to play` : ''}
+                    </div>
+                    <ul>
+                        ${meeting.games.map(game => `
+                            <li>
+                                ${formatDate(game.date)} · ${game.isHome ? 'vs' : '@'} ${game.opponent}:
+                                <span class="result result-${game.result}">${game.result}</span>
+                                ${game.teamScore}-${game.opponentScore}${game.overtime ? ' (OT)' : ''}
+                            </li>
+                        `).join('') || `<li>No ${gamesTerm.toLowerCase()} played</li>`}
+                    </ul>
+                </div>
+            `)
+            .join('');
+    }
     
-    scoringChart = new Chart(ctx, {
+    createComparisonChart(comparison, chart);
+};
+
+/**
+ * Open the team detail panel in its loading state
+ * @param {string} [name='Team'] - Team name, when already known
+ */
+export const showTeamPanel = (name = 'Team') => {
+    const panel = document.getElementById('team-panel');
+    const title = document.getElementById('team-panel-title');
+    const subtitle = document.getElementById('team-panel-subtitle');
+    const summary = document.getElementById('team-summary');
+    const schedule = document.getElementById('team-schedule-body');
+    const history = document.getElementById('team-history-body');
+    
+    if (title) title.textContent = name;
+    if (subtitle) subtitle.textContent = 'Loading...';
+    if (summary) summary.innerHTML = '';
+    if (schedule) schedule.innerHTML = '';
+    if (history) history.innerHTML = '';
+    if (panel) panel.classList.remove('hidden');
+};
+
+/**
+ * Close the team detail panel
+ */
+export const hideTeamPanel = () => {
+    const panel = document.getElementById('team-panel');
+    if (panel) panel.classList.add('hidden');
+    
+    if (teamTrendChart) {
+        teamTrendChart.destroy();
+        teamTrendChart = null;
+    }
+};
+
+/**
+ * Create the team win percentage trend chart
+ * @param {Array} trend - Running win percentage ({ date, winPct })
+ */
+export const createTeamTrendChart = (trend) => {
+    const ctx = document.getElementById('team-trend-chart');
+    if (!ctx) return;
+    
+    // Destroy existing chart
+    if (teamTrendChart) {
+        teamTrendChart.destroy();
+    }
+    
+    teamTrendChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: topTeams.map(t => t.name),
+            labels: trend.map(point => formatDate(point.date)),
             datasets: [{
-                label: 'Total Points',
-                data: topTeams.map(t => t.points),
+                label: 'Win %',
+                data: trend.map(point => point.winPct),
+                borderColor: 'rgba(37, 99, 235, 1)',
+                backgroundColor: 'rgba(37, 99, 235, 0.15)',
                 fill: true,
-                backgroundColor: 'rgba(124, 58, 237, 0.2)',
-                borderColor: 'rgba(124, 58, 237, 1)',
-                borderWidth: 3,
-                tension: 0.4,
-                pointRadius: 5,
-                pointHoverRadius: 7
+                pointRadius: 0,
+                tension: 0.2
             }]
         },
         options: {
@@ -235,34 +1156,444 @@ export const createScoringChart = (standings) => {
             plugins: {
                 legend: {
                     display: false
-                },
-                title: {
-                    display: false
                 }
             },
             scales: {
+                x: {
+                    ticks: {
+                        maxTicksLimit: 8
+                    }
+                },
                 y: {
-                    beginAtZero: true
+                    min: 0,
+                    max: 1,
+                    ticks: {
+                        callback: (value) => value.toFixed(3).replace(/^0(?=\.)/, '')
+                    }
                 }
             }
         }
     });
 };
 
+/**
+ * Render the team detail panel
+ * @param {Object} detail - Team detail data ({ team, summary })
+ * @param {string} leagueId - League identifier
+ */
+export const renderTeamDetail = (detail, leagueId) => {
+    const { team, summary } = detail;
+    const league = getLeague(leagueId);
+    const { score, game: gameTerm } = getTerminology(leagueId);
+    const perGame = `per ${gameTerm.toLowerCase()}`;
+    const title = document.getElementById('team-panel-title');
+    const subtitle = document.getElementById('team-panel-subtitle');
+    const summaryEl = document.getElementById('team-summary');
+    const scheduleBody = document.getElementById('team-schedule-body');
+    
+    if (title) title.textContent = team.name;
+    if (subtitle) {
+        const group = [team.division, team.conference].filter(Boolean).join(' · ');
+        subtitle.textContent = `#${team.rank} in the ${league?.name || leagueId.toUpperCase()}${group ? ` · ${group}` : ''}`;
+    }
+    
+    if (summaryEl) {
+        const cards = [
+            { label: 'Record', value: formatRecord(summary.record, league) },
+            { label: 'Home', value: formatRecord(summary.home, league) },
+            { label: 'Away', value: formatRecord(summary.away, league) },
+            { label: 'Last 10', value: formatRecord(summary.lastTen, league) },
+            { label: `${score} For`, value: summary.pointsFor, note: `${summary.pointsForAvg} ${perGame}` },
+            { label: `${score} Against`, value: summary.pointsAgainst, note: `${summary.pointsAgainstAvg} ${perGame}` },
+            { label: 'Streak', value: team.streak }
+        ];
+        
+        summaryEl.innerHTML = cards
+            .map(card => `
+                <div class="stat-card">
+                    <h3>${card.label}</h3>
+                    <p class="stat-value">${card.value}</p>
+                    ${card.note ? `<span class="stat-label">${card.note}</span>` : ''}
+                </div>
+            `)
+            .join('');
+    }
+    
+    if (scheduleBody) {
+        scheduleBody.innerHTML = summary.schedule
+            .map(game => {
+                const opponent = `${game.isHome ? 'vs' : '@'} ${game.opponent}`;
+                const result = game.result
+                    ? `<span class="result result-${game.result}">${game.result}</span>`
+                    : game.status.toUpperCase();
+                const scoreline = game.result ? `${game.teamScore}-${game.opponentScore}${game.overtime ? ' (OT)' : ''}` : '-';
+                
+                return `
+                    <tr>
+                        <td>${formatDate(game.date)}</td>
+                        <td>${opponent}</td>
+                        <td>${result}</td>
+                        <td>${scoreline}</td>
+                    </tr>
+                `;
+            })
+            .join('');
+    }
+    
+    createTeamTrendChart(summary.trend);
+};
+
+/**
+ * Render a team's record across seasons in the team detail panel
+ * Leagues ranked by points compare table points, the others win percentage
+ * @param {Array} history - Seasons ({ label, type, team, teams }) from fetchTeamHistory
+ * @param {string} leagueId - League identifier
+ */
+export const renderTeamHistory = (history, leagueId) => {
+    const head = document.getElementById('team-history-head');
+    const body = document.getElementById('team-history-body');
+    if (!head || !body) return;
+    
+    const league = getLeague(leagueId);
+    const { columns } = getStandingsSchema(leagueId);
+    const rate = columns.find(column => column.key === 'tablePoints') || columns.find(column => column.key === 'winPct');
+    
+    head.innerHTML = ['Season', 'Record', rate.label, 'Rank', 'Diff']
+        .map(label => `<th>${label}</th>`)
+        .join('');
+    
+    body.innerHTML = history
+        .map(({ label, type, team, teams }) => {
+            if (!team) {
+                const note = type === 'playoff' ? 'Did not qualify' : 'Did not play';
+                return `<tr><td>${label}</td><td colspan="4" class="history-empty">${note}</td></tr>`;
+            }
+            
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${formatRecord(team, league)}</td>
+                    <td>${formatStandingValue(team, rate)}</td>
+                    <td>${team.rank} of ${teams}</td>
+                    <td>${team.pointDiff > 0 ? '+' : ''}${team.pointDiff}</td>
+                </tr>
+            `;
+        })
+        .join('');
+};
+
+/**
+ * Open the player profile panel in its loading state
+ * @param {string} [name='Player'] - Player name, when already known
+ */
+export const showPlayerPanel = (name = 'Player') => {
+    const panel = document.getElementById('player-panel');
+    const title = document.getElementById('player-panel-title');
+    const subtitle = document.getElementById('player-panel-subtitle');
+    const summary = document.getElementById('player-summary');
+    const log = document.getElementById('player-log-body');
+    
+    if (title) title.textContent = name;
+    if (subtitle) subtitle.textContent = 'Loading...';
+    if (summary) summary.innerHTML = '';
+    if (log) log.innerHTML = '';
+    if (panel) panel.classList.remove('hidden');
+};
+
+/**
+ * Close the player profile panel
+ */
+export const hidePlayerPanel = () => {
+    const panel = document.getElementById('player-panel');
+    if (panel) panel.classList.add('hidden');
+};
+
+/**
+ * Render the player profile panel
+ * @param {Object} profile - Player profile ({ player, gamesPlayed, totals, averages, gameLog })
+ * @param {string} leagueId - League identifier
+ */
+export const renderPlayerProfile = (profile, leagueId) => {
+    const { player, gamesPlayed, totals, averages, gameLog } = profile;
+    const statDefs = getPlayerStats(leagueId);
+    const { game: gameTerm } = getTerminology(leagueId);
+    const title = document.getElementById('player-panel-title');
+    const subtitle = document.getElementById('player-panel-subtitle');
+    const summary = document.getElementById('player-summary');
+    const logHead = document.getElementById('player-log-head');
+    const logBody = document.getElementById('player-log-body');
+    
+    if (title) title.textContent = player.name;
+    if (subtitle) {
+        const details = [player.position, player.number !== undefined ? `#${player.number}` : null].filter(Boolean).join(' · ');
+        const team = player.teamId !== null && player.teamId !== undefined
+            ? `<span class="panel-link" data-team-id="${player.teamId}">${player.team}</span>`
+            : player.team || '';
+        subtitle.innerHTML = [team, details].filter(Boolean).join(' · ');
+    }
+    
+    if (summary) {
+        const cards = [
+            { label: `${gameTerm}s Played`, value: gamesPlayed },
+            ...statDefs.map(stat => ({
+                label: stat.label,
+                value: totals[stat.key],
+                note: `${averages[stat.key]} per ${gameTerm.toLowerCase()}`
+            }))
+        ];
+        
+        summary.innerHTML = cards
+            .map(card => `
+                <div class="stat-card">
+                    <h3>${card.label}</h3>
+                    <p class="stat-value">${card.value}</p>
+                    ${card.note ? `<span class="stat-label">${card.note}</span>` : ''}
+                </div>
+            `)
+            .join('');
+    }
+    
+    if (logHead) {
+        logHead.innerHTML = ['Date', 'Opponent', 'Result', ...statDefs.map(stat => stat.label)]
+            .map(label => `<th>${label}</th>`)
+            .join('');
+    }
+    
+    if (logBody) {
+        logBody.innerHTML = gameLog
+            .map(game => {
+                const result = game.result
+                    ? `<span class="result result-${game.result}">${game.result}</span> ${game.teamScore}-${game.opponentScore}`
+                    : '-';
+                
+                return `
+                    <tr>
+                        <td>${formatDate(game.date)}</td>
+                        <td>${game.isHome ? 'vs' : '@'} ${game.opponent}</td>
+                        <td>${result}</td>
+                        ${statDefs.map(stat => `<td>${game.stats[stat.key] ?? '-'}</td>`).join('')}
+                    </tr>
+                `;
+            })
+            .join('');
+    }
+};
+
+/**
+ * Open the alerts drawer
+ */
+export const showAlertsPanel = () => {
+    const panel = document.getElementById('alerts-panel');
+    if (panel) panel.classList.remove('hidden');
+};
+
+/**
+ * Close the alerts drawer
+ */
+export const hideAlertsPanel = () => {
+    const panel = document.getElementById('alerts-panel');
+    if (panel) panel.classList.add('hidden');
+};
+
+/**
+ * Show the alert form fields used by a rule type (streak length, top N)
+ * @param {string} type - Rule type
+ */
+export const updateAlertFormFields = (type) => {
+    document.querySelectorAll('[data-alert-field]').forEach(field => {
+        field.classList.toggle('hidden', field.dataset.alertField !== type);
+    });
+};
+
+/**
+ * Populate the new rule form for a league
+ * @param {string} leagueId - League identifier
+ * @param {Array} standings - Team standings, for the team selector
+ */
+export const renderAlertForm = (leagueId, standings) => {
+    const form = document.getElementById('alert-form');
+    if (!form) return;
+    
+    const type = form.elements.type.value || ALERT_TYPES[0].id;
+    const results = STREAK_RESULTS.filter(result => result.id !== 'D' || getLeague(leagueId)?.allowDraws);
+    
+    form.elements.team.innerHTML = '<option value="">Any team</option>' + [...standings]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(team => `<option value="${escapeHTML(team.id)}">${escapeHTML(team.name)}</option>`)
+        .join('');
+    form.elements.type.innerHTML = ALERT_TYPES
+        .map(option => `<option value="${option.id}" ${option.id === type ? 'selected' : ''}>${option.label}</option>`)
+        .join('');
+    form.elements.result.innerHTML = results
+        .map(result => `<option value="${result.id}">${result.label}</option>`)
+        .join('');
+    form.elements.rank.max = Math.max(standings.length - 1, 1);
+    
+    updateAlertFormFields(type);
+};
+
+/**
+ * Render the alert rules, the notification history, the unread badge and the permission state
+ * @param {Object} alerts - Alerts state
+ * @param {Array} alerts.rules - Rules in every league
+ * @param {Array} alerts.history - Delivered alerts, newest first
+ * @param {string} alerts.permission - Browser notification permission (see getNotificationPermission)
+ */
+export const renderAlerts = ({ rules, history, permission }) => {
+    const rulesList = document.getElementById('alert-rules-list');
+    const historyList = document.getElementById('alert-history-list');
+    const badge = document.getElementById('alerts-badge');
+    const permissionText = document.getElementById('alerts-permission-text');
+    const permissionBtn = document.getElementById('alerts-permission-btn');
+    
+    // Rules and alerts are read back from localStorage, so everything in them is escaped
+    if (rulesList) {
+        rulesList.innerHTML = rules.length
+            ? rules
+                .map(rule => `
+                    <li class="alert-item">
+                        <span><span class="league-badge">${escapeHTML(getLeague(rule.league)?.name || String(rule.league).toUpperCase())}</span> ${escapeHTML(describeAlertRule(rule))}</span>
+                        <button type="button" class="btn-close" data-alert-remove="${escapeHTML(rule.id)}" aria-label="Delete rule: ${escapeHTML(describeAlertRule(rule))}">&times;</button>
+                    </li>
+                `)
+                .join('')
+            : '<li class="alert-empty">No rules yet. Rules are checked each time the dashboard loads new data.</li>';
+    }
+    
+    if (historyList) {
+        historyList.innerHTML = history.length
+            ? history
+                .map(alert => `
+                    <li class="alert-item${alert.read ? '' : ' unread'}">
+                        <div>
+                            <strong>${escapeHTML(alert.title)}</strong>
+                            <p class="stat-label">${escapeHTML(alert.body)}</p>
+                        </div>
+                        <span class="stat-label">${new Date(alert.timestamp).toLocaleString()}</span>
+                    </li>
+                `)
+                .join('')
+            : '<li class="alert-empty">No alerts yet.</li>';
+    }
+    
+    if (badge) {
+        const unread = history.filter(alert => !alert.read).length;
+        badge.textContent = unread > 9 ? '9+' : String(unread);
+        badge.classList.toggle('hidden', unread === 0);
+    }
+    
+    if (permissionText) {
+        permissionText.textContent = {
+            granted: 'Alerts are shown as browser notifications and kept below.',
+            denied: 'Browser notifications are blocked for this site; alerts are shown in the page and kept below.',
+            default: 'Alerts are shown in the page and kept below until browser notifications are enabled.',
+            unsupported: 'This browser does not support notifications; alerts are shown in the page and kept below.'
+        }[permission];
+    }
+    if (permissionBtn) permissionBtn.classList.toggle('hidden', permission !== 'default');
+};
+
+/**
+ * Render typeahead suggestions grouped by type
+ * @param {Object} results - Matches by group ({ teams, players, games })
+ * @param {number} activeIndex - Index of the highlighted suggestion (-1 for none)
+ */
+export const renderSearchSuggestions = (results, activeIndex = -1) => {
+    const list = document.getElementById('search-suggestions');
+    const input = document.getElementById('search-input');
+    if (!list) return;
+    
+    const labels = { teams: 'Teams', players: 'Players', games: 'Games' };
+    let index = 0;
+    
+    const groups = Object.entries(results)
+        .filter(([, matches]) => matches.length > 0)
+        .map(([group, matches]) => `
+            <div class="suggestion-group">${labels[group] || group}</div>
+            ${matches.map(match => {
+                const current = index++;
+                return `
+                    <div id="suggestion-${current}" class="suggestion ${current === activeIndex ? 'active' : ''}" role="option"
+                        aria-selected="${current === activeIndex}" data-index="${current}">
+                        <span>${match.label}</span>
+                        <span class="suggestion-detail">${match.detail}</span>
+                    </div>
+                `;
+            }).join('')}
+        `);
+    
+    list.innerHTML = groups.length ? groups.join('') : '<div class="suggestion-empty">No matches</div>';
+    list.classList.remove('hidden');
+    
+    if (input) {
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-activedescendant', activeIndex >= 0 ? `suggestion-${activeIndex}` : '');
+    }
+    
+    const active = document.getElementById(`suggestion-${activeIndex}`);
+    if (active) active.scrollIntoView({ block: 'nearest' });
+};
+
+/**
+ * Hide the typeahead suggestions
+ */
+export const hideSearchSuggestions = () => {
+    const list = document.getElementById('search-suggestions');
+    const input = document.getElementById('search-input');
+    
+    if (list) list.classList.add('hidden');
+    if (input) {
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+};
+
+/**
+ * Scroll to a game card and highlight it
+ * @param {string|number} gameId - Game identifier
+ */
+export const highlightGame = (gameId) => {
+    document.querySelectorAll('.game-card.highlight').forEach(card => card.classList.remove('highlight'));
+    
+    const card = document.querySelector(`.game-card[data-game-id="${gameId}"]`);
+    if (!card) return;
+    
+    card.classList.add('highlight');
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
 /**
  * Update all UI components
  * @param {Object} data - All dashboard data
+ * @param {Object} options - Display options
+ * @param {string} [options.standingsView='league'] - Standings grouping
+ * @param {Object|null} [options.standingsSort=null] - Standings column sort ({ key, direction })
+ * @param {Array|null} [options.standingsColumns=null] - Visible standings column keys (null for the defaults)
+ * @param {Object} [options.calendar] - Schedule calendar state (see renderSchedule)
+ * @param {Object} [options.comparison] - Team comparison ({ comparison, teams, chart }; see renderComparison)
+ * @param {Array} [options.charts] - Chart definitions shown on the dashboard (see renderDashboardCharts)
+ * @param {Map} [options.movement] - League rank movement by team id (see getRankMovement)
+ * @param {Object} [options.history] - Standings history ({ series, metric }; see renderStandingsHistory)
+ * @param {Set<string>} [options.favorites] - Favorite team ids in this league
  */
-export const updateUI = (data) => {
-    const { stats, standings, games } = data;
+export const updateUI = (data, { standingsView = 'league', standingsSort = null, standingsColumns = null, calendar, comparison, charts, movement, history, favorites } = {}) => {
+    const { stats, standings, games, schedule, league } = data;
     
-    if (stats) updateDashboardStats(stats);
+    applyTerminology(league);
+    if (stats) updateDashboardStats(stats, league);
     if (standings) {
-        renderStandings(standings);
-        createPerformanceChart(standings);
-        createScoringChart(standings);
+        const views = getStandingsViews(standings, league);
+        const view = views.some(option => option.id === standingsView) ? standingsView : 'league';
+        
+        renderStandingsViewToggle(views, view);
+        renderStandingsColumnPicker(league, standingsColumns);
+        renderStandings(standings, league, view, standingsSort, standingsColumns, movement, favorites);
+        if (charts) renderDashboardCharts(charts, data, league);
+        if (history) renderStandingsHistory(history);
     }
-    if (games) renderGames(games);
+    if (games) renderGames(games, league, favorites);
+    if (schedule && calendar) renderSchedule(schedule, league, calendar);
+    if (comparison) renderComparison(comparison.comparison, league, comparison);
 };
 
 /**
@@ -300,11 +1631,45 @@ export default {
     hideLoading,
     showError,
     hideError,
+    renderDataSource,
+    renderOfflineBanner,
     updateDashboardStats,
+    renderMyTeams,
+    renderSportOptions,
+    applyTerminology,
+    renderLeagueOptions,
+    renderSeasonOptions,
+    renderStandingsViewToggle,
+    renderStandingsColumnPicker,
+    renderExportMenus,
+    renderMovementOptions,
     renderStandings,
+    renderStandingsHistory,
     renderGames,
-    createPerformanceChart,
-    createScoringChart,
+    updateGameCards,
+    renderSchedule,
+    showTeamPanel,
+    hideTeamPanel,
+    createTeamTrendChart,
+    renderTeamDetail,
+    renderTeamHistory,
+    showPlayerPanel,
+    hidePlayerPanel,
+    renderPlayerProfile,
+    showAlertsPanel,
+    hideAlertsPanel,
+    updateAlertFormFields,
+    renderAlertForm,
+    renderAlerts,
+    renderSearchSuggestions,
+    hideSearchSuggestions,
+    highlightGame,
+    renderChartBuilder,
+    hideChartBuilder,
+    renderDashboardCharts,
+    downloadChartImage,
+    createComparisonChart,
+    renderComparison,
     updateUI,
     showNotification
 };
@@ -0,0 +1,139 @@
+/**
+ * URL state
+ * Serializes the shareable parts of the dashboard state to the query string and
+ * hash, so a link like ?league=nfl&q=chiefs#standings reopens the same view
+ *
+ * Query parameters:
+ * - sport, league: selection
+ * - season: season identifier (omitted for the current season)
+ * - q: search term
+ * - view: standings grouping (omitted for the default 'league')
+ * - sort: standings column, prefixed with '-' for descending (e.g. -wins)
+ * - team: team shown in the detail panel
+ * - player: player shown in the profile panel
+ * - calendar: schedule view (omitted for the default 'week')
+ * - date: day shown in the schedule (YYYY-MM-DD, omitted for today)
+ * - calendarTeam: team the schedule is filtered to
+ * - compare: teams being compared, comma separated (e.g. 3,7)
+ * - compareChart: comparison chart (omitted for the default 'radar')
+ * The hash names the dashboard section to show (e.g. #games)
+ */
+
+/**
+ * Parse a sort parameter
+ * @param {string|null} value - Sort parameter (e.g. 'wins' or '-wins')
+ * @returns {Object|null} Sort ({ key, direction }) or null when unset
+ */
+export const parseSort = (value) => {
+    if (!value) return null;
+
+    return value.startsWith('-')
+        ? { key: value.slice(1), direction: 'desc' }
+        : { key: value, direction: 'asc' };
+};
+
+/**
+ * Format a sort for the URL
+ * @param {Object|null} sort - Sort ({ key, direction })
+ * @returns {string|null} Sort parameter or null when unset
+ */
+export const formatSort = (sort) => {
+    if (!sort?.key) return null;
+    return sort.direction === 'desc' ? `-${sort.key}` : sort.key;
+};
+
+/**
+ * Decode the section named by a hash
+ * @param {string} hash - Location hash (e.g. '#games')
+ * @returns {string|null} Section, or null without one; malformed escapes (e.g. '#%') are kept as typed
+ */
+const parseSection = (hash) => {
+    const section = hash.slice(1);
+
+    try {
+        return decodeURIComponent(section) || null;
+    } catch (error) {
+        return section || null;
+    }
+};
+
+/**
+ * Read dashboard state from a location
+ * Values are returned as found; callers validate them against the catalog
+ * @param {Location|URL} location - Location to read (defaults to the current page)
+ * @returns {Object} State ({ sport, league, season, query, view, sort, team, player, calendar, date, calendarTeam, compare, compareChart, section })
+ */
+export const readURLState = (location = window.location) => {
+    const params = new URLSearchParams(location.search);
+
+    return {
+        sport: params.get('sport'),
+        league: params.get('league'),
+        season: params.get('season'),
+        query: params.get('q') || '',
+        view: params.get('view') || 'league',
+        sort: parseSort(params.get('sort')),
+        team: params.get('team'),
+        player: params.get('player'),
+        calendar: params.get('calendar') || 'week',
+        date: params.get('date'),
+        calendarTeam: params.get('calendarTeam'),
+        compare: (params.get('compare') || '').split(',').filter(Boolean),
+        compareChart: params.get('compareChart') || 'radar',
+        section: parseSection(location.hash)
+    };
+};
+
+/**
+ * Build the URL for a dashboard state
+ * @param {Object} urlState - State ({ sport, league, season, query, view, sort, team, player, calendar, date, calendarTeam, compare, compareChart, section })
+ * @param {Location|URL} location - Location to build from (defaults to the current page)
+ * @returns {string} Relative URL (path, query and hash)
+ */
+export const buildURL = ({ sport, league, season, query, view, sort, team, player, calendar, date, calendarTeam, compare, compareChart, section }, location = window.location) => {
+    const params = new URLSearchParams();
+
+    if (sport) params.set('sport', sport);
+    if (league) params.set('league', league);
+    if (season) params.set('season', season);
+    if (query) params.set('q', query);
+    if (view && view !== 'league') params.set('view', view);
+    if (formatSort(sort)) params.set('sort', formatSort(sort));
+    if (team !== undefined && team !== null) params.set('team', team);
+    if (player !== undefined && player !== null) params.set('player', player);
+    if (calendar && calendar !== 'week') params.set('calendar', calendar);
+    if (date) params.set('date', date);
+    if (calendarTeam !== undefined && calendarTeam !== null) params.set('calendarTeam', calendarTeam);
+    if (compare?.length) params.set('compare', compare.join(','));
+    if (compareChart && compareChart !== 'radar') params.set('compareChart', compareChart);
+
+    const search = params.toString();
+    return `${location.pathname}${search ? `?${search}` : ''}${section ? `#${encodeURIComponent(section)}` : ''}`;
+};
+
+/**
+ * Write dashboard state to the URL
+ * @param {Object} urlState - State (see buildURL)
+ * @param {Object} options - Options
+ * @param {boolean} [options.push=false] - Add a history entry instead of replacing the current one
+ */
+export const writeURLState = (urlState, { push = false } = {}) => {
+    const url = buildURL(urlState);
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    if (url === current) return;
+
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+};
+
+export default {
+    parseSort,
+    formatSort,
+    readURLState,
+    buildURL,
+    writeURLState
+};
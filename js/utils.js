@@ -37,6 +37,8 @@ export const calculateAverage = (numbers) => {
 
 /**
  * Sort array of objects by property
+ * The sort is stable: items with equal values keep their original order, and
+ * items missing the property sort last in either direction
  * @param {Array} array - Array to sort
  * @param {string} property - Property to sort by
  * @param {boolean} ascending - Sort direction
@@ -47,11 +49,12 @@ export const sortByProperty = (array, property, ascending = true) => {
         const aVal = a[property];
         const bVal = b[property];
         
-        if (ascending) {
-            return aVal > bVal ? 1 : -1;
-        } else {
-            return aVal < bVal ? 1 : -1;
-        }
+        if (aVal === bVal) return 0;
+        if (aVal === undefined || aVal === null) return 1;
+        if (bVal === undefined || bVal === null) return -1;
+        
+        const order = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
+        return ascending ? order : -order;
     });
 };
 
@@ -91,6 +94,13 @@ export const debounce = (func, wait = 300) => {
     };
 };
 
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise} Promise that resolves after delay
+ */
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Get random integer between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -112,6 +122,44 @@ export const getRandomElement = (array) => {
     return array[Math.floor(Math.random() * array.length)];
 };
 
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} Hash value
+ */
+export const hashString = (str) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {number|string} seed - Numeric seed, or a string that is hashed into one
+ * @returns {Object} Generator with random(), int(min, max) and element(array)
+ */
+export const createSeededRandom = (seed) => {
+    let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        random,
+        int: (min, max) => Math.floor(random() * (max - min + 1)) + min,
+        element: (array) => array[Math.floor(random() * array.length)]
+    };
+};
+
 /**
  * Format date to readable string
  * @param {Date|string} date - Date to format
@@ -146,6 +194,19 @@ export const truncateString = (str, maxLength = 50) => {
     return str.slice(0, maxLength - 3) + '...';
 };
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {*} value - Text (other values are converted to strings)
+ * @returns {string} Escaped text
+ */
+export const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[char]);
+
 /**
  * Deep clone an object
  * @param {Object} obj - Object to clone
@@ -163,6 +224,24 @@ export const generateId = () => {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Download text or binary data as a file
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
 export default {
     calculateWinPercentage,
     formatNumber,
@@ -170,11 +249,16 @@ export default {
     sortByProperty,
     filterBySearch,
     debounce,
+    delay,
     getRandomInt,
     getRandomElement,
+    hashString,
+    createSeededRandom,
     formatDate,
     isValidNumber,
     truncateString,
+    escapeHTML,
     deepClone,
-    generateId
+    generateId,
+    downloadFile
 };
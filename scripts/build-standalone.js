@@ -0,0 +1,156 @@
+/**
+ * Standalone build
+ * Writes index-standalone.html: index.html with the stylesheet and every module
+ * reachable from js/app.js inlined, so the full dashboard runs from file://
+ * (where browsers refuse to load ES modules). Modules are wrapped in functions
+ * and evaluated in dependency order; imports and exports are rewritten to read
+ * from and fill a module table. Only Chart.js still loads from its CDN.
+ *
+ * Usage: npm run build:standalone
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, posix, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const ENTRY = 'js/app.js';
+const OUTPUT = 'index-standalone.html';
+
+// The only import and export forms the modules use (see js/)
+const IMPORT_PATTERN = /^import\s*\{([^}]*)\}\s*from\s*'([^']+)';?[ \t]*$/gm;
+const EXPORT_PATTERN = /^export (const|class) (\w+)/gm;
+const DEFAULT_EXPORT_PATTERN = /^export default /m;
+
+/**
+ * Read a file relative to the project root
+ * @param {string} path - Project-relative path
+ * @returns {string} File contents
+ */
+const read = (path) => readFileSync(join(ROOT, path), 'utf8');
+
+/**
+ * Rewrite an import list for destructuring (`a as b` becomes `a: b`)
+ * @param {string} names - Names between the import braces
+ * @returns {string} Destructuring pattern contents
+ */
+const toPattern = (names) => names
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => name.replace(/\s+as\s+/, ': '))
+    .join(', ');
+
+/**
+ * Turn one ES module into a function that returns its exports
+ * @param {string} path - Project-relative module path
+ * @param {string} source - Module source
+ * @returns {Object} Module ({ path, dependencies, code })
+ */
+const transformModule = (path, source) => {
+    const dependencies = [];
+    const exported = [];
+
+    let code = source.replace(IMPORT_PATTERN, (_, names, specifier) => {
+        const dependency = posix.join(posix.dirname(path), specifier);
+        dependencies.push(dependency);
+        return `const { ${toPattern(names)} } = modules['${dependency}'];`;
+    });
+
+    code = code.replace(EXPORT_PATTERN, (_, kind, name) => {
+        exported.push(name);
+        return `${kind} ${name}`;
+    });
+
+    if (DEFAULT_EXPORT_PATTERN.test(code)) {
+        code = code.replace(DEFAULT_EXPORT_PATTERN, 'const defaultExport = ');
+        exported.push('default: defaultExport');
+    }
+
+    if (/^(import|export)\b/m.test(code)) {
+        throw new Error(`${path}: unsupported import or export syntax`);
+    }
+
+    return {
+        path,
+        dependencies,
+        code: `// ${path}\nmodules['${path}'] = (() => {\n${code.trim()}\n\nreturn { ${exported.join(', ')} };\n})();`
+    };
+};
+
+/**
+ * Collect the modules reachable from the entry, dependencies first
+ * @param {string} entry - Project-relative entry module
+ * @returns {Array} Modules in evaluation order
+ */
+const collectModules = (entry) => {
+    const ordered = [];
+    const visiting = new Set();
+    const done = new Set();
+
+    const visit = (path, from) => {
+        if (done.has(path)) return;
+        if (visiting.has(path)) {
+            // Wrapped modules cannot see each other's bindings before they run
+            throw new Error(`Import cycle between ${from} and ${path}`);
+        }
+
+        visiting.add(path);
+        const module = transformModule(path, read(path));
+        module.dependencies.forEach(dependency => visit(dependency, path));
+        visiting.delete(path);
+        done.add(path);
+        ordered.push(module);
+    };
+
+    visit(entry, entry);
+    return ordered;
+};
+
+/**
+ * Replace one exact snippet of the page, failing loudly if index.html changed shape
+ * @param {string} html - Page
+ * @param {RegExp} pattern - What to replace
+ * @param {string} replacement - Replacement
+ * @returns {string} Page
+ */
+const replaceOnce = (html, pattern, replacement) => {
+    if (!pattern.test(html)) throw new Error(`index.html: ${pattern} not found`);
+    return html.replace(pattern, () => replacement);
+};
+
+/**
+ * Build the standalone page
+ * @returns {Object} Build summary ({ modules, bytes })
+ */
+const build = () => {
+    const modules = collectModules(ENTRY);
+    const bundle = [
+        "'use strict';",
+        'const modules = {};',
+        ...modules.map(module => module.code)
+    ].join('\n\n');
+
+    if (bundle.includes('<!--')) throw new Error('The bundle contains "<!--", which breaks inline scripts');
+
+    const icon = `data:image/svg+xml,${encodeURIComponent(read('assets/icons/icon.svg').trim())}`;
+    let html = read('index.html');
+
+    html = replaceOnce(html, /<!DOCTYPE html>\n/i, `<!DOCTYPE html>\n<!-- Generated by scripts/build-standalone.js from index.html; edit the sources and rebuild -->\n`);
+    // No service worker or install prompt from file://
+    html = replaceOnce(html, /[ \t]*<link rel="manifest"[^>]*>\n/, '');
+    html = replaceOnce(html, /[ \t]*<link rel="apple-touch-icon"[^>]*>\n/, '');
+    html = replaceOnce(html, /(<link rel="icon" href=")[^"]*(")/, `$1${icon}$2`);
+    html = replaceOnce(html, /[ \t]*<link rel="stylesheet" href="css\/styles.css">/, `    <style>\n${read('css/styles.css').trim()}\n    </style>`);
+    html = replaceOnce(
+        html,
+        /[ \t]*<!-- JavaScript Files -->\n(?:[ \t]*<script type="module" src="[^"]*"><\/script>\n)+/,
+        `    <!-- Dashboard modules, inlined by scripts/build-standalone.js -->\n    <script>\n(() => {\n${bundle.replace(/<\/script/gi, '<\\/script')}\n})();\n    </script>\n`
+    );
+
+    writeFileSync(join(ROOT, OUTPUT), html);
+    return { modules: modules.length, bytes: Buffer.byteLength(html) };
+};
+
+const { modules, bytes } = build();
+console.log(`Wrote ${OUTPUT}: ${modules} modules, ${(bytes / 1024).toFixed(0)} KB`);
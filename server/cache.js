@@ -0,0 +1,70 @@
+/**
+ * Server-side response cache
+ * Keeps upstream responses in memory for a per-endpoint time-to-live, so every
+ * browser behind the proxy shares one upstream request per feed. Concurrent
+ * misses for the same key share a single in-flight request
+ */
+
+/**
+ * Create an in-memory response cache
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxEntries=500] - Entries kept; the oldest are dropped first
+ * @returns {Object} Cache ({ load, clear, size })
+ */
+export const createResponseCache = ({ maxEntries = 500 } = {}) => {
+    const entries = new Map();
+    const pending = new Map();
+
+    /**
+     * Store a value, dropping the oldest entries beyond the limit
+     * @param {string} key - Cache key
+     * @param {*} value - Value
+     * @param {number} ttl - Time-to-live in milliseconds
+     */
+    const store = (key, value, ttl) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    /**
+     * Get a cached value, loading and storing it on a miss
+     * Failed loads are not cached
+     * @param {string} key - Cache key
+     * @param {number} ttl - Time-to-live in milliseconds (0 skips the cache)
+     * @param {Function} loader - Async function returning the value
+     * @returns {Promise<Object>} Promise resolving to { value, hit }
+     */
+    const load = async (key, ttl, loader) => {
+        const entry = entries.get(key);
+
+        if (entry && entry.expiresAt > Date.now()) {
+            return { value: entry.value, hit: true };
+        }
+
+        if (!pending.has(key)) {
+            pending.set(key, (async () => {
+                try {
+                    const value = await loader();
+                    if (ttl > 0) store(key, value, ttl);
+                    return value;
+                } finally {
+                    pending.delete(key);
+                }
+            })());
+        }
+
+        return { value: await pending.get(key), hit: false };
+    };
+
+    return {
+        load,
+        clear: () => entries.clear(),
+        size: () => entries.size
+    };
+};
+
+export default createResponseCache;
@@ -0,0 +1,80 @@
+/**
+ * Dashboard server
+ * Serves the dashboard and proxies /api/<league>/<endpoint> to MySportsFeeds,
+ * keeping the API key on the server (select the 'proxy' provider in
+ * js/config-public.js to use it). No dependencies beyond Node 18+.
+ *
+ * Usage: npm start            (MYSPORTSFEEDS_API_KEY=... for live data)
+ *        npm run start:mock   (simulated MySportsFeeds, no key or network needed)
+ *
+ * Environment:
+ *   PORT                    Port to listen on (default 8000)
+ *   HOST                    Interface to listen on (default localhost; 0.0.0.0 for the local network)
+ *   MYSPORTSFEEDS_API_KEY   MySportsFeeds API key
+ *   MOCK_UPSTREAM=1         Same as --mock
+ *   RATE_LIMIT              API requests per minute per client (default 120, 0 for no limit)
+ */
+
+import { createServer } from 'node:http';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { API_CONFIG } from '../js/config-public.js';
+import { createResponseCache } from './cache.js';
+import { createRateLimiter } from './rate-limit.js';
+import { createMySportsFeedsUpstream } from './upstream.js';
+import { createMockUpstream } from './mock-upstream.js';
+import { createProxyHandler, sendJSON } from './proxy.js';
+import { serveStatic } from './static.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 8000;
+const HOST = process.env.HOST || 'localhost';
+const RATE_LIMIT = process.env.RATE_LIMIT === undefined ? 120 : Number(process.env.RATE_LIMIT);
+
+const mock = process.argv.includes('--mock') || process.env.MOCK_UPSTREAM === '1';
+const apiKey = process.env.MYSPORTSFEEDS_API_KEY;
+
+/**
+ * Pick the upstream from the command line and environment
+ * @returns {Object|null} Upstream, or null without a key (the proxy then answers 503)
+ */
+const createUpstream = () => {
+    if (mock) return createMockUpstream(API_CONFIG.MOCK);
+    if (!apiKey) return null;
+
+    return createMySportsFeedsUpstream({
+        apiKey,
+        baseUrl: API_CONFIG.MYSPORTSFEEDS.BASE_URL,
+        timeout: API_CONFIG.SETTINGS?.timeout
+    });
+};
+
+const upstream = createUpstream();
+const handleApiRequest = createProxyHandler({
+    upstream,
+    cache: createResponseCache(),
+    limiter: createRateLimiter({ limit: RATE_LIMIT })
+});
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+    try {
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            await handleApiRequest(request, response, url);
+        } else {
+            await serveStatic(ROOT, request, response, url);
+        }
+    } catch (error) {
+        console.error(`Error serving ${url.pathname}:`, error);
+        if (!response.headersSent) sendJSON(response, 500, { error: 'Internal server error' });
+        else response.end();
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Sports Stats Dashboard on http://${HOST}:${PORT}`);
+    console.log(upstream
+        ? `Proxying /api to ${upstream.name}${RATE_LIMIT ? ` (${RATE_LIMIT} requests per minute per client)` : ''}`
+        : 'No MYSPORTSFEEDS_API_KEY set: /api answers 503 (start with --mock for simulated data)');
+});
@@ -0,0 +1,172 @@
+/**
+ * Mock upstream
+ * Answers feed requests with MySportsFeeds-shaped payloads built from the
+ * seeded season simulation (see js/providers/mock.js), so the proxy and the
+ * browser's MySportsFeeds mapping can be run and tested without an API key or
+ * a network connection
+ */
+
+import { createMockProvider } from '../js/providers/mock.js';
+import { PLAYER_STAT_PATHS } from '../js/providers/mysportsfeeds.js';
+import { getLeague, getGameClock } from '../js/leagues.js';
+
+// Feed field names for periods and the period in progress, by sport
+const PERIOD_FIELDS = {
+    basketball: { list: 'quarters', current: 'currentQuarter', seconds: 'currentQuarterSecondsRemaining' },
+    football: { list: 'quarters', current: 'currentQuarter', seconds: 'currentQuarterSecondsRemaining' },
+    baseball: { list: 'innings', current: 'currentInning', seconds: null },
+    hockey: { list: 'periods', current: 'currentPeriod', seconds: 'currentPeriodSecondsRemaining' }
+};
+
+const PLAYED_STATUS = {
+    final: 'COMPLETED',
+    live: 'LIVE',
+    scheduled: 'UNPLAYED'
+};
+
+/**
+ * Map a dashboard game to the games feed format
+ * @param {Object} game - Game
+ * @param {string} league - League identifier
+ * @returns {Object} Feed game ({ schedule, score })
+ */
+const toFeedGame = (game, league) => {
+    const fields = PERIOD_FIELDS[getLeague(league).sport] || PERIOD_FIELDS.hockey;
+    const regulation = getGameClock(league).periods;
+    const played = game.status === 'final' ? regulation + (game.overtime ? 1 : 0) : game.period || 0;
+    const score = {
+        homeScoreTotal: game.homeScore,
+        awayScoreTotal: game.awayScore,
+        [fields.list]: Array.from({ length: played }, (_, index) => ({ [fields.list === 'innings' ? 'inningNumber' : 'periodNumber']: index + 1 }))
+    };
+
+    if (game.status === 'live') {
+        score[fields.current] = game.period;
+        if (fields.seconds) score[fields.seconds] = game.clock;
+        if (game.half) score.currentInningHalf = game.half.toUpperCase();
+    }
+
+    return {
+        schedule: {
+            id: game.id,
+            startTime: game.date,
+            homeTeam: { id: game.homeTeamId, abbreviation: game.homeTeam },
+            awayTeam: { id: game.awayTeamId, abbreviation: game.awayTeam },
+            playedStatus: PLAYED_STATUS[game.status]
+        },
+        score: game.status === 'scheduled' ? null : score
+    };
+};
+
+/**
+ * Map dashboard player stats to a feed stats object
+ * Stats summed from several fields are reported in the first one
+ * @param {Object} line - Stat line ({ [key]: value })
+ * @param {string} league - League identifier
+ * @returns {Object} Feed stats
+ */
+const toFeedStats = (line = {}, league) => {
+    const stats = {};
+
+    Object.entries(PLAYER_STAT_PATHS[getLeague(league).sport] || {}).forEach(([key, [field]]) => {
+        const [group, name] = field.split('.');
+        stats[group] = { ...stats[group], [name]: line[key] || 0 };
+    });
+
+    return stats;
+};
+
+/**
+ * Map a dashboard player to the player feeds format
+ * @param {Object} player - Player ({ id, name, position, number })
+ * @returns {Object} Feed player
+ */
+const toFeedPlayer = ({ id, name, position, number }) => {
+    const [firstName, ...lastName] = name.split(' ');
+    return { id, firstName, lastName: lastName.join(' '), primaryPosition: position, jerseyNumber: number };
+};
+
+/**
+ * Create the mock upstream
+ * @param {Object} config - API_CONFIG.MOCK section ({ SEED, AS_OF, SEASON_PROGRESS })
+ * @returns {Object} Upstream ({ name, fetchFeed })
+ */
+export const createMockUpstream = (config = {}) => {
+    const provider = createMockProvider(config);
+
+    const feeds = {
+        standings: async (league, season) => ({
+            standings: (await provider.fetchStandings(league, season)).map(team => ({
+                team: { id: team.id, abbreviation: team.name, city: team.name },
+                conferenceRank: team.conference ? { conferenceName: team.conference } : null,
+                divisionRank: team.division ? { divisionName: team.division } : null,
+                stats: {
+                    gamesPlayed: team.gamesPlayed,
+                    wins: team.wins,
+                    losses: team.losses,
+                    ties: team.draws,
+                    overtimeLosses: team.otLosses,
+                    pointsFor: team.pointsFor,
+                    pointsAgainst: team.pointsAgainst,
+                    streak: team.streak
+                }
+            }))
+        }),
+
+        games: async (league, season, { date, team }) => {
+            const games = team ? await provider.fetchTeamSchedule(team, league, season)
+                : date ? await provider.fetchLiveGames(league, season)
+                : await provider.fetchSchedule(league, season);
+
+            return { games: games.map(game => toFeedGame(game, league)) };
+        },
+
+        player_stats_totals: async (league, season, { player }) => {
+            const players = (await provider.fetchPlayers(league, season))
+                .filter(entry => !player || String(entry.id) === String(player));
+
+            return {
+                playerStatsTotals: players.map(entry => ({
+                    player: toFeedPlayer(entry),
+                    team: { id: entry.teamId, abbreviation: entry.team },
+                    stats: { gamesPlayed: entry.gamesPlayed, ...toFeedStats(entry.totals, league) }
+                }))
+            };
+        },
+
+        player_gamelogs: async (league, season, { player }) => {
+            const profile = await provider.fetchPlayerProfile(player, league, season).catch(() => null);
+            if (!profile) return { gamelogs: [] };
+
+            const team = { id: profile.player.teamId, abbreviation: profile.player.team };
+
+            return {
+                gamelogs: profile.gameLog.map(game => ({
+                    game: {
+                        id: game.id,
+                        startTime: game.date,
+                        homeTeamAbbreviation: game.homeTeam,
+                        awayTeamAbbreviation: game.awayTeam
+                    },
+                    player: toFeedPlayer(profile.player),
+                    team,
+                    stats: toFeedStats(game.stats, league)
+                }))
+            };
+        }
+    };
+
+    /**
+     * Build a feed
+     * @param {string} league - League identifier
+     * @param {string|null} season - Season identifier (null for the league's current season)
+     * @param {string} endpoint - Feed name (standings, games, player_stats_totals, player_gamelogs)
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Feed payload
+     */
+    const fetchFeed = (league, season, endpoint, params) => feeds[endpoint](league, season, params);
+
+    return { name: 'Mock', fetchFeed };
+};
+
+export default createMockUpstream;
@@ -0,0 +1,142 @@
+/**
+ * Data proxy
+ * Answers GET /api/<league>/<endpoint> from the upstream (MySportsFeeds or the
+ * mock), adding the credentials server-side, caching responses and rate
+ * limiting each client. Only the feeds and parameters the dashboard uses are
+ * forwarded, so the proxy cannot be used to reach the rest of the API
+ */
+
+import { getLeague } from '../js/leagues.js';
+import { ERROR_TYPES } from '../js/http.js';
+
+const ROUTE_PATTERN = /^\/api\/([a-z0-9]+)\/([a-z_]+)$/;
+const SEASON_PATTERN = /^[a-z0-9-]+$/i;
+
+// Feeds the dashboard requests and the parameters each one takes
+const ENDPOINTS = {
+    standings: [],
+    games: ['date', 'team'],
+    player_stats_totals: ['player'],
+    player_gamelogs: ['player']
+};
+
+// Time-to-live per feed in milliseconds (matching API_CONFIG.CACHE.TTL in the browser)
+const CACHE_TTL = {
+    standings: 5 * 60 * 1000,
+    games: 60 * 1000,
+    live: 10 * 1000,
+    player_stats_totals: 60 * 60 * 1000,
+    player_gamelogs: 5 * 60 * 1000
+};
+
+// Statuses for upstream failures without an HTTP status of their own
+const ERROR_STATUS = {
+    [ERROR_TYPES.TIMEOUT]: 504,
+    [ERROR_TYPES.NETWORK]: 502,
+    [ERROR_TYPES.SCHEMA]: 502
+};
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Body
+ * @param {Object} [headers] - Extra headers
+ */
+export const sendJSON = (response, status, body, headers = {}) => {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // The browser keeps its own response cache (js/cache.js)
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(JSON.stringify(body));
+};
+
+/**
+ * Pick the time-to-live for a feed request
+ * @param {string} endpoint - Feed name
+ * @param {Object} params - Query parameters
+ * @returns {number} Time-to-live in milliseconds
+ */
+const getTTL = (endpoint, params) => (endpoint === 'games' && params.date ? CACHE_TTL.live : CACHE_TTL[endpoint]);
+
+/**
+ * Parse and validate a proxy request
+ * @param {URL} url - Request URL
+ * @returns {Object} Request ({ league, endpoint, season, params }) or ({ status, error })
+ */
+const parseRequest = (url) => {
+    const match = ROUTE_PATTERN.exec(url.pathname);
+    if (!match) return { status: 404, error: 'Use /api/<league>/<endpoint>' };
+
+    const [, league, endpoint] = match;
+    if (!getLeague(league)?.apiSlug) return { status: 404, error: `Unknown league "${league}"` };
+    // Own properties only, so /api/nba/__proto__ or /api/nba/constructor is an unknown endpoint
+    if (!Object.hasOwn(ENDPOINTS, endpoint)) return { status: 404, error: `Unknown endpoint "${endpoint}"` };
+
+    const season = url.searchParams.get('season');
+    if (season && !SEASON_PATTERN.test(season)) return { status: 400, error: `Invalid season "${season}"` };
+
+    const params = Object.fromEntries(ENDPOINTS[endpoint]
+        .filter(name => url.searchParams.has(name))
+        .map(name => [name, url.searchParams.get(name)]));
+
+    return { league, endpoint, season: season || null, params };
+};
+
+/**
+ * Create the proxy request handler
+ * @param {Object} options - Proxy options
+ * @param {Object|null} options.upstream - Upstream ({ name, fetchFeed }), or null when none is configured
+ * @param {Object} options.cache - Response cache (see cache.js)
+ * @param {Object} options.limiter - Rate limiter (see rate-limit.js)
+ * @returns {Function} Handler (request, response, url) resolving once the response is sent
+ */
+export const createProxyHandler = ({ upstream, cache, limiter }) => async (request, response, url) => {
+    const decision = limiter.take(request.socket.remoteAddress);
+    const limitHeaders = limiter.limit ? { 'X-RateLimit-Limit': limiter.limit, 'X-RateLimit-Remaining': decision.remaining } : {};
+
+    if (!decision.allowed) {
+        sendJSON(response, 429, { error: 'Too many requests' }, {
+            ...limitHeaders,
+            'Retry-After': Math.ceil(decision.retryAfter / 1000)
+        });
+        return;
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        sendJSON(response, 405, { error: 'Only GET is supported' }, { ...limitHeaders, Allow: 'GET, HEAD' });
+        return;
+    }
+
+    const parsed = parseRequest(url);
+    if (parsed.error) {
+        sendJSON(response, parsed.status, { error: parsed.error }, limitHeaders);
+        return;
+    }
+
+    if (!upstream) {
+        sendJSON(response, 503, { error: 'No MySportsFeeds API key: set MYSPORTSFEEDS_API_KEY or start the server with --mock' }, limitHeaders);
+        return;
+    }
+
+    const { league, endpoint, season, params } = parsed;
+    const query = new URLSearchParams(Object.entries(params).sort()).toString();
+    const key = `${league}/${season || 'current'}/${endpoint}?${query}`;
+
+    try {
+        const { value, hit } = await cache.load(key, getTTL(endpoint, params), () => upstream.fetchFeed(league, season, endpoint, params));
+        sendJSON(response, 200, value, { ...limitHeaders, 'X-Cache': hit ? 'HIT' : 'MISS' });
+    } catch (error) {
+        console.error(`${upstream.name} error for ${key}:`, error.message);
+
+        const headers = { ...limitHeaders };
+        if (error.retryAfter) headers['Retry-After'] = Math.ceil(error.retryAfter / 1000);
+
+        // Upstream statuses are passed on so the browser can tell a bad key (401/403) from an outage
+        sendJSON(response, error.status || ERROR_STATUS[error.type] || 502, { error: error.message }, headers);
+    }
+};
+
+export default createProxyHandler;
@@ -0,0 +1,59 @@
+/**
+ * Rate limiting
+ * Fixed-window request counting per client, so one browser (or script) cannot
+ * spend the API key's upstream quota for everyone
+ */
+
+// Stale windows are swept once this many clients are tracked
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options] - Limiter options
+ * @param {number} [options.limit=120] - Requests allowed per window (0 disables limiting)
+ * @param {number} [options.windowMs=60000] - Window length in milliseconds
+ * @returns {Object} Limiter ({ limit, take })
+ */
+export const createRateLimiter = ({ limit = 120, windowMs = 60 * 1000 } = {}) => {
+    const windows = new Map();
+
+    /**
+     * Drop windows that have ended
+     * @param {number} now - Current time
+     */
+    const sweep = (now) => {
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) windows.delete(key);
+        });
+    };
+
+    /**
+     * Count a request from a client
+     * @param {string} key - Client identifier (e.g. its IP address)
+     * @returns {Object} Decision ({ allowed, remaining, retryAfter }); retryAfter is in milliseconds
+     */
+    const take = (key) => {
+        if (!limit) return { allowed: true, remaining: Infinity, retryAfter: 0 };
+
+        const now = Date.now();
+        if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        window.count++;
+
+        return {
+            allowed: window.count <= limit,
+            remaining: Math.max(0, limit - window.count),
+            retryAfter: window.resetAt - now
+        };
+    };
+
+    return { limit, take };
+};
+
+export default createRateLimiter;
@@ -0,0 +1,84 @@
+/**
+ * Static file serving
+ * Serves the dashboard's own files only: the pages, styles, modules and icons.
+ * The server code, the private js/config.js and anything else in the project
+ * folder (e.g. .git, .env) are never sent
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname, join, posix } from 'node:path';
+
+const PUBLIC_FILES = ['index.html', 'index-standalone.html', 'manifest.webmanifest', 'sw.js'];
+const PUBLIC_FOLDERS = ['assets/', 'css/', 'js/'];
+const PRIVATE_FILES = ['js/config.js'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Map a request path to a public project file
+ * @param {string} pathname - URL path
+ * @returns {string|null} Project-relative path, or null when the file is not public
+ */
+const resolvePublicPath = (pathname) => {
+    let path;
+
+    try {
+        path = posix.normalize(decodeURIComponent(pathname)).replace(/^\/+/, '');
+    } catch (error) {
+        return null;
+    }
+
+    if (path === '' || path === '.') path = 'index.html';
+    if (path.split('/').some(part => part === '..' || part.startsWith('.'))) return null;
+    if (PRIVATE_FILES.includes(path)) return null;
+
+    return PUBLIC_FILES.includes(path) || PUBLIC_FOLDERS.some(folder => path.startsWith(folder)) ? path : null;
+};
+
+/**
+ * Serve a static file
+ * @param {string} root - Project folder
+ * @param {IncomingMessage} request - Request
+ * @param {ServerResponse} response - Response
+ * @param {URL} url - Request URL
+ * @returns {Promise} Promise resolving once the response is sent
+ */
+export const serveStatic = async (root, request, response, url) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+
+    const path = resolvePublicPath(url.pathname);
+    let body = null;
+
+    if (path) {
+        body = await readFile(join(root, path)).catch(() => null);
+    }
+
+    if (!body) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream',
+        'Content-Length': body.length,
+        // Always revalidate, so edits show up on the next reload
+        'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+};
+
+export default serveStatic;
@@ -0,0 +1,45 @@
+/**
+ * MySportsFeeds upstream
+ * Requests feeds from the MySportsFeeds v2.1 API with the server's API key
+ */
+
+import { fetchJSON } from '../js/http.js';
+import { getLeague } from '../js/leagues.js';
+import { getCurrentSeason } from '../js/seasons.js';
+
+/**
+ * Create the MySportsFeeds upstream
+ * @param {Object} options - Upstream options
+ * @param {string} options.apiKey - MySportsFeeds API key
+ * @param {string} options.baseUrl - API base URL
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @returns {Object} Upstream ({ name, fetchFeed })
+ */
+export const createMySportsFeedsUpstream = ({ apiKey, baseUrl, timeout = 10000 }) => {
+    // MySportsFeeds uses Basic Auth with API key as username and 'MYSPORTSFEEDS' as password
+    const headers = {
+        Authorization: `Basic ${Buffer.from(`${apiKey}:MYSPORTSFEEDS`).toString('base64')}`,
+        Accept: 'application/json'
+    };
+
+    /**
+     * Fetch a feed
+     * Makes a single attempt: the browser retries transient failures, and
+     * retrying here as well would multiply requests against the key's quota
+     * @param {string} league - League identifier
+     * @param {string|null} season - Season identifier (null for the league's current season)
+     * @param {string} endpoint - Feed name (e.g. standings, games)
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Feed payload
+     */
+    const fetchFeed = (league, season, endpoint, params) => {
+        const query = new URLSearchParams(params).toString();
+        const url = `${baseUrl}/${getLeague(league).apiSlug}/${encodeURIComponent(season || getCurrentSeason(league).id)}/${endpoint}.json${query ? `?${query}` : ''}`;
+
+        return fetchJSON(url, { headers, timeout, retries: 0 });
+    };
+
+    return { name: 'MySportsFeeds', fetchFeed };
+};
+
+export default createMySportsFeedsUpstream;
@@ -0,0 +1,126 @@
+/**
+ * Service worker
+ * Precaches the app shell (page, styles, modules and Chart.js) so the dashboard
+ * opens without a network. Same-origin files are fetched network-first, so an
+ * online visit always runs the latest code; Chart.js is pinned to a version and
+ * served cache-first. League data is not cached here: offline, the app serves
+ * its last responses from the localStorage response cache (js/cache.js)
+ */
+
+// Bump when the shell file list changes; older caches are deleted on activation
+const CACHE_NAME = 'sports-dashboard-shell-v1';
+
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js';
+
+// Data proxied by the Node server (server/index.js)
+const API_PATH = new URL('./api/', self.location).pathname;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './css/styles.css',
+    './assets/icons/icon.svg',
+    './assets/icons/icon-192.png',
+    './assets/icons/icon-512.png',
+    './js/alerts.js',
+    './js/api.js',
+    './js/app.js',
+    './js/cache.js',
+    './js/charts.js',
+    './js/compare.js',
+    './js/config-public.js',
+    './js/export.js',
+    './js/favorites.js',
+    './js/http.js',
+    './js/ics.js',
+    './js/leagues.js',
+    './js/live.js',
+    './js/offline.js',
+    './js/players.js',
+    './js/preferences.js',
+    './js/schedule.js',
+    './js/search.js',
+    './js/seasons.js',
+    './js/simulation.js',
+    './js/snapshots.js',
+    './js/standings.js',
+    './js/summary.js',
+    './js/team.js',
+    './js/ui.js',
+    './js/url-state.js',
+    './js/utils.js',
+    './js/providers/fixtures.js',
+    './js/providers/index.js',
+    './js/providers/mock.js',
+    './js/providers/mysportsfeeds.js',
+    CHART_JS_URL
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('sports-dashboard-shell-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetch from the network and refresh the cached copy, falling back to the cache offline
+ * Pages fall back to the cached index.html, whatever their query string (the dashboard state)
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>} Response
+ */
+const networkFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const fallback = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('./index.html') : undefined);
+        if (fallback) return fallback;
+        throw error;
+    }
+};
+
+/**
+ * Serve from the cache, fetching (and caching) on a miss
+ * @param {Request} request - GET request for a versioned file
+ * @returns {Promise<Response>} Response
+ */
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const hit = await cache.match(request);
+    if (hit) return hit;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.href === CHART_JS_URL) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith(API_PATH)) {
+        event.respondWith(networkFirst(request));
+    }
+    // Other requests (data APIs, including the proxy server's) go straight to the network
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCache, writeCache } from '../js/cache.js';
+
+/**
+ * Create a localStorage stand-in holding at most `quota` characters
+ * Items are enumerable own properties, as in the browser, so Object.keys lists them
+ */
+const createStorage = (quota = Infinity) => {
+    const storage = {};
+    const used = () => Object.entries(storage).reduce((total, [key, value]) => total + key.length + value.length, 0);
+
+    Object.defineProperties(storage, {
+        getItem: { value: key => (Object.hasOwn(storage, key) ? storage[key] : null) },
+        removeItem: { value: key => delete storage[key] },
+        setItem: {
+            value: (key, value) => {
+                const previous = storage[key];
+                storage[key] = String(value);
+                if (used() > quota) {
+                    if (previous === undefined) delete storage[key];
+                    else storage[key] = previous;
+                    throw new Error('QuotaExceededError');
+                }
+            }
+        }
+    });
+
+    return storage;
+};
+
+let now;
+
+beforeEach(() => {
+    now = 0;
+    Date.now = () => ++now;
+});
+
+test('the least recently stored entries are removed past the entry limit', () => {
+    globalThis.localStorage = createStorage();
+
+    for (let i = 1; i <= 121; i++) writeCache(`key-${i}`, i);
+
+    assert.equal(Object.keys(localStorage).length, 90);
+    assert.equal(readCache('key-31'), null);
+    assert.equal(readCache('key-32').value, 32);
+    assert.equal(readCache('key-121').value, 121);
+});
+
+test('a full storage drops the older half of the cache and retries the write', () => {
+    globalThis.localStorage = createStorage(2000);
+    const payload = 'x'.repeat(150);
+
+    for (let i = 1; i <= 20; i++) writeCache(`key-${i}`, payload);
+
+    assert.equal(readCache('key-20').value, payload);
+    assert.equal(readCache('key-1'), null);
+    assert.ok(Object.keys(localStorage).length > 1);
+});
+
+test('a write that cannot fit is skipped without throwing', (t) => {
+    globalThis.localStorage = createStorage(100);
+    t.mock.method(console, 'warn', () => {});
+
+    assert.doesNotThrow(() => writeCache('big', 'x'.repeat(500)));
+    assert.equal(readCache('big'), null);
+    assert.equal(console.warn.mock.calls.length, 1);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMySportsFeedsProvider } from '../js/providers/mysportsfeeds.js';
+
+/**
+ * Build a games feed entry
+ * @param {number} id - Game id
+ * @param {string} startTime - Start time (ISO)
+ * @param {string} playedStatus - Feed status (COMPLETED, LIVE, UNPLAYED)
+ * @returns {Object} Feed game
+ */
+const feedGame = (id, startTime, playedStatus) => ({
+    schedule: {
+        id,
+        startTime,
+        playedStatus,
+        homeTeam: { id: 1, abbreviation: 'BOS' },
+        awayTeam: { id: 2, abbreviation: 'NYK' }
+    },
+    score: playedStatus === 'UNPLAYED' ? null : { homeScoreTotal: 100 + id, awayScoreTotal: 90, quarters: [{}, {}, {}, {}] }
+});
+
+/**
+ * Create a provider whose requests are answered with a fixed payload
+ * @param {Object} payload - Response body
+ * @returns {Object} Provider
+ */
+const createProvider = (payload) => {
+    globalThis.fetch = async () => new Response(JSON.stringify(payload), { status: 200 });
+    return createMySportsFeedsProvider({ PROXY_URL: '/api' }, { retries: 0 });
+};
+
+test('fetchGames returns the latest played games, newest first, with live games on top', async () => {
+    // Opening day first, as the season feed lists them
+    const games = [
+        ...Array.from({ length: 8 }, (_, index) => feedGame(index + 1, `2026-07-${String(13 + index).padStart(2, '0')}T19:00:00.000Z`, 'COMPLETED')),
+        feedGame(20, '2026-10-19T19:00:00.000Z', 'LIVE'),
+        feedGame(21, '2026-10-20T19:00:00.000Z', 'UNPLAYED')
+    ];
+
+    const recent = await createProvider({ games }).fetchGames('nba');
+
+    assert.deepEqual(recent.map(game => game.id), [20, 8, 7, 6, 5, 4]);
+    assert.equal(recent[0].status, 'live');
+});
+
+test('mapGame leaves level final scores without a winner', async () => {
+    const draw = feedGame(1, '2026-07-13T19:00:00.000Z', 'COMPLETED');
+    draw.score.homeScoreTotal = 90;
+
+    const [game] = await createProvider({ games: [draw] }).fetchSchedule('nba');
+
+    assert.equal(game.winner, null);
+});
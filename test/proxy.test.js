@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createProxyHandler } from '../server/proxy.js';
+import { createResponseCache } from '../server/cache.js';
+import { createRateLimiter } from '../server/rate-limit.js';
+
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+    const upstream = {
+        name: 'Test',
+        fetchFeed: async (league, season, endpoint, params) => {
+            requests.push({ league, season, endpoint, params });
+            return { standings: [] };
+        }
+    };
+    const handleApiRequest = createProxyHandler({
+        upstream,
+        cache: createResponseCache(),
+        limiter: createRateLimiter({ limit: 0 })
+    });
+
+    server = createServer((request, response) => handleApiRequest(request, response, new URL(request.url, 'http://localhost')));
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('proxies a known endpoint and caches it', async () => {
+    const first = await fetch(`${baseUrl}/api/nba/standings?season=2024-2025-regular`);
+    const second = await fetch(`${baseUrl}/api/nba/standings?season=2024-2025-regular`);
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), { standings: [] });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(requests.length, 1);
+});
+
+test('answers 404 for inherited object properties used as endpoints', async () => {
+    for (const endpoint of ['__proto__', 'constructor']) {
+        const response = await fetch(`${baseUrl}/api/nba/${endpoint}`);
+
+        assert.equal(response.status, 404, endpoint);
+        assert.equal((await response.json()).error, `Unknown endpoint "${endpoint}"`);
+    }
+});
+
+test('forwards only the parameters the endpoint takes', async () => {
+    await fetch(`${baseUrl}/api/nfl/games?team=3&player=9&format=xml`);
+
+    assert.deepEqual(requests.at(-1), { league: 'nfl', season: null, endpoint: 'games', params: { team: '3' } });
+});
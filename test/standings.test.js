@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveStandingFields, getStandingsColumns, sortByColumn } from '../js/standings.js';
+
+const streakColumn = (leagueId) => getStandingsColumns(leagueId).find(column => column.key === 'streak');
+
+const sortStreaks = (streaks, direction) => {
+    const teams = streaks.map((streak, index) => deriveStandingFields({ name: `Team ${index}`, rank: index + 1, streak }));
+    const { sortKey, key } = streakColumn('nba');
+
+    return sortByColumn(teams, { key: sortKey || key, direction }).map(team => team.streak);
+};
+
+test('streaks sort by length, winning streaks first', () => {
+    const streaks = ['W2', 'L12', 'W10', 'D1', 'L1', 'W1', 'L3'];
+
+    assert.deepEqual(sortStreaks(streaks, 'desc'), ['W10', 'W2', 'W1', 'D1', 'L1', 'L3', 'L12']);
+    assert.deepEqual(sortStreaks(streaks, 'asc'), ['L12', 'L3', 'L1', 'D1', 'W1', 'W2', 'W10']);
+});
+
+test('teams without a streak sort last', () => {
+    assert.deepEqual(sortStreaks(['N/A', 'L2', 'W3'], 'desc'), ['W3', 'L2', 'N/A']);
+    assert.deepEqual(sortStreaks(['N/A', 'L2', 'W3'], 'asc'), ['L2', 'W3', 'N/A']);
+});
+
+test('the EPL form column sorts by the same streak value', () => {
+    assert.equal(streakColumn('epl').label, 'Form');
+    assert.equal(streakColumn('epl').sortKey, 'streakValue');
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readURLState } from '../js/url-state.js';
+
+const read = (url) => readURLState(new URL(url, 'http://localhost/index.html'));
+
+test('readURLState decodes the section from the hash', () => {
+    assert.equal(read('?league=nfl#games').section, 'games');
+    assert.equal(read('#my%20teams').section, 'my teams');
+    assert.equal(read('?league=nfl').section, null);
+});
+
+test('readURLState keeps a malformed hash instead of throwing', () => {
+    const state = read('?league=nhl#%');
+
+    assert.equal(state.section, '%');
+    assert.equal(state.league, 'nhl');
+});